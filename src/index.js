@@ -36,11 +36,17 @@ async function main() {
     app.writer.schedule();
   });
 
+  // Undo/redo availability isn't design state: broadcast only, nothing to write
+  projectManager.on('undo', (undoState) => {
+    app.broadcast('undo:updated', undoState);
+  });
+
   // On project switch, send full state to all viewers
   projectManager.on('project:switched', async ({ projects }) => {
     app.selectedElementId = null;
     app.broadcast('projects:updated', { projects });
     app.broadcast('design:full', app.stateManager.getStateSnapshot());
+    app.broadcast('undo:updated', app.stateManager.getUndoState());
     const commits = await app.gitManager.getLog();
     app.broadcast('history:updated', { commits });
   });
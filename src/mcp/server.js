@@ -10,6 +10,22 @@ import { registerProjectTools } from './tools/projects.js';
 import { registerScreenshotTools } from './tools/screenshot.js';
 import { registerAssetTools } from './tools/assets.js';
 import { registerDesignSpecTools } from './tools/design-spec.js';
+import { registerComponentTools } from './tools/components.js';
+import { registerOperationTools } from './tools/operations.js';
+import { registerFindReplaceTools } from './tools/find-replace.js';
+import { registerAnimationTools } from './tools/animations.js';
+import { registerThemeTools } from './tools/themes.js';
+import { registerTokenTools } from './tools/tokens.js';
+import { registerAccessibilityTools } from './tools/accessibility.js';
+
+function withHtmlWarnings(result, warnings) {
+  if (warnings.length === 0 || !result?.content) return result;
+  const lines = warnings.map(w => `- ${w.elementId} <${w.tag}> (${w.rule}): ${w.message}`);
+  return {
+    ...result,
+    content: [...result.content, { type: 'text', text: `HTML content-model warnings (applied anyway — fix them, or use set_html_validation "strict" to reject such edits):\n${lines.join('\n')}` }],
+  };
+}
 
 export function createMcpServer(app) {
   const server = new McpServer({
@@ -17,15 +33,17 @@ export function createMcpServer(app) {
     version: '1.0.0',
   });
 
-  // Wrap server.tool so every tool call emits activity:start/stop.
+  // Wrap server.tool so every tool call emits activity:start/stop, and
+  // reports the HTML content-model warnings its element edits raised.
   // The handler is always the last argument regardless of overload.
   const originalTool = server.tool.bind(server);
   server.tool = (name, ...args) => {
     const handler = args[args.length - 1];
     args[args.length - 1] = async (...handlerArgs) => {
       app.broadcast('activity:start', { tool: name, ts: Date.now() });
+      app.stateManager?.takeHtmlWarnings();
       try {
-        return await handler(...handlerArgs);
+        return withHtmlWarnings(await handler(...handlerArgs), app.stateManager?.takeHtmlWarnings() ?? []);
       } finally {
         app.broadcast('activity:stop', { tool: name, ts: Date.now() });
       }
@@ -44,6 +62,13 @@ export function createMcpServer(app) {
   registerScreenshotTools(server, app);
   registerAssetTools(server, app);
   registerDesignSpecTools(server, app);
+  registerComponentTools(server, app);
+  registerOperationTools(server, app);
+  registerFindReplaceTools(server, app);
+  registerAnimationTools(server, app);
+  registerThemeTools(server, app);
+  registerTokenTools(server, app);
+  registerAccessibilityTools(server, app);
 
   // State tools registered directly here
   server.tool(
@@ -0,0 +1,31 @@
+import { z } from 'zod';
+import { A11Y_RULES } from '../../state/a11y-lint.js';
+
+export function registerAccessibilityTools(server, app) {
+  server.tool(
+    'check_contrast',
+    'Check WCAG 2.x color contrast for every text-bearing element. Foreground and background come from the styles that apply to each element (backgrounds found by walking up its ancestors, token references resolved for the theme mode). Returns failures by element id, worst first, plus text over images or gradients that needs a visual check',
+    {
+      pageId: z.string().optional().describe('Only check this page (default: all pages)'),
+      theme: z.string().optional().describe('Theme mode to check (default: "default")'),
+      level: z.enum(['AA', 'AAA']).optional().default('AA').describe('WCAG level: AA needs 4.5:1 (3:1 for large text), AAA 7:1 (4.5:1)'),
+    },
+    async (params) => {
+      const result = app.stateManager.checkContrast(params);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'lint_accessibility',
+    `Lint the element tree for accessibility problems and return violations with element ids and fix suggestions. Rules: ${Object.entries(A11Y_RULES).map(([rule, { description }]) => `${rule} (${description.toLowerCase()})`).join('; ')}`,
+    {
+      pageId: z.string().optional().describe('Only lint this page (default: all pages)'),
+      rules: z.array(z.string()).optional().describe('Only run these rules'),
+    },
+    async (params) => {
+      const result = app.stateManager.lintAccessibility(params);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+}
@@ -0,0 +1,112 @@
+import { z } from 'zod';
+
+// Ready-made keyframes with the timing they're designed for
+const PRESETS = {
+  'fade-in': {
+    timing: '400ms ease-out both',
+    frames: { from: { opacity: '0' }, to: { opacity: '1' } },
+  },
+  'fade-out': {
+    timing: '300ms ease-in both',
+    frames: { from: { opacity: '1' }, to: { opacity: '0' } },
+  },
+  'slide-up': {
+    timing: '500ms cubic-bezier(0.16, 1, 0.3, 1) both',
+    frames: {
+      from: { opacity: '0', transform: 'translateY(16px)' },
+      to: { opacity: '1', transform: 'translateY(0)' },
+    },
+  },
+  'slide-down': {
+    timing: '500ms cubic-bezier(0.16, 1, 0.3, 1) both',
+    frames: {
+      from: { opacity: '0', transform: 'translateY(-16px)' },
+      to: { opacity: '1', transform: 'translateY(0)' },
+    },
+  },
+  'slide-in-left': {
+    timing: '500ms cubic-bezier(0.16, 1, 0.3, 1) both',
+    frames: {
+      from: { opacity: '0', transform: 'translateX(-24px)' },
+      to: { opacity: '1', transform: 'translateX(0)' },
+    },
+  },
+  'scale-in': {
+    timing: '300ms cubic-bezier(0.16, 1, 0.3, 1) both',
+    frames: {
+      from: { opacity: '0', transform: 'scale(0.95)' },
+      to: { opacity: '1', transform: 'scale(1)' },
+    },
+  },
+  'spin': {
+    timing: '1s linear infinite',
+    frames: { from: { transform: 'rotate(0deg)' }, to: { transform: 'rotate(360deg)' } },
+  },
+  'pulse': {
+    timing: '2s ease-in-out infinite',
+    frames: { '0%, 100%': { opacity: '1' }, '50%': { opacity: '0.5' } },
+  },
+  'bounce': {
+    timing: '1s ease-in-out infinite',
+    frames: { '0%, 100%': { transform: 'translateY(0)' }, '50%': { transform: 'translateY(-8px)' } },
+  },
+  'shake': {
+    timing: '400ms ease-in-out',
+    frames: {
+      '0%, 100%': { transform: 'translateX(0)' },
+      '25%': { transform: 'translateX(-4px)' },
+      '75%': { transform: 'translateX(4px)' },
+    },
+  },
+};
+
+export function registerAnimationTools(server, app) {
+  server.tool(
+    'set_keyframes',
+    'Define or replace a @keyframes animation, from explicit frames or a preset. Use it from styles with the "animation" property',
+    {
+      name: z.string().describe('Animation name (CSS identifier, e.g. "fade-in")'),
+      frames: z.record(z.record(z.string())).optional()
+        .describe('Frame offset ("from", "to", "50%", "0%, 100%") → CSS properties'),
+      preset: z.enum(Object.keys(PRESETS)).optional()
+        .describe('Start from a preset instead of explicit frames'),
+    },
+    async ({ name, frames, preset }) => {
+      if (!frames && !preset) throw new Error('Provide frames or a preset');
+      const resolved = frames || PRESETS[preset].frames;
+      const result = app.stateManager.setKeyframes(name, resolved);
+      app.notifyActivity('[style] set_keyframes', `Set keyframes "${name}"${preset ? ` (${preset})` : ''}`);
+
+      const timing = preset ? PRESETS[preset].timing : '400ms ease both';
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ name, frames: result, suggestedAnimation: `${name} ${timing}` }, null, 2),
+        }],
+      };
+    }
+  );
+
+  server.tool(
+    'delete_keyframes',
+    'Delete a @keyframes animation. Reports the rules and elements that still reference it',
+    {
+      name: z.string().describe('Animation name'),
+    },
+    async ({ name }) => {
+      const result = app.stateManager.deleteKeyframes(name);
+      app.notifyActivity('[style] delete_keyframes', `Deleted keyframes "${name}"`);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'list_keyframes',
+    'List all @keyframes animations with their frames and where they are used',
+    {},
+    async () => {
+      const keyframes = app.stateManager.listKeyframes();
+      return { content: [{ type: 'text', text: JSON.stringify(keyframes, null, 2) }] };
+    }
+  );
+}
@@ -0,0 +1,88 @@
+import { z } from 'zod';
+
+const OverrideSchema = z.object({
+  textContent: z.string().nullable().optional().describe('Replacement text content (null to clear)'),
+  attributes: z.record(z.string()).optional().describe('Attributes merged over the master element\'s attributes'),
+}).nullable();
+
+export function registerComponentTools(server, app) {
+  server.tool(
+    'create_component',
+    'Turn an existing element subtree into a reusable component. The subtree stays in place as the master; edits to it propagate to every instance',
+    {
+      elementId: z.string().describe('Root element of the subtree to use as the component master'),
+      name: z.string().describe('Component name (e.g. "Navbar", "Footer")'),
+    },
+    async ({ elementId, name }) => {
+      const component = app.stateManager.createComponent({ elementId, name });
+      app.notifyActivity('[component] create_component', `Created component "${name}"`);
+      return { content: [{ type: 'text', text: JSON.stringify(component, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'create_instance',
+    'Place an instance of a component on any page. Instances render the current master and cannot have children of their own',
+    {
+      componentId: z.string().describe('Component ID'),
+      parentId: z.string().describe('ID of the parent element'),
+      insertIndex: z.number().optional().describe('Position index among siblings (0-based). Appends to end if omitted'),
+      classes: z.array(z.string()).optional().describe('Extra CSS classes added to the instance root'),
+    },
+    async (params) => {
+      const element = app.stateManager.createInstance(params);
+      app.notifyActivity('[component] create_instance', `Created instance "${element.id}"`);
+      return { content: [{ type: 'text', text: JSON.stringify(element, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'set_instance_overrides',
+    'Override text and attributes of elements inside a component instance, keyed by the master element ID',
+    {
+      id: z.string().describe('Instance element ID'),
+      overrides: z.record(OverrideSchema).describe('Map of master element ID → { textContent, attributes } (null removes that override)'),
+    },
+    async ({ id, overrides }) => {
+      const element = app.stateManager.setInstanceOverrides({ id, overrides });
+      app.notifyActivity('[component] set_instance_overrides', `Updated overrides on instance "${id}"`);
+      return { content: [{ type: 'text', text: JSON.stringify(element, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'detach_instance',
+    'Convert a component instance into plain, independently editable elements (overrides applied)',
+    {
+      id: z.string().describe('Instance element ID'),
+    },
+    async ({ id }) => {
+      const result = app.stateManager.detachInstance(id);
+      app.notifyActivity('[component] detach_instance', `Detached instance "${id}" (${result.count} elements)`);
+      return { content: [{ type: 'text', text: JSON.stringify(result) }] };
+    }
+  );
+
+  server.tool(
+    'delete_component',
+    'Delete a component definition. Its master elements are kept; fails while instances still exist',
+    {
+      componentId: z.string().describe('Component ID'),
+    },
+    async ({ componentId }) => {
+      app.stateManager.deleteComponent(componentId);
+      app.notifyActivity('[component] delete_component', `Deleted component "${componentId}"`);
+      return { content: [{ type: 'text', text: `Deleted component "${componentId}"` }] };
+    }
+  );
+
+  server.tool(
+    'list_components',
+    'List all components with their master element, page and instance IDs',
+    {},
+    async () => {
+      const components = app.stateManager.listComponents();
+      return { content: [{ type: 'text', text: JSON.stringify(components, null, 2) }] };
+    }
+  );
+}
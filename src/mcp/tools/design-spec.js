@@ -1,5 +1,10 @@
 import { z } from 'zod';
 import { requestScreenshot } from '../../web/server.js';
+import { expandInstances } from '../../state/components.js';
+import { styleRules, groupStyleRules } from '../../state/at-rules.js';
+import {
+  orderedTokenCategories, tokenCategoryMeta, tokenVarName, parseTokenAlias, resolveDesignTokens, tokensForMode,
+} from '../../state/tokens.js';
 
 export function registerDesignSpecTools(server, app) {
   server.tool(
@@ -42,12 +47,15 @@ export function registerDesignSpecTools(server, app) {
 
 export function buildDesignSpec(state, pageId, designType, assets) {
   const page = state.pages[pageId];
-  const rootElement = state.elements[page.rootId];
+  // Component instances are spelled out so the spec shows what actually renders
+  const elements = expandInstances(state.elements, state.components);
+  const rootElement = elements[page.rootId];
   if (!rootElement) return '# Empty Page';
 
   const { viewport } = state.project;
-  const elementCount = Object.values(state.elements).filter(e => e.pageId === pageId).length;
-  const styleCount = Object.keys(state.styles).length;
+  const elementCount = Object.values(elements).filter(e => e.pageId === pageId).length;
+  const pageRules = styleRules(page);
+  const styleCount = styleRules(state).length + pageRules.length;
 
   const sections = [];
 
@@ -66,6 +74,13 @@ export function buildDesignSpec(state, pageId, designType, assets) {
     sections.push(tokensSection);
   }
 
+  const themesSection = formatThemeModes(state.designTokens, state.themeModes);
+  if (themesSection) {
+    sections.push('### Theme Modes');
+    sections.push('');
+    sections.push(themesSection);
+  }
+
   // Assets
   if (assets.length > 0) {
     sections.push('## Assets');
@@ -77,12 +92,14 @@ export function buildDesignSpec(state, pageId, designType, assets) {
   sections.push('## Page Structure');
   sections.push('');
   sections.push('```');
-  sections.push(buildStructureTree(rootElement, state.elements, ''));
+  const masterNames = {};
+  for (const c of Object.values(state.components || {})) masterNames[c.rootId] = c.name;
+  sections.push(buildStructureTree(rootElement, elements, '', masterNames));
   sections.push('```');
   sections.push('');
 
   // Components
-  const components = identifyComponents(rootElement, state.elements);
+  const components = identifyComponents(rootElement, elements);
   if (components.length > 0) {
     sections.push('## Components');
     sections.push('');
@@ -90,10 +107,10 @@ export function buildDesignSpec(state, pageId, designType, assets) {
       sections.push(`### ${comp.tag}.${comp.primaryClass || comp.id}`);
       sections.push('');
       sections.push('```html');
-      sections.push(renderCleanHtml(comp.element, state.elements, ''));
+      sections.push(renderCleanHtml(comp.element, elements, ''));
       sections.push('```');
 
-      const classes = collectClasses(comp.element, state.elements);
+      const classes = collectClasses(comp.element, elements);
       if (classes.length > 0) {
         sections.push(`**Classes:** ${classes.map(c => '`.' + c + '`').join(', ')}`);
       }
@@ -101,11 +118,19 @@ export function buildDesignSpec(state, pageId, designType, assets) {
     }
   }
 
+  // Reusable components (masters + instances) used on this page
+  const reusableSection = buildReusableComponentsSection(state, pageId);
+  if (reusableSection) {
+    sections.push('## Reusable Components');
+    sections.push('');
+    sections.push(reusableSection);
+  }
+
   // Styles
   sections.push('## Styles');
   sections.push('');
 
-  const groupedStyles = groupStylesByComponent(state.styles, components);
+  const groupedStyles = groupStylesByComponent(state, components);
 
   if (groupedStyles.base.length > 0) {
     sections.push('### Base');
@@ -134,8 +159,42 @@ export function buildDesignSpec(state, pageId, designType, assets) {
     sections.push('### Responsive');
     sections.push('');
     sections.push('```css');
-    for (const { selector, properties } of groupedStyles.responsive) {
-      sections.push(formatCssRule(selector, properties));
+    sections.push(formatGroupedCss({ atRuleStyles: groupedStyles.responsive }));
+    sections.push('```');
+    sections.push('');
+  }
+
+  if (pageRules.length > 0) {
+    sections.push(`### Page: ${page.name}`);
+    sections.push('');
+    sections.push('Only apply these rules on this page, after the global styles above.');
+    sections.push('');
+    sections.push('```css');
+    sections.push(formatGroupedCss(page));
+    sections.push('```');
+    sections.push('');
+  }
+
+  // @keyframes animations
+  const keyframesSection = buildKeyframesSection(state, elements, pageId);
+  if (keyframesSection) {
+    sections.push('### Animations');
+    sections.push('');
+    sections.push(keyframesSection);
+  }
+
+  // Per-element inline overrides
+  const overridden = Object.values(elements).filter(el => el.pageId === pageId && el.style && Object.keys(el.style).length > 0);
+  if (overridden.length > 0) {
+    sections.push('### Element Overrides');
+    sections.push('');
+    sections.push('One-off styles set on single elements (marked `[style override]` in the structure tree). They beat every rule above; implement them as inline styles or a modifier class on just that element.');
+    sections.push('');
+    sections.push('```css');
+    for (const el of overridden) {
+      const label = `${el.tag}${el.classes.length ? '.' + el.classes.join('.') : ''}`;
+      sections.push(`/* ${el.id} */`);
+      sections.push(formatCssRule(label, el.style));
     }
     sections.push('```');
     sections.push('');
@@ -171,17 +230,28 @@ function formatDesignType(type) {
 function formatDesignTokens(tokens) {
   if (!tokens) return '';
   const sections = [];
+  const resolved = resolveDesignTokens(tokens);
 
-  for (const [category, values] of Object.entries(tokens)) {
-    const entries = Object.entries(values);
+  for (const category of orderedTokenCategories(tokens)) {
+    const entries = Object.entries(tokens[category]);
     if (entries.length === 0) continue;
 
-    sections.push(`### ${category.charAt(0).toUpperCase() + category.slice(1)}`);
+    const { label, properties } = tokenCategoryMeta(category);
+    sections.push(`### ${label}`);
     sections.push('');
-    sections.push('| Token | Value |');
-    sections.push('|-------|-------|');
+    if (properties?.length) {
+      sections.push(`Applies to: ${properties.map(p => `\`${p}\``).join(', ')}`);
+      sections.push('');
+    } else if (properties) {
+      sections.push('Use these values in `@media` queries (CSS variables are not allowed there).');
+      sections.push('');
+    }
+    sections.push('| Token | Value | CSS Variable |');
+    sections.push('|-------|-------|--------------|');
     for (const [key, val] of entries) {
-      sections.push(`| ${key} | ${val} |`);
+      const alias = parseTokenAlias(val);
+      const shown = alias ? `${resolved[category][key]} (alias of \`${alias.category}.${alias.key}\`)` : val;
+      sections.push(`| ${key} | ${shown} | \`${tokenVarName(category, key)}\` |`);
     }
     sections.push('');
   }
@@ -189,6 +259,40 @@ function formatDesignTokens(tokens) {
   return sections.join('\n');
 }
 
+function formatThemeModes(designTokens, themeModes) {
+  const modes = Object.keys(themeModes || {});
+  if (modes.length === 0) return '';
+
+  const lines = [];
+  lines.push('Each mode overrides some token values; the rest keep their default. Switch modes with `data-theme="<mode>"` on `<html>`.');
+  for (const mode of modes) {
+    const { colorScheme } = themeModes[mode];
+    if (colorScheme) lines.push(`\`${mode}\` is the ${colorScheme} color scheme and applies automatically under \`prefers-color-scheme: ${colorScheme}\`.`);
+  }
+  lines.push('');
+
+  // One row per token that any mode overrides
+  const resolvedBase = resolveDesignTokens(designTokens);
+  const resolvedModes = Object.fromEntries(modes.map(mode =>
+    [mode, resolveDesignTokens(tokensForMode(designTokens, themeModes, mode))]));
+  const rows = [];
+  for (const category of orderedTokenCategories(designTokens)) {
+    for (const key of Object.keys(designTokens[category])) {
+      if (modes.some(mode => themeModes[mode].tokens[category]?.[key] !== undefined)) rows.push([category, key]);
+    }
+  }
+
+  lines.push(`| Token | default | ${modes.join(' | ')} |`);
+  lines.push(`|-------|---------|${modes.map(() => '------').join('|')}|`);
+  for (const [category, key] of rows) {
+    const values = modes.map(mode => resolvedModes[mode][category][key]);
+    lines.push(`| \`${tokenVarName(category, key)}\` | ${resolvedBase[category][key]} | ${values.join(' | ')} |`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
 function buildAssetsSection(state, pageId, assets) {
   const lines = [];
   lines.push('| File | URL | Used By |');
@@ -216,9 +320,9 @@ function findAssetUsage(state, pageId, filename) {
     }
   }
 
-  // Check styles for background-image
-  for (const [selector, props] of Object.entries(state.styles)) {
-    for (const val of Object.values(props)) {
+  // Check global and page-scoped styles for background-image
+  for (const { key: selector, properties } of [...styleRules(state), ...styleRules(state.pages[pageId])]) {
+    for (const val of Object.values(properties)) {
       if (val.includes(filename) || val.includes(urlPattern)) {
         usages.push(`${selector} (background)`);
       }
@@ -228,13 +332,102 @@ function findAssetUsage(state, pageId, filename) {
   return usages.join(', ');
 }
 
-function buildStructureTree(element, elements, prefix) {
+function buildReusableComponentsSection(state, pageId) {
+  const lines = [];
+
+  for (const component of Object.values(state.components || {})) {
+    const master = state.elements[component.rootId];
+    if (!master) continue;
+
+    const instances = Object.values(state.elements)
+      .filter(el => el.pageId === pageId && el.instance?.componentId === component.id);
+    if (master.pageId !== pageId && instances.length === 0) continue;
+
+    const masterPage = state.pages[master.pageId];
+    lines.push(`### ${component.name}`);
+    lines.push('');
+    lines.push(`Master: \`${master.tag}${master.classes.length ? '.' + master.classes.join('.') : ''}\` on page "${masterPage?.name || master.pageId}" | Instances on this page: ${instances.length}`);
+    lines.push('');
+    lines.push('Build this once as a reusable component; every instance renders the same markup.');
+    lines.push('');
+    lines.push('```html');
+    lines.push(renderCleanHtml(master, state.elements, ''));
+    lines.push('```');
+
+    const overrideLines = [];
+    for (const instance of instances) {
+      for (const [masterId, override] of Object.entries(instance.instance.overrides || {})) {
+        const target = state.elements[masterId];
+        const label = target ? `${target.tag}${target.classes[0] ? '.' + target.classes[0] : ''}` : masterId;
+        if (override.textContent !== undefined) {
+          overrideLines.push(`- \`${instance.id}\` ${label} text: "${override.textContent ?? ''}"`);
+        }
+        for (const [attr, value] of Object.entries(override.attributes || {})) {
+          overrideLines.push(`- \`${instance.id}\` ${label} ${attr}: "${value}"`);
+        }
+      }
+    }
+    if (overrideLines.length > 0) {
+      lines.push('');
+      lines.push('**Instance overrides (props):**');
+      lines.push(...overrideLines);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function buildKeyframesSection(state, elements, pageId) {
+  const entries = Object.entries(state.keyframes || {});
+  if (entries.length === 0) return '';
+
+  // Where each animation is referenced on this page (rules and inline overrides)
+  const sources = [
+    ...styleRules(state).map(rule => [rule.key, rule.properties]),
+    ...styleRules(state.pages[pageId]).map(rule => [rule.key, rule.properties]),
+    ...Object.values(elements)
+      .filter(el => el.pageId === pageId && el.style)
+      .map(el => [`${el.tag}${el.classes[0] ? '.' + el.classes[0] : ''} (inline)`, el.style]),
+  ];
+
+  const lines = ['```css'];
+  const usage = [];
+  for (const [name, frames] of entries) {
+    lines.push(`@keyframes ${name} {`);
+    for (const [offset, properties] of Object.entries(frames)) {
+      lines.push(formatCssRule(offset, properties).split('\n').map(line => '  ' + line).join('\n'));
+    }
+    lines.push('}');
+
+    const pattern = new RegExp(`(^|[\\s,])${name}($|[\\s,])`);
+    const users = sources
+      .filter(([, props]) => ['animation', 'animation-name'].some(p => props[p] && pattern.test(props[p])))
+      .map(([selector, props]) => `\`${selector}\` (${props.animation || props['animation-name']})`);
+    usage.push(`- **${name}**: ${users.length > 0 ? users.join(', ') : 'not used on this page'}`);
+  }
+  lines.push('```');
+  lines.push('');
+  lines.push(...usage);
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+function buildStructureTree(element, elements, prefix, masterNames = {}) {
   const classStr = element.classes.length > 0 ? `.${element.classes.join('.')}` : '';
   const textPreview = element.textContent
     ? ` "${element.textContent.substring(0, 30)}${element.textContent.length > 30 ? '...' : ''}"`
     : '';
+  // Expanded instance roots carry the master's ID; the master itself does not
+  const componentName = masterNames[element.masterId || element.id];
+  const componentTag = componentName
+    ? (element.masterId ? ` <${componentName}>` : ` <${componentName} master>`)
+    : '';
+
+  const overrideTag = element.style && Object.keys(element.style).length > 0 ? ' [style override]' : '';
 
-  let line = `${prefix}${element.tag}${classStr}${textPreview}`;
+  let line = `${prefix}${element.tag}${classStr}${textPreview}${componentTag}${overrideTag}`;
   const lines = [line];
 
   for (let i = 0; i < element.children.length; i++) {
@@ -244,7 +437,7 @@ function buildStructureTree(element, elements, prefix) {
 
     const isLast = i === element.children.length - 1;
     const childPrefix = prefix + (isLast ? '  ' : '  ');
-    lines.push(buildStructureTree(child, elements, childPrefix));
+    lines.push(buildStructureTree(child, elements, childPrefix, masterNames));
   }
 
   return lines.join('\n');
@@ -323,7 +516,7 @@ function escapeHtml(str) {
     .replace(/"/g, '&quot;');
 }
 
-function groupStylesByComponent(styles, components) {
+function groupStylesByComponent(scope, components) {
   const result = {
     base: [],
     components: {},
@@ -342,13 +535,10 @@ function groupStylesByComponent(styles, components) {
     }
   }
 
-  for (const [selector, properties] of Object.entries(styles)) {
-    // Check if it's a media query
-    const mediaMatch = selector.match(/^@media/);
-    if (mediaMatch) {
-      result.responsive.push({ selector, properties });
-      continue;
-    }
+  // Rules wrapped in @media, @supports, @container, … are grouped together
+  result.responsive.push(...(scope.atRuleStyles || []));
+
+  for (const [selector, properties] of Object.entries(scope.styles)) {
 
     // Try to match to a component
     let matched = false;
@@ -368,6 +558,24 @@ function groupStylesByComponent(styles, components) {
   return result;
 }
 
+// Plain rules, then at-rule blocks with their rules nested inside
+function formatGroupedCss(scope) {
+  const indentBlock = (text) => text.split('\n').map(line => '  ' + line).join('\n');
+  const formatGroup = (group) => {
+    const inner = [
+      ...group.rules.map(rule => formatCssRule(rule.selector, rule.properties)),
+      ...group.groups.map(formatGroup),
+    ];
+    return `${group.atRule} {\n${indentBlock(inner.join('\n'))}\n}`;
+  };
+
+  const { rules, groups } = groupStyleRules(scope);
+  return [
+    ...rules.map(rule => formatCssRule(rule.selector, rule.properties)),
+    ...groups.map(formatGroup),
+  ].join('\n');
+}
+
 function formatCssRule(selector, properties) {
   const props = Object.entries(properties)
     .map(([prop, val]) => `  ${prop}: ${val};`)
@@ -1,11 +1,13 @@
 import { z } from 'zod';
+import { HTML_CONTENT_RULES } from '../../state/html-content.js';
 
-const ElementDefSchema = z.lazy(() =>
+export const ElementDefSchema = z.lazy(() =>
   z.object({
     tag: z.string().describe('HTML tag name'),
     classes: z.array(z.string()).optional().describe('CSS class names'),
     attributes: z.record(z.string()).optional().describe('HTML attributes'),
     textContent: z.string().optional().describe('Text content'),
+    style: z.record(z.string()).optional().describe('One-off CSS overrides for this element only'),
     children: z.array(ElementDefSchema).optional().describe('Child elements (recursive)'),
   })
 );
@@ -34,6 +36,7 @@ export function registerElementTools(server, app) {
       classes: z.array(z.string()).optional().describe('CSS class names'),
       attributes: z.record(z.string()).optional().describe('HTML attributes (e.g. { href: "/about", role: "banner" })'),
       textContent: z.string().optional().describe('Text content for the element'),
+      style: z.record(z.string()).optional().describe('One-off CSS overrides for this element only (e.g. { "margin-top": "48px" }). Prefer classes for anything reused'),
       insertIndex: z.number().optional().describe('Position index among siblings (0-based). Appends to end if omitted'),
     },
     async (params) => {
@@ -52,6 +55,7 @@ export function registerElementTools(server, app) {
       classes: z.array(z.string()).optional().describe('Replace CSS class names'),
       attributes: z.record(z.string()).optional().describe('Merge into existing attributes'),
       textContent: z.string().nullable().optional().describe('New text content (null to clear)'),
+      style: z.record(z.string().nullable()).optional().describe('Merge into the element\'s inline style overrides (null removes a property)'),
     },
     async (params) => {
       const element = app.stateManager.updateElement(params);
@@ -88,6 +92,23 @@ export function registerElementTools(server, app) {
     }
   );
 
+  server.tool(
+    'duplicate_element',
+    'Duplicate an element and all its children with fresh IDs. Copies are placed right after the original unless a parent or page is given',
+    {
+      id: z.string().describe('Element ID to duplicate'),
+      count: z.number().int().optional().describe('Number of copies (1-100, default 1)'),
+      parentId: z.string().optional().describe('Parent for the copies (defaults to the original\'s parent, or the page root when pageId is given)'),
+      insertIndex: z.number().optional().describe('Position index among the new siblings for the first copy'),
+      pageId: z.string().optional().describe('Page to copy to (defaults to the parent\'s page)'),
+    },
+    async (params) => {
+      const result = app.stateManager.duplicateElement(params);
+      app.notifyActivity('[element] duplicate_element', `Duplicated "${params.id}" ×${result.ids.length} (${result.count} elements)`);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
   server.tool(
     'get_element',
     'Get full details of an element by ID',
@@ -112,9 +133,25 @@ export function registerElementTools(server, app) {
     }
   );
 
+  server.tool(
+    'query_elements',
+    'Find elements by CSS selector (tags, classes, #id, [attr] selectors, combinators, :nth-child and friends) and/or text content. Returns compact matches with IDs and paths instead of the whole tree',
+    {
+      selector: z.string().optional().describe('CSS selector, e.g. ".card > h3", "nav a[href^=\\"/blog\\"]", "li:nth-child(odd)". Hover/focus states and pseudo-elements are ignored'),
+      text: z.string().optional().describe('Only match elements whose text content contains this (case-insensitive)'),
+      pageId: z.string().optional().describe('Page ID (defaults to active page)'),
+      allPages: z.boolean().optional().describe('Search every page instead of one'),
+      limit: z.number().optional().describe('Maximum matches to return (default 50)'),
+    },
+    async (params) => {
+      const result = app.stateManager.queryElements(params);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
   server.tool(
     'get_selected_element',
-    'Get the element currently selected by the user in the viewer, with full context (parent, children, page, applied styles, viewport)',
+    'Get the element currently selected by the user in the viewer, with full context (parent, children, page, every matching style rule, computed styles, viewport)',
     {},
     async () => {
       const elementId = app.selectedElementId;
@@ -169,22 +206,45 @@ export function registerElementTools(server, app) {
         };
       }).filter(Boolean);
 
-      // Applied styles
+      // Every rule that matches the element, global and page-scoped, in cascade order
+      const computed = app.stateManager.getComputedStyles({ elementId });
+      const globalRules = app.stateManager.listStyles();
+      const pageRules = app.stateManager.listStyles(element.pageId);
       const appliedStyles = {};
-      for (const cls of element.classes) {
-        const selector = '.' + cls;
-        if (state.styles[selector]) {
-          appliedStyles[selector] = state.styles[selector];
-        }
+      const appliedPageStyles = {};
+      for (const rule of computed.matchedRules) {
+        if (rule.pageId) appliedPageStyles[rule.selector] = pageRules[rule.selector];
+        else appliedStyles[rule.selector] = globalRules[rule.selector];
       }
-      if (state.styles[element.tag]) {
-        appliedStyles[element.tag] = state.styles[element.tag];
+
+      // Component info (instance of, or master of)
+      let component = null;
+      if (element.instance) {
+        const def = state.components[element.instance.componentId];
+        component = {
+          role: 'instance',
+          id: element.instance.componentId,
+          name: def?.name || null,
+          masterId: def?.rootId || null,
+          overrides: element.instance.overrides,
+        };
+      } else {
+        const def = Object.values(state.components).find(c => c.rootId === element.id);
+        if (def) {
+          const instanceCount = Object.values(state.elements)
+            .filter(el => el.instance?.componentId === def.id).length;
+          component = { role: 'master', id: def.id, name: def.name, instanceCount };
+        }
       }
 
       // Page info
       const page = state.pages[element.pageId];
+
       const pageInfo = page ? { id: page.id, name: page.name } : null;
 
+      // Inline overrides beat every rule above
+      const inlineStyle = element.style || null;
+
       // Viewport info
       const viewport = state.project.viewport;
 
@@ -194,6 +254,13 @@ export function registerElementTools(server, app) {
         parent,
         children,
         appliedStyles,
+        appliedPageStyles,
+        inlineStyle,
+        // Winning value per property and where it came from (get_computed_styles has the rest)
+        computedStyles: Object.fromEntries(
+          Object.entries(computed.properties).map(([property, { value, source }]) => [property, { value, source }])
+        ),
+        component,
         page: pageInfo,
         viewport,
       };
@@ -203,4 +270,30 @@ export function registerElementTools(server, app) {
       };
     }
   );
+
+  server.tool(
+    'validate_html',
+    `Check the element tree against the HTML content model and return violations by element id. Rules: ${Object.entries(HTML_CONTENT_RULES).map(([rule, description]) => `${rule} (${description})`).join('; ')}. Element edits are checked as they happen too: in lenient mode (the default) new problems come back as warnings, in strict mode the edit is rejected (see set_html_validation)`,
+    {
+      pageId: z.string().optional().describe('Only validate this page (default: all pages)'),
+    },
+    async ({ pageId }) => {
+      const result = app.stateManager.validateHtml({ pageId });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'get_computed_styles',
+    'Resolve the CSS cascade for an element: every global and page rule whose selector matches it (descendant and compound selectors, attribute and structural pseudos, @media against the viewport), ranked by !important, inline style, @layer, specificity and order. Returns the winning value per property with its source selector and specificity, the declarations it overrode, values inherited from ancestors, and rules that only apply in another state (:hover, ::before, non-matching @media)',
+    {
+      elementId: z.string().describe('Element ID (virtual instance node IDs work too)'),
+      width: z.number().optional().describe('Viewport width to evaluate @media rules at (default: project viewport)'),
+      height: z.number().optional().describe('Viewport height to evaluate @media rules at (default: project viewport)'),
+    },
+    async ({ elementId, width, height }) => {
+      const result = app.stateManager.getComputedStyles({ elementId, viewport: { width, height } });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
 }
@@ -0,0 +1,24 @@
+import { z } from 'zod';
+
+export function registerFindReplaceTools(server, app) {
+  server.tool(
+    'find_replace',
+    'Find and replace across text content, attribute values and style values, on one page or the whole project. Use dryRun to preview matches first. Applied changes are a single undo step',
+    {
+      find: z.string().describe('Text (or regular expression when regex is true) to search for'),
+      replace: z.string().describe('Replacement. With regex, $1 / $<name> refer to capture groups'),
+      regex: z.boolean().optional().describe('Treat find as a JavaScript regular expression (default false)'),
+      caseSensitive: z.boolean().optional().describe('Match case (default false)'),
+      scope: z.enum(['text', 'attributes', 'styles', 'all']).optional().describe('What to search (default "all")'),
+      pageId: z.string().optional().describe('Limit to one page\'s elements and page-scoped styles. Omit to search the whole project, including global styles'),
+      dryRun: z.boolean().optional().describe('Only list matches, without changing anything'),
+    },
+    async (params) => {
+      const result = app.stateManager.findReplace(params);
+      if (!result.dryRun && result.matchCount > 0) {
+        app.notifyActivity('[edit] find_replace', `Replaced "${params.find}" in ${result.matchCount} place(s)`);
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+}
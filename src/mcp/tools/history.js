@@ -43,6 +43,58 @@ export function registerHistoryTools(server, app) {
     }
   );
 
+  server.tool(
+    'undo',
+    'Undo the most recent design changes (elements, styles, tokens, pages). History is in-memory and cleared on checkout_version or project switch',
+    {
+      steps: z.number().int().min(1).optional().default(1).describe('Number of changes to undo (default: 1)'),
+    },
+    async ({ steps }) => {
+      const undone = [];
+      let failure = null;
+      for (let i = 0; i < steps && app.stateManager.getUndoState().canUndo; i++) {
+        try {
+          undone.push(app.stateManager.undo());
+        } catch (err) {
+          // Earlier steps stay applied, so report them along with the failure
+          failure = err;
+          break;
+        }
+      }
+      if (undone.length === 0) throw failure || new Error('Nothing to undo');
+
+      app.notifyActivity('[history] undo', `Undid ${undone.join(', ')}${failure ? ` (stopped: ${failure.message})` : ''}`);
+      const result = { undone, ...(failure ? { error: failure.message } : {}), ...app.stateManager.getUndoState() };
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'redo',
+    'Re-apply changes previously reverted with undo',
+    {
+      steps: z.number().int().min(1).optional().default(1).describe('Number of changes to redo (default: 1)'),
+    },
+    async ({ steps }) => {
+      const redone = [];
+      let failure = null;
+      for (let i = 0; i < steps && app.stateManager.getUndoState().canRedo; i++) {
+        try {
+          redone.push(app.stateManager.redo());
+        } catch (err) {
+          // Earlier steps stay applied, so report them along with the failure
+          failure = err;
+          break;
+        }
+      }
+      if (redone.length === 0) throw failure || new Error('Nothing to redo');
+
+      app.notifyActivity('[history] redo', `Redid ${redone.join(', ')}${failure ? ` (stopped: ${failure.message})` : ''}`);
+      const result = { redone, ...(failure ? { error: failure.message } : {}), ...app.stateManager.getUndoState() };
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
   server.tool(
     'get_diff',
     'Get diff between current state and a commit',
@@ -0,0 +1,128 @@
+import { z } from 'zod';
+import { isValidTokenCategory } from '../../state/tokens.js';
+import { ElementDefSchema } from './elements.js';
+
+const ref = z.string().optional().describe('Name for the created item; later operations can use "$name" (or "$name.rootId" for pages) in ID fields');
+
+const OperationSchema = z.discriminatedUnion('op', [
+  z.object({
+    op: z.literal('create_element'),
+    tag: z.string(),
+    parentId: z.string(),
+    classes: z.array(z.string()).optional(),
+    attributes: z.record(z.string()).optional(),
+    textContent: z.string().optional(),
+    style: z.record(z.string()).optional(),
+    insertIndex: z.number().optional(),
+    ref,
+  }),
+  z.object({
+    op: z.literal('batch_create_elements'),
+    parentId: z.string(),
+    elements: z.array(ElementDefSchema),
+    ref,
+  }),
+  z.object({
+    op: z.literal('duplicate_element'),
+    id: z.string(),
+    count: z.number().int().optional(),
+    parentId: z.string().optional(),
+    insertIndex: z.number().optional(),
+    pageId: z.string().optional(),
+    ref,
+  }),
+  z.object({
+    op: z.literal('update_element'),
+    id: z.string(),
+    tag: z.string().optional(),
+    classes: z.array(z.string()).optional(),
+    attributes: z.record(z.string()).optional(),
+    textContent: z.string().nullable().optional(),
+    style: z.record(z.string().nullable()).optional(),
+  }),
+  z.object({
+    op: z.literal('delete_element'),
+    id: z.string(),
+  }),
+  z.object({
+    op: z.literal('move_element'),
+    id: z.string(),
+    newParentId: z.string(),
+    insertIndex: z.number().optional(),
+  }),
+  z.object({
+    op: z.literal('set_styles'),
+    selector: z.string(),
+    properties: z.record(z.string()),
+    pageId: z.string().optional(),
+  }),
+  z.object({
+    op: z.literal('batch_set_styles'),
+    styles: z.array(z.object({ selector: z.string(), properties: z.record(z.string()) })),
+    pageId: z.string().optional(),
+  }),
+  z.object({
+    op: z.literal('delete_styles'),
+    selector: z.string(),
+    pageId: z.string().optional(),
+  }),
+  z.object({
+    op: z.literal('set_design_tokens'),
+    category: z.string().refine(isValidTokenCategory, 'Category must be kebab-case'),
+    tokens: z.record(z.string()),
+  }),
+  z.object({
+    op: z.literal('set_theme_mode'),
+    mode: z.string(),
+    tokens: z.record(z.record(z.string().nullable())).optional(),
+    colorScheme: z.enum(['light', 'dark']).nullable().optional(),
+  }),
+  z.object({
+    op: z.literal('delete_theme_mode'),
+    mode: z.string(),
+  }),
+  z.object({
+    op: z.literal('set_keyframes'),
+    name: z.string(),
+    frames: z.record(z.record(z.string())),
+  }),
+  z.object({
+    op: z.literal('delete_keyframes'),
+    name: z.string(),
+  }),
+  z.object({
+    op: z.literal('create_page'),
+    name: z.string(),
+    ref,
+  }),
+  z.object({
+    op: z.literal('clone_page'),
+    sourcePageId: z.string(),
+    name: z.string(),
+    ref,
+  }),
+  z.object({
+    op: z.literal('rename_page'),
+    pageId: z.string(),
+    name: z.string(),
+  }),
+  z.object({
+    op: z.literal('delete_page'),
+    pageId: z.string(),
+  }),
+]);
+
+export function registerOperationTools(server, app) {
+  server.tool(
+    'apply_operations',
+    'Apply an ordered list of element/style/page/token operations atomically: if any operation fails, none are applied. Viewers receive one update and the whole list is a single undo step',
+    {
+      operations: z.array(OperationSchema).min(1).describe('Operations in order. Each has an "op" field plus the same parameters as the matching tool'),
+    },
+    async ({ operations }) => {
+      const result = app.stateManager.applyOperations(operations);
+      app.notifyActivity('[operations] apply_operations', `Applied ${result.applied} operations`);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+}
@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import { DESIGN_TYPES } from '../../state/schema.js';
+import { HTML_VALIDATION_MODES } from '../../state/html-content.js';
 
 export function registerProjectTools(server, app) {
   server.tool(
@@ -93,4 +94,17 @@ export function registerProjectTools(server, app) {
       return { content: [{ type: 'text', text: `Design type set to "${designType}"` }] };
     }
   );
+
+  server.tool(
+    'set_html_validation',
+    'Set how element edits that break the HTML content model (a <div> inside a <p>, children under an <img>, an <li> outside a list…) are handled: "lenient" (default) applies them and returns warnings, "strict" rejects them',
+    {
+      mode: z.enum(HTML_VALIDATION_MODES).describe('Validation mode'),
+    },
+    async ({ mode }) => {
+      app.stateManager.setHtmlValidation(mode);
+      app.notifyActivity('[project] set_html_validation', `Set HTML validation to "${mode}"`);
+      return { content: [{ type: 'text', text: `HTML validation set to "${mode}"` }] };
+    }
+  );
 }
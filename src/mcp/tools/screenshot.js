@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import { requestScreenshot } from '../../web/server.js';
+import { DEFAULT_THEME_MODE } from '../../state/tokens.js';
 
 export function registerScreenshotTools(server, app) {
   server.tool(
@@ -8,18 +9,26 @@ export function registerScreenshotTools(server, app) {
     {
       pageId: z.string().optional().describe('Page ID to capture (defaults to active page)'),
       device: z.string().optional().describe('Device preset for capture: "mobile", "tablet", or "desktop"'),
+      theme: z.string().optional().describe('Theme mode to render ("default" for base tokens), or "all" for one screenshot per mode. Omit to use the viewer\'s current mode'),
     },
-    async ({ pageId, device }) => {
+    async ({ pageId, device, theme }) => {
       try {
-        const base64 = await requestScreenshot(app, { pageId, device });
-        app.notifyActivity('[screenshot] screenshot_page', `Captured screenshot${pageId ? ` of page ${pageId}` : ''}${device ? ` at ${device} size` : ''}`);
-        return {
-          content: [{
-            type: 'image',
-            data: base64,
-            mimeType: 'image/png',
-          }],
-        };
+        const modes = theme === 'all'
+          ? [DEFAULT_THEME_MODE, ...Object.keys(app.stateManager.state.themeModes)]
+          : [theme];
+        if (theme && theme !== 'all' && theme !== DEFAULT_THEME_MODE && !app.stateManager.state.themeModes[theme]) {
+          throw new Error(`Theme mode "${theme}" not found`);
+        }
+
+        const content = [];
+        for (const mode of modes) {
+          const base64 = await requestScreenshot(app, { pageId, device, theme: mode });
+          if (modes.length > 1) content.push({ type: 'text', text: `Theme mode: ${mode}` });
+          content.push({ type: 'image', data: base64, mimeType: 'image/png' });
+        }
+
+        app.notifyActivity('[screenshot] screenshot_page', `Captured screenshot${pageId ? ` of page ${pageId}` : ''}${device ? ` at ${device} size` : ''}${theme ? ` (${theme === 'all' ? 'all theme modes' : `${theme} theme`})` : ''}`);
+        return { content };
       } catch (err) {
         return {
           content: [{
@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { TOKEN_CATEGORIES, isValidTokenCategory } from '../../state/tokens.js';
+import { STYLE_LINT_RULES } from '../../state/style-lint.js';
 
 export function registerStyleTools(server, app) {
   server.tool(
@@ -7,10 +9,12 @@ export function registerStyleTools(server, app) {
     {
       selector: z.string().describe('CSS selector (e.g. ".header", ".hero-title", "body")'),
       properties: z.record(z.string()).describe('CSS properties (e.g. { "background-color": "#007bff", "padding": "16px" })'),
+      pageId: z.string().optional().describe('Scope the rule to one page (rendered after global styles). Omit for a global rule'),
+      validate: z.boolean().optional().default(false).describe('Reject the call if a property name is unknown or a value is malformed (e.g. "padding": "16")'),
     },
-    async ({ selector, properties }) => {
-      const styles = app.stateManager.setStyles(selector, properties);
-      app.notifyActivity('[style] set_styles', `Updated styles for "${selector}"`);
+    async ({ selector, properties, pageId, validate }) => {
+      const styles = app.stateManager.setStyles(selector, properties, pageId, { validate });
+      app.notifyActivity('[style] set_styles', `Updated styles for "${selector}"${pageId ? ` on page "${pageId}"` : ''}`);
       return { content: [{ type: 'text', text: JSON.stringify({ [selector]: styles }, null, 2) }] };
     }
   );
@@ -20,13 +24,15 @@ export function registerStyleTools(server, app) {
     'Define or update multiple CSS classes in one call. Much faster than individual set_styles calls.',
     {
       styles: z.array(z.object({
-        selector: z.string().describe('CSS selector (e.g. ".header", "@media (max-width: 768px) .header")'),
+        selector: z.string().describe('CSS selector, optionally prefixed with at-rules (e.g. ".header", "@media (max-width: 768px) .header", "@supports (display: grid) .grid")'),
         properties: z.record(z.string()).describe('CSS properties'),
       })).describe('Array of { selector, properties } pairs'),
+      pageId: z.string().optional().describe('Scope all rules to one page (rendered after global styles). Omit for global rules'),
+      validate: z.boolean().optional().default(false).describe('Reject the whole batch if any property name is unknown or any value is malformed'),
     },
-    async ({ styles }) => {
-      const result = app.stateManager.batchSetStyles(styles);
-      app.notifyActivity('[style] batch_set_styles', `Updated ${styles.length} style rules`);
+    async ({ styles, pageId, validate }) => {
+      const result = app.stateManager.batchSetStyles(styles, pageId, { validate });
+      app.notifyActivity('[style] batch_set_styles', `Updated ${styles.length} style rules${pageId ? ` on page "${pageId}"` : ''}`);
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     }
   );
@@ -36,31 +42,68 @@ export function registerStyleTools(server, app) {
     'Remove a CSS class definition',
     {
       selector: z.string().describe('CSS selector to remove'),
+      pageId: z.string().optional().describe('Remove a page-scoped rule from this page instead of a global one'),
     },
-    async ({ selector }) => {
-      app.stateManager.deleteStyles(selector);
-      app.notifyActivity('[style] delete_styles', `Deleted styles for "${selector}"`);
+    async ({ selector, pageId }) => {
+      app.stateManager.deleteStyles(selector, pageId);
+      app.notifyActivity('[style] delete_styles', `Deleted styles for "${selector}"${pageId ? ` from page "${pageId}"` : ''}`);
       return { content: [{ type: 'text', text: `Deleted styles for "${selector}"` }] };
     }
   );
 
   server.tool(
     'list_styles',
-    'List all defined CSS styles',
-    {},
-    async () => {
-      const styles = app.stateManager.listStyles();
+    'List all defined CSS styles (global, or page-scoped when pageId is given)',
+    {
+      pageId: z.string().optional().describe('List the page-scoped rules of this page instead of global ones'),
+    },
+    async ({ pageId }) => {
+      const styles = app.stateManager.listStyles(pageId);
       return { content: [{ type: 'text', text: JSON.stringify(styles, null, 2) }] };
     }
   );
 
+  server.tool(
+    'lint_styles',
+    `Lint style rules, element style maps and keyframes and return issues with fix suggestions. Rules: ${Object.entries(STYLE_LINT_RULES).map(([rule, { description }]) => `${rule} (${description.toLowerCase()})`).join('; ')}`,
+    {
+      pageId: z.string().optional().describe('Only lint this page\'s rules and elements (default: everything)'),
+      rules: z.array(z.string()).optional().describe('Only run these rules'),
+    },
+    async (params) => {
+      const result = app.stateManager.lintStyles(params);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'prune_styles',
+    'Delete style rules whose selectors name a class, id or tag that no element has (global rules checked against all pages, page-scoped ones against their page; media-query-wrapped rules by their inner selector). State rules like ".btn.is-active", where only the modifier class is missing, are reported as possiblyDynamic and kept. Classes no rule references are listed in unusedClasses and only stripped when named in removeClasses, since scripts may rely on them. Applied as one undoable change and saved as a git revision. Run with dryRun first to see what would go',
+    {
+      dryRun: z.boolean().optional().default(false).describe('Only report what would be removed'),
+      removeClasses: z.array(z.string()).optional().default([]).describe('Classes to strip from elements where no selector references them (pick from a dry run\'s unusedClasses; leave out script hooks like js-* or is-*)'),
+    },
+    async ({ dryRun, removeClasses }) => {
+      const result = app.stateManager.pruneStyles({ dryRun, removeClasses });
+      const ruleCount = result.removedRules.length;
+      const classCount = result.classesRemoved.reduce((n, { classes }) => n + classes.length, 0);
+      if (!dryRun && (ruleCount > 0 || classCount > 0)) {
+        const summary = `Pruned ${ruleCount} unused style rule${ruleCount === 1 ? '' : 's'}${classCount > 0 ? ` and ${classCount} unused class${classCount === 1 ? '' : 'es'}` : ''}`;
+        await app.saveRevision(summary);
+        app.notifyActivity('[style] prune_styles', summary);
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
   server.tool(
     'set_design_tokens',
-    'Set design tokens (colors, fonts, spacing)',
+    'Set design tokens for one category. Tokens are exported as CSS variables (--<category>-<key>) and substituted into matching style values; a style value can also name a token explicitly as "{category.key}"',
     {
-      category: z.enum(['colors', 'fonts', 'spacing']).describe('Token category'),
-      tokens: z.record(z.string()).describe('Token key-value pairs (e.g. { "primary": "#007bff", "danger": "#dc3545" })'),
-      propagate: z.boolean().optional().default(false).describe('When true, also updates every CSS style that references the old token value (global find-and-replace)'),
+      category: z.string().refine(isValidTokenCategory, 'Category must be kebab-case (e.g. "radii", "brand-gradients")')
+        .describe(`Token category: ${Object.keys(TOKEN_CATEGORIES).join(', ')}, or any kebab-case name for a custom category`),
+      tokens: z.record(z.string()).describe('Token key-value pairs (e.g. { "primary": "#007bff", "danger": "#dc3545" }). A value of "{category.key}" makes the token an alias of another token (e.g. { "button-bg": "{colors.blue-600}" })'),
+      propagate: z.boolean().optional().default(false).describe('When true, also updates every CSS style that references the old (resolved) token value (global find-and-replace)'),
     },
     async ({ category, tokens, propagate }) => {
       let totalUpdatedStyles = 0;
@@ -90,10 +133,12 @@ export function registerStyleTools(server, app) {
 
   server.tool(
     'get_design_tokens',
-    'Get all design tokens',
-    {},
-    async () => {
-      const tokens = app.stateManager.getDesignTokens();
+    'Get all design tokens. Aliases are returned as written ("{colors.blue-600}") unless resolve is set',
+    {
+      resolve: z.boolean().optional().default(false).describe('Replace every alias with the value it resolves to'),
+    },
+    async ({ resolve }) => {
+      const tokens = resolve ? app.stateManager.getResolvedDesignTokens() : app.stateManager.getDesignTokens();
       return { content: [{ type: 'text', text: JSON.stringify(tokens, null, 2) }] };
     }
   );
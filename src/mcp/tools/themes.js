@@ -0,0 +1,43 @@
+import { z } from 'zod';
+
+export function registerThemeTools(server, app) {
+  server.tool(
+    'set_theme_mode',
+    'Create or update a theme mode (e.g. "dark"): per-mode values for existing design tokens. Exported CSS switches them with [data-theme="<mode>"], and a mode with a colorScheme also follows prefers-color-scheme',
+    {
+      mode: z.string().describe('Mode name, kebab-case (e.g. "dark", "high-contrast")'),
+      tokens: z.record(z.record(z.string().nullable())).optional()
+        .describe('Category → token key → value in this mode, merged into existing values; null removes a value (e.g. { "colors": { "bg": "#0d0d0d", "text": "{colors.gray-100}" } })'),
+      colorScheme: z.enum(['light', 'dark']).nullable().optional()
+        .describe('Color scheme this mode represents; null clears it'),
+    },
+    async ({ mode, tokens, colorScheme }) => {
+      const result = app.stateManager.setThemeMode(mode, { tokens, colorScheme });
+      app.notifyActivity('[style] set_theme_mode', `Updated theme mode "${mode}"`);
+      return { content: [{ type: 'text', text: JSON.stringify({ [mode]: result }, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'delete_theme_mode',
+    'Remove a theme mode and all of its token values',
+    {
+      mode: z.string().describe('Mode name'),
+    },
+    async ({ mode }) => {
+      app.stateManager.deleteThemeMode(mode);
+      app.notifyActivity('[style] delete_theme_mode', `Deleted theme mode "${mode}"`);
+      return { content: [{ type: 'text', text: `Deleted theme mode "${mode}"` }] };
+    }
+  );
+
+  server.tool(
+    'list_theme_modes',
+    'List theme modes with their token overrides and the full token set each resolves to',
+    {},
+    async () => {
+      const modes = app.stateManager.listThemeModes();
+      return { content: [{ type: 'text', text: JSON.stringify(modes, null, 2) }] };
+    }
+  );
+}
@@ -0,0 +1,95 @@
+import { z } from 'zod';
+import { exportDtcg } from '../../state/dtcg.js';
+import { TOKEN_FORMATS, renderTokenFile } from '../../renderer/tokens.js';
+
+const FENCE_LANGUAGES = { css: 'css', scss: 'scss', ts: 'ts', tailwind: 'js' };
+
+export function registerTokenTools(server, app) {
+  server.tool(
+    'import_design_tokens',
+    'Import design tokens from a W3C Design Tokens (DTCG) JSON document, e.g. a Style Dictionary tokens.json. Top-level groups become token categories, nested paths become kebab-case keys, and aliases are kept. Reports tokens that have no CSS equivalent',
+    {
+      tokens: z.union([z.string(), z.record(z.any())]).describe('The DTCG document, as a JSON object or string'),
+      replace: z.boolean().optional().default(false).describe('Replace the existing tokens of every imported category instead of merging into them'),
+      dryRun: z.boolean().optional().default(false).describe('Only report what would be imported'),
+    },
+    async ({ tokens, replace, dryRun }) => {
+      const result = app.stateManager.importDtcgTokens(tokens, { replace, dryRun });
+      if (!dryRun) {
+        app.notifyActivity('[style] import_design_tokens', `Imported ${result.imported} design tokens`);
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'export_design_tokens',
+    'Export all design tokens as a W3C Design Tokens (DTCG) JSON document for Style Dictionary and other tools. Each category becomes a group; values that don\'t fit the category\'s $type are exported untyped and reported',
+    {},
+    async () => {
+      const { document, report } = exportDtcg(app.stateManager.getDesignTokens());
+      return {
+        content: [
+          { type: 'text', text: JSON.stringify(document, null, 2) },
+          { type: 'text', text: JSON.stringify({ report }, null, 2) },
+        ],
+      };
+    }
+  );
+
+  server.tool(
+    'get_token_usage',
+    'Report where each design token is used: style rules, element style maps and keyframes (by page) that reference it, and those that hard-code its value instead. Flags unused tokens and references to tokens that don\'t exist (orphaned)',
+    {
+      category: z.string().optional().describe('Only report tokens of this category'),
+      unusedOnly: z.boolean().optional().default(false).describe('Only list unused tokens'),
+    },
+    async ({ category, unusedOnly }) => {
+      const usage = app.stateManager.getTokenUsage();
+      let tokens = category ? usage.tokens.filter(t => t.category === category) : usage.tokens;
+      if (unusedOnly) tokens = tokens.filter(t => !t.used);
+      const result = {
+        unused: usage.unused.filter(name => tokens.some(t => t.token === name)),
+        hardcoded: usage.hardcoded.filter(name => tokens.some(t => t.token === name)),
+        orphaned: usage.orphaned,
+        tokens,
+      };
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'tokenize_styles',
+    'Replace hard-coded style values that equal a design token with explicit token references ({colors.primary}), so they follow token edits and theme modes. Colors match in any format (#fff, #FFFFFF, rgb(255 255 255)). Values close to a token (15px vs a 16px spacing token) are reported as near-misses but not changed. Use dryRun to preview; applied changes are a single undo step',
+    {
+      pageId: z.string().optional().describe('Only tokenize this page\'s scoped styles. Omit for global styles and every page\'s scoped styles'),
+      tolerance: z.number().min(0).max(1).optional().default(0.1).describe('How far off a length may be, relative to the token, to be reported as a near-miss (default 0.1 = 10%)'),
+      dryRun: z.boolean().optional().default(false).describe('Only report matches, without changing anything'),
+    },
+    async (params) => {
+      const result = app.stateManager.tokenizeStyles(params);
+      if (!result.dryRun && result.replacementCount > 0) {
+        app.notifyActivity('[style] tokenize_styles', `Tokenized ${result.replacementCount} style value(s)`);
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  server.tool(
+    'export_tokens',
+    'Generate design token code for rebuilding the design: tokens.css (CSS variables with theme modes), _tokens.scss (variables and maps), tokens.ts (typed values and var() references) and a tailwind.config.js theme extension. The ZIP export includes the same files in a tokens/ folder only when its Tokens option is selected (?tokens=true)',
+    {
+      format: z.enum(['css', 'scss', 'ts', 'tailwind', 'all']).optional().default('all').describe('File to generate (default: all four)'),
+    },
+    async ({ format }) => {
+      const { designTokens, themeModes } = app.stateManager.getState();
+      const formats = format === 'all' ? Object.keys(TOKEN_FORMATS) : [format];
+      return {
+        content: formats.map(f => ({
+          type: 'text',
+          text: `${TOKEN_FORMATS[f]}\n\`\`\`${FENCE_LANGUAGES[f]}\n${renderTokenFile(f, designTokens, themeModes)}\`\`\``,
+        })),
+      };
+    }
+  );
+}
@@ -84,11 +84,15 @@ export class ProjectManager extends EventEmitter {
     this.gitManager = new GitManager(projectDir);
     await this.gitManager.init();
 
-    // Wire up delta listener — will be rewired on project switch
+    // Wire up delta and undo-state listeners — will be rewired on project switch
     this._deltaHandler = (delta) => {
       this.emit('delta', delta);
     };
+    this._undoHandler = (undoState) => {
+      this.emit('undo', undoState);
+    };
     this.stateManager.on('delta', this._deltaHandler);
+    this.stateManager.on('undo', this._undoHandler);
   }
 
   async _teardownProject() {
@@ -99,11 +103,15 @@ export class ProjectManager extends EventEmitter {
       await this.writer.waitForFlush();
     }
 
-    // Remove delta listener
+    // Remove delta and undo-state listeners
     if (this._deltaHandler) {
       this.stateManager.removeListener('delta', this._deltaHandler);
       this._deltaHandler = null;
     }
+    if (this._undoHandler) {
+      this.stateManager.removeListener('undo', this._undoHandler);
+      this._undoHandler = null;
+    }
 
     this.stateManager = null;
     this.writer = null;
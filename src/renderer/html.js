@@ -1,7 +1,7 @@
-const VOID_ELEMENTS = new Set([
-  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
-  'link', 'meta', 'param', 'source', 'track', 'wbr',
-]);
+import { expandInstances } from '../state/components.js';
+import { groupStyleRules } from '../state/at-rules.js';
+import { parseTokenAlias, buildTokenVarMap, substituteTokenVars } from '../state/tokens.js';
+import { VOID_ELEMENTS } from '../state/html-content.js';
 
 function escapeHtml(str) {
   return str
@@ -11,18 +11,33 @@ function escapeHtml(str) {
     .replace(/"/g, '&quot;');
 }
 
-function renderElement(element, elements, indent = '') {
+// The element's style map goes after any literal style attribute so it wins
+function renderInlineStyle(element, varMap) {
+  const parts = [];
+  if (element.attributes.style) parts.push(element.attributes.style.trim().replace(/;$/, ''));
+  for (const [prop, val] of Object.entries(element.style || {})) {
+    parts.push(`${prop}: ${substituteTokenVars(val, varMap, prop)}`);
+  }
+  return parts.join('; ');
+}
+
+function renderElement(element, elements, indent = '', varMap = []) {
   const attrs = [];
 
   if (element.classes.length > 0) {
     attrs.push(`class="${escapeHtml(element.classes.join(' '))}"`);
   }
 
-  attrs.push(`data-ofid="${element.id}"`);
+  // Nodes expanded from a component instance select the instance itself
+  attrs.push(`data-ofid="${element.instanceId || element.id}"`);
 
   for (const [key, value] of Object.entries(element.attributes)) {
+    if (key === 'style' && element.style) continue;
     attrs.push(`${escapeHtml(key)}="${escapeHtml(value)}"`);
   }
+  if (element.style) {
+    attrs.push(`style="${escapeHtml(renderInlineStyle(element, varMap))}"`);
+  }
 
   const attrStr = attrs.length > 0 ? ' ' + attrs.join(' ') : '';
   const tag = element.tag;
@@ -42,7 +57,7 @@ function renderElement(element, elements, indent = '') {
   for (const childId of element.children) {
     const child = elements[childId];
     if (child) {
-      lines.push(renderElement(child, elements, indent + '  '));
+      lines.push(renderElement(child, elements, indent + '  ', varMap));
     }
   }
 
@@ -50,74 +65,50 @@ function renderElement(element, elements, indent = '') {
   return lines.join('\n');
 }
 
-function buildTokenVarMap(designTokens) {
-  // Build a map of raw token values → CSS variable names, plus the :root block
-  const varMap = []; // [{ raw, varName, escaped, regex }]
-  const rootProps = [];
-
-  if (!designTokens) return { varMap, rootBlock: '' };
-
-  for (const category of ['colors', 'fonts', 'spacing']) {
-    const tokens = designTokens[category];
-    if (!tokens) continue;
-    for (const [key, value] of Object.entries(tokens)) {
-      if (!value) continue;
-      const varName = `--${category}-${key}`;
-      rootProps.push(`  ${varName}: ${value};`);
-      const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      varMap.push({
-        raw: value,
-        varName,
-        regex: new RegExp(`(?<![a-zA-Z0-9#])${escaped}(?![a-zA-Z0-9])`, 'g'),
-      });
-    }
-  }
+function renderRule({ selector, properties }, varMap, indent) {
+  const props = Object.entries(properties)
+    .map(([prop, val]) => `${indent}  ${prop}: ${substituteTokenVars(val, varMap, prop)};`)
+    .join('\n');
+  return `${indent}${selector} {\n${props}\n${indent}}`;
+}
 
-  const rootBlock = rootProps.length > 0
-    ? `:root {\n${rootProps.join('\n')}\n}`
-    : '';
+function renderAtRuleGroup(group, varMap, indent) {
+  const inner = [
+    ...group.rules.map(rule => renderRule(rule, varMap, indent + '  ')),
+    ...group.groups.map(child => renderAtRuleGroup(child, varMap, indent + '  ')),
+  ];
+  return `${indent}${group.atRule} {\n${inner.join('\n\n')}\n${indent}}`;
+}
 
-  return { varMap, rootBlock };
+// Plain rules first, then at-rule blocks (@media, @supports, …) so that
+// conditional overrides follow the rules they override
+function renderRuleSet(scope, varMap) {
+  const { rules, groups } = groupStyleRules(scope);
+  return [
+    ...rules.map(rule => renderRule(rule, varMap, '')),
+    ...groups.map(group => renderAtRuleGroup(group, varMap, '')),
+  ];
 }
 
-function substituteTokenVars(value, varMap) {
-  let result = value;
-  for (const { regex, varName } of varMap) {
-    regex.lastIndex = 0;
-    result = result.replace(regex, `var(${varName})`);
-  }
-  return result;
+function renderKeyframes(keyframes, varMap) {
+  return Object.entries(keyframes || {}).map(([name, frames]) => {
+    const inner = Object.entries(frames).map(([offset, properties]) =>
+      renderRule({ selector: offset, properties }, varMap, '  '));
+    return `@keyframes ${name} {\n${inner.join('\n')}\n}`;
+  });
 }
 
-function renderStyles(styles, designTokens) {
-  const { varMap, rootBlock } = buildTokenVarMap(designTokens);
+function renderStyles(scope, { varMap, rootBlock }, pageScope, keyframes) {
   const rules = [];
-  const mediaGroups = {};
 
   if (rootBlock) {
     rules.push(rootBlock);
   }
 
-  for (const [selector, properties] of Object.entries(styles)) {
-    const mediaMatch = selector.match(/^(@media\s*\([^)]+\))\s+(.+)$/);
-    if (mediaMatch) {
-      const [, query, innerSelector] = mediaMatch;
-      if (!mediaGroups[query]) mediaGroups[query] = [];
-      const props = Object.entries(properties)
-        .map(([prop, val]) => `    ${prop}: ${substituteTokenVars(val, varMap)};`)
-        .join('\n');
-      mediaGroups[query].push(`  ${innerSelector} {\n${props}\n  }`);
-    } else {
-      const props = Object.entries(properties)
-        .map(([prop, val]) => `  ${prop}: ${substituteTokenVars(val, varMap)};`)
-        .join('\n');
-      rules.push(`${selector} {\n${props}\n}`);
-    }
-  }
-
-  for (const [query, innerRules] of Object.entries(mediaGroups)) {
-    rules.push(`${query} {\n${innerRules.join('\n\n')}\n}`);
-  }
+  // Page-scoped rules come after global ones so they win at equal specificity
+  rules.push(...renderRuleSet(scope, varMap));
+  rules.push(...renderRuleSet(pageScope, varMap));
+  rules.push(...renderKeyframes(keyframes, varMap));
 
   return rules.join('\n\n');
 }
@@ -139,6 +130,7 @@ function buildGoogleFontsLink(designTokens) {
   if (!designTokens?.fonts) return '';
   const families = new Set();
   for (const fontValue of Object.values(designTokens.fonts)) {
+    if (parseTokenAlias(fontValue)) continue;
     // Font values may include fallbacks like "Inter, sans-serif" — take the first part
     const primary = fontValue.split(',')[0].trim().replace(/['"]/g, '');
     if (GOOGLE_FONT_FAMILIES.has(primary)) {
@@ -172,17 +164,19 @@ export function renderPageHtml(state, pageId, standalone = false) {
   const page = state.pages[pid];
   if (!page) return '';
 
-  const rootElement = state.elements[page.rootId];
+  const elements = expandInstances(state.elements, state.components);
+  const rootElement = elements[page.rootId];
   if (!rootElement) return '';
 
-  const css = renderStyles(state.styles, state.designTokens);
+  const tokenVars = buildTokenVarMap(state.designTokens, state.themeModes);
+  const css = renderStyles(state, tokenVars, page, state.keyframes);
 
   if (standalone) {
     // Partition root's children into head-worthy (link/meta/base) and body children
     const headChildIds = [];
     const bodyChildIds = [];
     for (const childId of rootElement.children) {
-      const child = state.elements[childId];
+      const child = elements[childId];
       if (child && HEAD_TAGS.has(child.tag)) {
         headChildIds.push(childId);
       } else {
@@ -192,7 +186,7 @@ export function renderPageHtml(state, pageId, standalone = false) {
 
     // Render head elements as proper head tags (no data-ofid)
     const headElements = headChildIds
-      .map(id => state.elements[id])
+      .map(id => elements[id])
       .filter(Boolean)
       .map(el => renderHeadElement(el))
       .join('\n');
@@ -200,9 +194,9 @@ export function renderPageHtml(state, pageId, standalone = false) {
     // Render body with only non-head children
     const bodyLines = [`<${rootElement.tag} class="${escapeHtml(rootElement.classes.join(' '))}" data-ofid="${rootElement.id}">`];
     for (const childId of bodyChildIds) {
-      const child = state.elements[childId];
+      const child = elements[childId];
       if (child) {
-        bodyLines.push(renderElement(child, state.elements, '  '));
+        bodyLines.push(renderElement(child, elements, '  ', tokenVars.varMap));
       }
     }
     bodyLines.push(`</${rootElement.tag}>`);
@@ -227,7 +221,7 @@ ${body}
 </html>`;
   }
 
-  const body = renderElement(rootElement, state.elements);
+  const body = renderElement(rootElement, elements, '', tokenVars.varMap);
   return `<style>
 * { margin: 0; padding: 0; box-sizing: border-box; }
 ${css}
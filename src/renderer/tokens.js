@@ -0,0 +1,211 @@
+import {
+  orderedTokenCategories,
+  tokenVarName,
+  parseTokenAlias,
+  resolveDesignTokens,
+  tokensForMode,
+  buildTokenVarMap,
+} from '../state/tokens.js';
+
+// Token code generators: the current designTokens (and theme modes) as
+// source files for the stack a design is rebuilt in.
+
+export const TOKEN_FORMATS = {
+  css: 'tokens.css',
+  scss: '_tokens.scss',
+  ts: 'tokens.ts',
+  tailwind: 'tailwind.config.js',
+};
+
+// Built-in categories → Tailwind theme keys. Custom categories have no
+// Tailwind equivalent and are left to tokens.css.
+const TAILWIND_THEME_KEYS = {
+  colors: 'colors',
+  fonts: 'fontFamily',
+  spacing: 'spacing',
+  radii: 'borderRadius',
+  shadows: 'boxShadow',
+  'font-sizes': 'fontSize',
+  'font-weights': 'fontWeight',
+  'line-heights': 'lineHeight',
+  'letter-spacings': 'letterSpacing',
+  breakpoints: 'screens',
+  'z-index': 'zIndex',
+  durations: 'transitionDuration',
+  easings: 'transitionTimingFunction',
+  opacity: 'opacity',
+};
+
+const HEADER = 'Design tokens generated by GhostCanvas -- edit them in the design, not here.';
+
+function nonEmptyTokens(tokens) {
+  return Object.entries(tokens || {}).filter(([, value]) => value);
+}
+
+function quote(str) {
+  return `'${str.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function objectKey(key) {
+  return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? key : quote(key);
+}
+
+// Resolved values a mode changes, by category
+function modeOverrides(designTokens, themeModes, mode) {
+  const base = resolveDesignTokens(designTokens);
+  const themed = resolveDesignTokens(tokensForMode(designTokens, themeModes, mode));
+  const overrides = {};
+  for (const category of orderedTokenCategories(themed)) {
+    for (const [key, value] of nonEmptyTokens(themed[category])) {
+      if (base[category]?.[key] === value) continue;
+      overrides[category] ??= {};
+      overrides[category][key] = value;
+    }
+  }
+  return overrides;
+}
+
+// --- CSS ---
+
+export function renderTokensCss(designTokens, themeModes) {
+  const { rootBlock } = buildTokenVarMap(designTokens, themeModes);
+  return `/* ${HEADER} */\n\n${rootBlock}\n`;
+}
+
+// --- SCSS ---
+//
+// One variable per token holding its base value (aliases reference the
+// variable they point at), a map per category, and a map of the values each
+// theme mode overrides. Sass variables are fixed at compile time, so runtime
+// theming goes through tokens.css.
+
+function scssVarName(category, key) {
+  return `$${tokenVarName(category, key).slice(2)}`;
+}
+
+function scssValue(value) {
+  const alias = parseTokenAlias(value);
+  return alias ? scssVarName(alias.category, alias.key) : value;
+}
+
+export function renderTokensScss(designTokens, themeModes) {
+  const sections = [`// ${HEADER}`];
+
+  for (const category of orderedTokenCategories(designTokens)) {
+    const tokens = nonEmptyTokens(designTokens[category]);
+    if (tokens.length === 0) continue;
+    const vars = tokens.map(([key, value]) => `${scssVarName(category, key)}: ${scssValue(value)};`);
+    const map = tokens.map(([key]) => `  '${key}': ${scssVarName(category, key)},`);
+    sections.push(`// ${category}\n${vars.join('\n')}\n\n$${category}: (\n${map.join('\n')}\n);`);
+  }
+
+  const modes = Object.keys(themeModes || {});
+  if (modes.length > 0) {
+    const entries = modes.map(mode => {
+      const overrides = modeOverrides(designTokens, themeModes, mode);
+      const lines = Object.entries(overrides).flatMap(([category, tokens]) =>
+        Object.entries(tokens).map(([key, value]) => `    '${category}-${key}': ${value},`));
+      return `  '${mode}': (\n${lines.join('\n')}\n  ),`;
+    });
+    sections.push(`// Values each theme mode overrides\n$theme-modes: (\n${entries.join('\n')}\n);`);
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+// --- TypeScript ---
+//
+// Resolved values for code that needs them (canvas, charts, native), plus
+// `vars` -- the matching var() references, which follow the active theme.
+
+function tsObject(byCategory, indent, valueOf) {
+  const lines = [];
+  for (const category of orderedTokenCategories(byCategory)) {
+    const tokens = nonEmptyTokens(byCategory[category]);
+    if (tokens.length === 0) continue;
+    lines.push(`${indent}${objectKey(category)}: {`);
+    for (const [key, value] of tokens) {
+      lines.push(`${indent}  ${objectKey(key)}: ${quote(valueOf(category, key, value))},`);
+    }
+    lines.push(`${indent}},`);
+  }
+  return lines.join('\n');
+}
+
+export function renderTokensTs(designTokens, themeModes) {
+  const resolved = resolveDesignTokens(designTokens);
+  const sections = [
+    `// ${HEADER}`,
+    `export const tokens = {\n${tsObject(resolved, '  ', (c, k, value) => value)}\n} as const;`,
+    `export const vars = {\n${tsObject(resolved, '  ', (category, key) => `var(${tokenVarName(category, key)})`)}\n} as const;`,
+  ];
+
+  const modes = Object.keys(themeModes || {});
+  if (modes.length > 0) {
+    const entries = modes.map(mode => {
+      const overrides = modeOverrides(designTokens, themeModes, mode);
+      return `  ${objectKey(mode)}: {\n${tsObject(overrides, '    ', (c, k, value) => value)}\n  },`;
+    });
+    sections.push(`// Values each theme mode overrides\nexport const themeModes = {\n${entries.join('\n')}\n} as const;`);
+    sections.push(`export type ThemeMode = 'default' | keyof typeof themeModes;`);
+  }
+
+  sections.push('export type TokenCategory = keyof typeof tokens;');
+  return sections.join('\n\n') + '\n';
+}
+
+// --- Tailwind ---
+//
+// A theme extension whose values are the token variables, so utilities like
+// bg-primary follow theme modes. Load tokens.css alongside it. Breakpoints
+// can't be variables in media queries and use their resolved values.
+
+export function renderTailwindConfig(designTokens) {
+  const resolved = resolveDesignTokens(designTokens);
+  const theme = [];
+  const skipped = [];
+
+  for (const category of orderedTokenCategories(designTokens)) {
+    const tokens = nonEmptyTokens(designTokens[category]);
+    if (tokens.length === 0) continue;
+    const themeKey = TAILWIND_THEME_KEYS[category];
+    if (!themeKey) {
+      skipped.push(category);
+      continue;
+    }
+    const lines = tokens.map(([key]) => {
+      const value = category === 'breakpoints'
+        ? resolved[category][key]
+        : `var(${tokenVarName(category, key)})`;
+      return `        ${objectKey(key)}: ${quote(value)},`;
+    });
+    theme.push(`      ${themeKey}: {\n${lines.join('\n')}\n      },`);
+  }
+
+  const notes = [`// ${HEADER}`, '// Values are the variables from tokens.css -- include it in your global styles.'];
+  if (skipped.length > 0) {
+    notes.push(`// Not mapped (no Tailwind theme key): ${skipped.join(', ')}`);
+  }
+
+  return `${notes.join('\n')}
+
+/** @type {import('tailwindcss').Config} */
+export default {
+  theme: {
+    extend: {
+${theme.join('\n')}
+    },
+  },
+};
+`;
+}
+
+export function renderTokenFile(format, designTokens, themeModes) {
+  switch (format) {
+    case 'css': return renderTokensCss(designTokens, themeModes);
+    case 'scss': return renderTokensScss(designTokens, themeModes);
+    case 'ts': return renderTokensTs(designTokens, themeModes);
+    case 'tailwind': return renderTailwindConfig(designTokens);
+    default: throw new Error(`Unknown token format "${format}"`);
+  }
+}
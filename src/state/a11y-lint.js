@@ -0,0 +1,183 @@
+import { expandInstances } from './components.js';
+
+// Accessibility lint over the stored element tree. Each page is walked in
+// document order and checked against the rules below; a violation names the
+// element to select (the instance for nodes inside a component instance, with
+// the master node to fix in `masterId`) and how to fix it.
+
+export const A11Y_RULES = {
+  'img-alt': { severity: 'error', description: 'Images need an alt attribute' },
+  'heading-order': { severity: 'warning', description: 'Heading levels should only increase by one' },
+  'page-has-h1': { severity: 'warning', description: 'A page should have a level-one heading' },
+  'button-name': { severity: 'error', description: 'Buttons need an accessible name' },
+  'link-name': { severity: 'error', description: 'Links need an accessible name' },
+  'form-label': { severity: 'error', description: 'Form fields need a label' },
+  'landmark-main': { severity: 'warning', description: 'A page should have exactly one main landmark' },
+};
+
+const HEAD_TAGS = new Set(['style', 'script', 'link', 'meta', 'base', 'title']);
+
+// Input types that don't take a typed value, so need no label
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'reset', 'button', 'image']);
+
+function attr(element, name) {
+  const value = element.attributes?.[name];
+  return value === undefined ? undefined : String(value);
+}
+
+function hasAriaName(element) {
+  return Boolean(attr(element, 'aria-label')?.trim() || attr(element, 'aria-labelledby')?.trim() || attr(element, 'title')?.trim());
+}
+
+function isHidden(element) {
+  return attr(element, 'aria-hidden') === 'true' || attr(element, 'hidden') !== undefined;
+}
+
+// Text a screen reader would announce for the subtree: text content, the
+// alt text of images and aria-labels, skipping aria-hidden parts
+function subtreeText(element, elements) {
+  if (isHidden(element)) return '';
+  if (attr(element, 'aria-label')?.trim()) return attr(element, 'aria-label');
+  if (element.tag === 'img') return attr(element, 'alt') || '';
+  const parts = [element.textContent || ''];
+  for (const childId of element.children) {
+    const child = elements[childId];
+    if (child) parts.push(subtreeText(child, elements));
+  }
+  return parts.join(' ').trim();
+}
+
+function hasAccessibleName(element, elements) {
+  return hasAriaName(element) || Boolean(subtreeText(element, elements));
+}
+
+function headingLevel(element) {
+  const match = element.tag.match(/^h([1-6])$/);
+  if (match) return Number(match[1]);
+  if (attr(element, 'role') === 'heading') return Number(attr(element, 'aria-level')) || 2;
+  return null;
+}
+
+function describe(element) {
+  const text = (element.textContent || '').trim();
+  const preview = text.length > 30 ? text.slice(0, 27) + '...' : text;
+  return `<${element.tag}${element.classes.length > 0 ? '.' + element.classes.join('.') : ''}>${preview ? ` "${preview}"` : ''}`;
+}
+
+function lintPage(page, elements) {
+  const violations = [];
+  const report = (rule, element, message, suggestion) => {
+    violations.push({
+      rule,
+      severity: A11Y_RULES[rule].severity,
+      elementId: element.instanceId && element.id !== element.instanceId ? element.instanceId : element.id,
+      ...(element.masterId ? { masterId: element.masterId } : {}),
+      pageId: page.id,
+      tag: element.tag,
+      message,
+      suggestion,
+    });
+  };
+
+  const order = [];
+  const visit = (id, insideLabel) => {
+    const element = elements[id];
+    if (!element || HEAD_TAGS.has(element.tag)) return;
+    order.push({ element, insideLabel });
+    const labelled = insideLabel || element.tag === 'label';
+    for (const childId of element.children) visit(childId, labelled);
+  };
+  visit(page.rootId, false);
+
+  // Labels pointing at fields by id
+  const labelTargets = new Set(order
+    .filter(({ element }) => element.tag === 'label' && attr(element, 'for'))
+    .map(({ element }) => attr(element, 'for')));
+
+  let previousLevel = 0;
+  let hasH1 = false;
+  const mains = [];
+
+  for (const { element, insideLabel } of order) {
+    const { tag } = element;
+    const role = attr(element, 'role');
+
+    if (tag === 'img' && attr(element, 'alt') === undefined && role !== 'presentation' && role !== 'none' && !isHidden(element)) {
+      const src = attr(element, 'src');
+      report('img-alt', element, `Image ${src ? `"${src}" ` : ''}has no alt attribute`,
+        'Add alt text describing the image, or alt="" if it is purely decorative');
+    }
+
+    const level = headingLevel(element);
+    if (level) {
+      if (level === 1) hasH1 = true;
+      if (previousLevel && level > previousLevel + 1) {
+        report('heading-order', element, `Heading level jumps from h${previousLevel} to h${level}`,
+          `Use an h${previousLevel + 1}, and restyle it with a class if it should look smaller`);
+      }
+      previousLevel = level;
+    }
+
+    if ((tag === 'button' || role === 'button') && !hasAccessibleName(element, elements)) {
+      report('button-name', element, `Button ${describe(element)} has no accessible name`,
+        'Give it visible text, or an aria-label for icon-only buttons');
+    }
+    // Submit and reset inputs have a default name; plain button inputs don't
+    if (tag === 'input' && attr(element, 'type') === 'button' && !attr(element, 'value')?.trim() && !hasAriaName(element)) {
+      report('button-name', element, 'Input button has no value', 'Set a value attribute with the button text');
+    }
+
+    if (tag === 'a' && attr(element, 'href') !== undefined && !hasAccessibleName(element, elements)) {
+      report('link-name', element, `Link ${attr(element, 'href') ? `to "${attr(element, 'href')}" ` : ''}has no accessible name`,
+        'Give it link text, alt text on its image, or an aria-label');
+    }
+
+    const isField = (tag === 'input' && !UNLABELLED_INPUT_TYPES.has(attr(element, 'type') || 'text')) || tag === 'select' || tag === 'textarea';
+    if (isField && !insideLabel && !hasAriaName(element) && !(attr(element, 'id') && labelTargets.has(attr(element, 'id')))) {
+      const placeholder = attr(element, 'placeholder');
+      report('form-label', element, `Form field ${describe(element)} has no label${placeholder ? ' (a placeholder is not a label)' : ''}`,
+        attr(element, 'id')
+          ? `Add <label for="${attr(element, 'id')}">, or an aria-label`
+          : 'Wrap it in a <label>, or give it an id and add <label for="…">, or an aria-label');
+    }
+
+    if (tag === 'main' || role === 'main') mains.push(element);
+  }
+
+  const root = elements[page.rootId];
+  if (!hasH1 && root) {
+    report('page-has-h1', root, `Page "${page.name}" has no h1`, 'Add one h1 naming the page');
+  }
+  if (mains.length === 0 && root) {
+    report('landmark-main', root, `Page "${page.name}" has no <main> landmark`,
+      'Wrap the primary content in a <main> element (header, nav and footer go outside it)');
+  }
+  for (const extra of mains.slice(1)) {
+    report('landmark-main', extra, `Page "${page.name}" has more than one <main> landmark`,
+      'Keep one <main> per page; use <section> for the others');
+  }
+
+  return violations;
+}
+
+// Lint every page, or just `pageId`. Returns the violations in document
+// order plus counts by rule and severity.
+export function lintAccessibility(state, { pageId, rules } = {}) {
+  const elements = expandInstances(state.elements, state.components);
+  const pageIds = pageId ? [pageId] : Object.keys(state.pages);
+
+  let violations = [];
+  for (const pid of pageIds) {
+    violations.push(...lintPage({ id: pid, ...state.pages[pid] }, elements));
+  }
+  if (rules?.length) violations = violations.filter(v => rules.includes(v.rule));
+
+  const byRule = {};
+  for (const v of violations) byRule[v.rule] = (byRule[v.rule] || 0) + 1;
+  return {
+    errors: violations.filter(v => v.severity === 'error').length,
+    warnings: violations.filter(v => v.severity === 'warning').length,
+    byRule,
+    violations,
+  };
+}
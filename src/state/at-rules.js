@@ -0,0 +1,185 @@
+// Style rules may be wrapped in one or more conditional at-rules. A scope -- the
+// state itself for global rules, or a page -- keeps its plain rules in `styles`
+// (selector → properties) and the wrapped ones, in order, in `atRuleStyles`:
+// [{ wrappers: [{ name, prelude }], selector, properties }].
+//
+// Tools still address a wrapped rule with a style key, e.g.
+// "@media (max-width: 768px) .nav" or
+// "@supports (display: grid) @media screen and (min-width: 600px) .grid".
+// The explicit block form "@media print { .nav }" is accepted as well, for
+// preludes the shorthand can't express. Keys that aren't wrapped -- including
+// standalone blocks like "@font-face" -- are plain rules.
+//
+// parseStyleKey reads a key once, when it is written; formatStyleKey prints one
+// back for output. styleRules lists a scope's rules and groupStyleRules builds
+// the nested structure renderers walk.
+
+const WRAPPERS = new Set(['media', 'supports', 'container', 'layer', 'scope', 'starting-style']);
+
+// Words that may appear in a shorthand prelude, per at-rule
+const PRELUDE_WORDS = {
+  media: new Set(['and', 'or', 'not', 'only', 'all', 'screen', 'print', 'speech']),
+  supports: new Set(['and', 'or', 'not']),
+  container: new Set(['and', 'or', 'not']),
+  scope: new Set(['to']),
+};
+
+export function parseStyleKey(key) {
+  const wrappers = [];
+  let rest = key.trim();
+
+  while (rest.startsWith('@')) {
+    const nameMatch = rest.match(/^@([-\w]+)/);
+    const name = nameMatch?.[1].toLowerCase();
+    if (!name || !WRAPPERS.has(name)) break;
+
+    const body = rest.slice(nameMatch[0].length);
+    const parsed = readBlockForm(body) || readShorthand(name, body);
+    if (!parsed) break;
+
+    wrappers.push({ name, prelude: parsed.prelude });
+    rest = parsed.rest.trim();
+  }
+
+  // Anything we couldn't make sense of is treated as a plain selector, as before
+  if (wrappers.length === 0 || !rest) return { wrappers: [], selector: key.trim() };
+  return { wrappers, selector: rest };
+}
+
+export function formatAtRule({ name, prelude }) {
+  return prelude ? `@${name} ${prelude}` : `@${name}`;
+}
+
+// The style key for a rule. Wrappers use the shorthand when their prelude reads
+// back as written; a block form anywhere inside forces it on the ones outside.
+export function formatStyleKey({ wrappers = [], selector }) {
+  let blockForm = false;
+  return wrappers.reduceRight((inner, wrapper) => {
+    blockForm ||= readShorthand(wrapper.name, ` ${wrapper.prelude} `)?.prelude !== wrapper.prelude;
+    return blockForm ? `${formatAtRule(wrapper)} { ${inner} }` : `${formatAtRule(wrapper)} ${inner}`;
+  }, selector);
+}
+
+export function isSameRule(a, b) {
+  return a.selector === b.selector
+    && a.wrappers.length === b.wrappers.length
+    && a.wrappers.every((w, i) => w.name === b.wrappers[i].name && w.prelude === b.wrappers[i].prelude);
+}
+
+// Every rule in a scope in render order -- plain rules, then wrapped ones -- as
+// { key, wrappers, selector, properties }. `properties` is the stored object.
+export function styleRules(scope) {
+  return [
+    ...Object.entries(scope?.styles || {}).map(([selector, properties]) => ({ key: selector, wrappers: [], selector, properties })),
+    ...(scope?.atRuleStyles || []).map(rule => ({ key: formatStyleKey(rule), ...rule })),
+  ];
+}
+
+// A scope's plain rules and nested at-rule groups, both in order of first
+// appearance: { rules: [{ selector, properties }], groups: [{ atRule, rules, groups }] }
+export function groupStyleRules(scope) {
+  const root = {
+    rules: Object.entries(scope?.styles || {}).map(([selector, properties]) => ({ selector, properties })),
+    groups: [],
+  };
+
+  for (const { wrappers, selector, properties } of scope?.atRuleStyles || []) {
+    let node = root;
+    for (const wrapper of wrappers) {
+      const atRule = formatAtRule(wrapper);
+      let group = node.groups.find(g => g.atRule === atRule);
+      if (!group) {
+        group = { atRule, rules: [], groups: [] };
+        node.groups.push(group);
+      }
+      node = group;
+    }
+    node.rules.push({ selector, properties });
+  }
+
+  return root;
+}
+
+// "<prelude> { <inner> }" where the braces enclose the rest of the key
+function readBlockForm(body) {
+  const open = body.indexOf('{');
+  if (open === -1 || !body.trimEnd().endsWith('}')) return null;
+
+  let depth = 0;
+  const end = body.trimEnd().length - 1;
+  for (let i = open; i <= end; i++) {
+    if (body[i] === '{') depth++;
+    else if (body[i] === '}' && --depth === 0 && i !== end) return null;
+  }
+  if (depth !== 0) return null;
+
+  return { prelude: body.slice(0, open).trim(), rest: body.slice(open + 1, end) };
+}
+
+// Consume prelude tokens (parenthesised conditions, keywords, functions) until
+// something that can only be the start of the selector
+function readShorthand(name, body) {
+  if (name === 'starting-style') return { prelude: '', rest: body };
+
+  if (name === 'layer') {
+    const match = body.match(/^\s+([-\w]+(?:\.[-\w]+)*(?:\s*,\s*[-\w]+(?:\.[-\w]+)*)*)(?=\s)/);
+    return match ? { prelude: match[1], rest: body.slice(match[0].length) } : null;
+  }
+
+  const words = PRELUDE_WORDS[name];
+  let i = 0;
+  let end = 0;
+  let tokens = 0;
+
+  while (i < body.length) {
+    while (i < body.length && /\s/.test(body[i])) i++;
+    if (i >= body.length) break;
+
+    if (body[i] === '(') {
+      const close = matchParen(body, i);
+      if (close === -1) return null;
+      i = end = close + 1;
+      tokens++;
+      continue;
+    }
+
+    if (body[i] === ',' && name === 'media') {
+      i++;
+      continue;
+    }
+
+    const word = body.slice(i).match(/^[a-zA-Z][-\w]*/)?.[0];
+    if (!word) break;
+    const after = i + word.length;
+
+    // Function conditions: selector(), style(), scroll-state()…
+    if (body[after] === '(' && name !== 'media') {
+      const close = matchParen(body, after);
+      if (close === -1) return null;
+      i = end = close + 1;
+      tokens++;
+      continue;
+    }
+
+    // Optional container name, directly followed by its condition
+    const nextChar = body.slice(after).trimStart()[0];
+    const isContainerName = name === 'container' && tokens === 0 && !words.has(word.toLowerCase())
+      && (nextChar === '(' || /^\s*not\b/i.test(body.slice(after)));
+
+    if (!isContainerName && !words.has(word.toLowerCase())) break;
+    i = end = after;
+    tokens++;
+  }
+
+  if (tokens === 0) return null;
+  return { prelude: body.slice(0, end).trim(), rest: body.slice(end) };
+}
+
+function matchParen(str, start) {
+  let depth = 0;
+  for (let i = start; i < str.length; i++) {
+    if (str[i] === '(') depth++;
+    else if (str[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
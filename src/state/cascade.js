@@ -0,0 +1,317 @@
+import { expandInstances } from './components.js';
+import { parseSelector, matchesSelector } from './selectors.js';
+import { formatAtRule, styleRules } from './at-rules.js';
+
+// CSS cascade over the stored tree: which declaration wins for each property
+// of an element. Rules come from the global store, then the element's page
+// (the renderer's order). Declarations are ranked the way browsers do --
+// !important first, inline styles over rules, unlayered rules over @layer ones
+// (later layers over earlier), then specificity, then order. @media rules
+// apply when they match the viewport; @supports rules are assumed to apply.
+// Rules that only apply in another state (:hover, ::before, @container, a
+// media query that doesn't match…) are reported as conditional instead.
+
+export const DEFAULT_FONT_SIZE = 16;
+
+// Properties a child takes from its parent when it doesn't set them
+export const INHERITED_PROPERTIES = new Set([
+  'color', 'font-family', 'font-size', 'font-style', 'font-variant', 'font-weight', 'font-stretch',
+  'line-height', 'letter-spacing', 'word-spacing', 'text-align', 'text-indent', 'text-transform',
+  'text-shadow', 'white-space', 'word-break', 'overflow-wrap', 'hyphens', 'tab-size', 'direction',
+  'visibility', 'cursor', 'list-style', 'list-style-type', 'list-style-position', 'list-style-image',
+  'quotes', 'color-scheme', 'caret-color', 'accent-color',
+]);
+
+// --- Specificity ---
+
+// [ids, classes, types] of one complex selector
+export function specificity(parts) {
+  const total = [0, 0, 0];
+  for (const compound of parts) {
+    total[0] += compound.ids.length;
+    total[1] += compound.classes.length + compound.attributes.length;
+    if (compound.tag) total[2]++;
+    if (compound.pseudoElement) total[2]++;
+    for (const pseudo of compound.pseudos) {
+      if (pseudo.name === 'where') continue;
+      // :not() and :is() count as their most specific argument
+      const inner = pseudo.selectors ? pseudo.selectors.map(specificity).reduce(maxSpecificity, [0, 0, 0]) : [0, 1, 0];
+      for (let i = 0; i < 3; i++) total[i] += inner[i];
+    }
+  }
+  return total;
+}
+
+export function compareSpecificity(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+function maxSpecificity(a, b) {
+  return compareSpecificity(a, b) >= 0 ? a : b;
+}
+
+// --- At-rule conditions ---
+
+function toPx(value) {
+  const match = value.trim().match(/^(\d*\.?\d+)(px|em|rem)?$/);
+  if (!match) return null;
+  return parseFloat(match[1]) * (match[2] === 'em' || match[2] === 'rem' ? DEFAULT_FONT_SIZE : 1);
+}
+
+const COMPARE = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '=': (a, b) => a === b,
+};
+const FLIP = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=' };
+
+// One "(feature)" against the viewport: true, false, or null when it can't be known
+function evaluateFeature(feature, viewport) {
+  const dimension = { width: viewport.width, height: viewport.height };
+  const plain = feature.match(/^(min-|max-)?(width|height)\s*:\s*(.+)$/);
+  if (plain) {
+    const px = toPx(plain[3]);
+    if (px === null) return null;
+    const actual = dimension[plain[2]];
+    return plain[1] === 'min-' ? actual >= px : plain[1] === 'max-' ? actual <= px : actual === px;
+  }
+  const orientation = feature.match(/^orientation\s*:\s*(portrait|landscape)$/);
+  if (orientation) return (viewport.height >= viewport.width ? 'portrait' : 'landscape') === orientation[1];
+
+  // Range syntax: (width >= 600px), (400px <= width < 800px)
+  const range = feature.match(/^(?:([\d.]+[a-z]*)\s*(<=|>=|<|>|=)\s*)?(width|height)(?:\s*(<=|>=|<|>|=)\s*([\d.]+[a-z]*))?$/);
+  if (range && (range[1] || range[5])) {
+    const actual = dimension[range[3]];
+    if (range[1]) {
+      const px = toPx(range[1]);
+      if (px === null || !COMPARE[FLIP[range[2]]](actual, px)) return px === null ? null : false;
+    }
+    if (range[5]) {
+      const px = toPx(range[5]);
+      if (px === null) return null;
+      if (!COMPARE[range[4]](actual, px)) return false;
+    }
+    return true;
+  }
+  return null;
+}
+
+// A media query list against the viewport: true, false, or null when it
+// depends on something other than the viewport size (prefers-color-scheme…)
+export function evaluateMediaQuery(prelude, viewport) {
+  let unknown = false;
+  for (const query of prelude.split(',')) {
+    const words = query.trim().toLowerCase();
+    const negated = /^not\s/.test(words);
+    const body = words.replace(/^(not|only)\s+/, '');
+    let result = true;
+    for (const part of body.split(/\s+and\s+/)) {
+      const term = part.trim();
+      let value;
+      if (term === 'all' || term === 'screen') value = true;
+      else if (term === 'print' || term === 'speech') value = false;
+      else if (/^\(.*\)$/.test(term)) value = evaluateFeature(term.slice(1, -1).trim(), viewport);
+      else value = null;
+      if (value === false) {
+        result = false;
+        break;
+      }
+      if (value === null) result = null;
+    }
+    if (result !== null && negated) result = !result;
+    if (result === true) return true;
+    if (result === null) unknown = true;
+  }
+  return unknown ? null : false;
+}
+
+// Whether the at-rule wrappers of a style key apply: { applies, layer, condition }
+function evaluateWrappers(wrappers, viewport) {
+  let layer = null;
+  for (const wrapper of wrappers) {
+    const atRule = formatAtRule(wrapper);
+    if (wrapper.name === 'layer') {
+      layer = wrapper.prelude || '(anonymous)';
+    } else if (wrapper.name === 'media') {
+      const result = viewport ? evaluateMediaQuery(wrapper.prelude, viewport) : null;
+      if (result === false) return { applies: false, condition: `${atRule} (doesn't match ${viewport.width}×${viewport.height})` };
+      if (result === null) return { applies: false, condition: atRule };
+    } else if (wrapper.name !== 'supports') {
+      return { applies: false, condition: atRule };
+    }
+  }
+  return { applies: true, layer };
+}
+
+// --- Cascade ---
+
+// Pre-parse the rules an element on `pageId` can see, in render order. With a
+// viewport, @media rules are matched against it; without one they're all
+// conditional.
+export function buildCascade(state, pageId, { viewport = null } = {}) {
+  const rules = [];
+  const skipped = [];
+  const layers = [];
+  const scopes = [[null, state], [pageId, state.pages[pageId]]];
+  for (const [storePageId, scope] of scopes) {
+    for (const { key, wrappers, selector, properties } of styleRules(scope)) {
+      if (selector.startsWith('@')) continue;
+      let complexes;
+      try {
+        complexes = parseSelector(selector);
+      } catch (err) {
+        skipped.push({ selector: key, ...(storePageId ? { pageId: storePageId } : {}), reason: err.message });
+        continue;
+      }
+      const conditions = evaluateWrappers(wrappers, viewport);
+      if (conditions.layer && !layers.includes(conditions.layer)) layers.push(conditions.layer);
+      rules.push({
+        key,
+        pageId: storePageId,
+        order: rules.length,
+        atRules: wrappers.map(formatAtRule),
+        complexes: complexes.map(parts => ({
+          parts,
+          specificity: specificity(parts),
+          pseudoElement: parts.find(c => c.pseudoElement)?.pseudoElement ?? null,
+          states: parts.flatMap(c => c.pseudos.filter(p => p.dynamic).map(p => `:${p.name}`)),
+        })),
+        properties,
+        ...conditions,
+      });
+    }
+  }
+  return { rules, skipped, layers };
+}
+
+function splitImportant(value) {
+  const text = String(value);
+  const match = text.match(/^(.*?)\s*!important\s*$/i);
+  return match ? { value: match[1], important: true } : { value: text, important: false };
+}
+
+function formatSpecificity(spec) {
+  return spec.join(',');
+}
+
+function source(rule, spec) {
+  return {
+    selector: rule.key,
+    ...(rule.pageId ? { pageId: rule.pageId } : {}),
+    ...(rule.atRules.length > 0 ? { atRules: rule.atRules } : {}),
+    specificity: formatSpecificity(spec),
+  };
+}
+
+// Higher wins: [important, origin (inline over rules), layer, specificity, order]
+function rank(declaration, layers) {
+  const layerRank = declaration.layer === null ? layers.length : layers.indexOf(declaration.layer);
+  return [
+    declaration.important ? 1 : 0,
+    // Important rules beat normal inline styles, important inline beats both
+    declaration.inline ? 1 : 0,
+    // Layer order reverses for !important declarations
+    declaration.important ? -layerRank : layerRank,
+    ...declaration.specificity,
+    declaration.order,
+  ];
+}
+
+function compareRank(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+// The cascade for one element: every declaration that applies, the winners
+// per property, the matched rules and the conditional ones
+export function cascadeElement(element, elements, cascade) {
+  const declarations = [];
+  const matched = [];
+  const conditional = [];
+
+  for (const rule of cascade.rules) {
+    const matching = rule.complexes.filter(c => matchesSelector(element, [c.parts], elements));
+    if (matching.length === 0) continue;
+
+    const base = matching.filter(c => !c.pseudoElement && c.states.length === 0);
+    if (base.length > 0 && rule.applies) {
+      const spec = base.map(c => c.specificity).reduce(maxSpecificity);
+      matched.push(source(rule, spec));
+      for (const [property, raw] of Object.entries(rule.properties)) {
+        declarations.push({ property, ...splitImportant(raw), rule, specificity: spec, layer: rule.layer, order: rule.order, inline: false });
+      }
+    } else {
+      const other = base.length > 0 ? base[0] : matching[0];
+      const condition = [
+        ...(rule.applies ? [] : [rule.condition]),
+        ...(base.length > 0 ? [] : other.pseudoElement ? [`::${other.pseudoElement}`] : [...new Set(other.states)]),
+      ].join(' ');
+      conditional.push({ ...source(rule, other.specificity), condition, properties: { ...rule.properties } });
+    }
+  }
+
+  for (const [property, raw] of Object.entries(element.style || {})) {
+    declarations.push({ property, ...splitImportant(raw), rule: null, specificity: [0, 0, 0], layer: null, order: Infinity, inline: true });
+  }
+
+  const byProperty = new Map();
+  for (const declaration of declarations) {
+    if (!byProperty.has(declaration.property)) byProperty.set(declaration.property, []);
+    byProperty.get(declaration.property).push(declaration);
+  }
+
+  const describe = (d) => (d.inline ? { inline: true } : source(d.rule, d.specificity));
+  const properties = {};
+  for (const [property, candidates] of byProperty) {
+    const sorted = [...candidates].sort((a, b) => compareRank(rank(b, cascade.layers), rank(a, cascade.layers)));
+    const [winner, ...losers] = sorted;
+    properties[property] = {
+      value: winner.value,
+      ...(winner.important ? { important: true } : {}),
+      source: describe(winner),
+      ...(losers.length > 0 ? { overridden: losers.map(d => ({ value: d.value, ...describe(d) })) } : {}),
+    };
+  }
+
+  return { properties, matched, conditional };
+}
+
+// Computed (cascaded) styles of one element: the winning value per property
+// with the rule it came from, the values it inherits from ancestors, and the
+// rules that would apply in another state
+export function computeStyles(state, elementId, { viewport = state.project?.viewport, inherited = true } = {}) {
+  const elements = expandInstances(state.elements, state.components);
+  const element = elements[elementId];
+  if (!element) return null;
+
+  const cascade = buildCascade(state, element.pageId, { viewport });
+  const { properties, matched, conditional } = cascadeElement(element, elements, cascade);
+
+  const inheritedValues = {};
+  if (inherited) {
+    for (let ancestor = element.parentId ? elements[element.parentId] : null; ancestor; ancestor = ancestor.parentId ? elements[ancestor.parentId] : null) {
+      const { properties: ancestorProps } = cascadeElement(ancestor, elements, cascade);
+      for (const [property, { value, source: from }] of Object.entries(ancestorProps)) {
+        const inheritable = INHERITED_PROPERTIES.has(property) || property.startsWith('--');
+        if (!inheritable || properties[property] || inheritedValues[property] || /^(inherit|initial|unset|revert)$/.test(value)) continue;
+        inheritedValues[property] = { value, from: ancestor.id, source: from };
+      }
+    }
+  }
+
+  return {
+    elementId,
+    tag: element.tag,
+    pageId: element.pageId,
+    ...(viewport ? { viewport: { width: viewport.width, height: viewport.height } } : {}),
+    properties,
+    inherited: inheritedValues,
+    matchedRules: matched,
+    conditionalRules: conditional,
+    ...(cascade.skipped.length > 0 ? { skippedRules: cascade.skipped } : {}),
+  };
+}
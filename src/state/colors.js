@@ -0,0 +1,97 @@
+// CSS color parsing. Understands hex (#rgb, #rgba, #rrggbb, #rrggbbaa),
+// rgb()/rgba() and hsl()/hsla() in both comma and space syntax, and the basic
+// named colors. Colors come back as { r, g, b, a } with channels 0-255 and
+// alpha 0-1, or null for anything else (currentColor, var(), gradients…).
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', gray: '#808080', grey: '#808080',
+  silver: '#c0c0c0', red: '#ff0000', maroon: '#800000', orange: '#ffa500',
+  yellow: '#ffff00', olive: '#808000', lime: '#00ff00', green: '#008000',
+  aqua: '#00ffff', cyan: '#00ffff', teal: '#008080', blue: '#0000ff',
+  navy: '#000080', fuchsia: '#ff00ff', magenta: '#ff00ff', purple: '#800080',
+  transparent: '#00000000',
+};
+
+// Color literals inside a larger value ("1px solid #e5e7eb")
+export const COLOR_LITERAL = /#[0-9a-fA-F]{3,8}(?![0-9a-zA-Z])|\b(?:rgba?|hsla?)\([^()]*\)/g;
+
+function parseHex(hex) {
+  if (![3, 4, 6, 8].includes(hex.length)) return null;
+  const full = hex.length <= 4 ? [...hex].map(c => c + c).join('') : hex;
+  const channel = (i) => parseInt(full.slice(i, i + 2), 16);
+  return { r: channel(0), g: channel(2), b: channel(4), a: full.length === 8 ? round(channel(6) / 255) : 1 };
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function clamp(n, max) {
+  return Math.min(max, Math.max(0, n));
+}
+
+// "50%" → 0.5 * scale, "128" → 128
+function parseChannel(part, scale) {
+  if (part.endsWith('%')) return (parseFloat(part) / 100) * scale;
+  return parseFloat(part);
+}
+
+function parseAlpha(part) {
+  if (part === undefined) return 1;
+  return clamp(part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part), 1);
+}
+
+// "rgb(1, 2, 3 / 50%)" and "rgb(1 2 3 / .5)" → ['1', '2', '3', '50%']
+function splitArgs(args) {
+  const [channels, alpha] = args.split('/');
+  const parts = channels.trim().split(/\s*,\s*|\s+/);
+  if (alpha !== undefined) parts.push(alpha.trim());
+  return parts;
+}
+
+function hslToRgb(h, s, l) {
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return { r: Math.round(f(0) * 255), g: Math.round(f(8) * 255), b: Math.round(f(4) * 255) };
+}
+
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const str = value.trim().toLowerCase();
+
+  if (NAMED_COLORS[str]) return parseHex(NAMED_COLORS[str].slice(1));
+  if (/^#[0-9a-f]+$/.test(str)) return parseHex(str.slice(1));
+
+  const fn = str.match(/^(rgba?|hsla?)\(([^()]*)\)$/);
+  if (!fn) return null;
+  const parts = splitArgs(fn[2]);
+  if (parts.length < 3 || parts.length > 4 || parts.some(p => !/^-?[\d.]+(%|deg)?$/.test(p))) return null;
+
+  if (fn[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map(p => Math.round(clamp(parseChannel(p, 255), 255)));
+    return { r, g, b, a: round(parseAlpha(parts[3])) };
+  }
+
+  const h = ((parseFloat(parts[0]) % 360) + 360) % 360;
+  const s = clamp(parseFloat(parts[1]) / 100, 1);
+  const l = clamp(parseFloat(parts[2]) / 100, 1);
+  return { ...hslToRgb(h, s, l), a: round(parseAlpha(parts[3])) };
+}
+
+export function colorsEqual(a, b) {
+  return a.r === b.r && a.g === b.g && a.b === b.b && a.a === b.a;
+}
+
+// Euclidean distance in RGB space (0-441); alpha differences count as fully different
+export function colorDistance(a, b) {
+  if (a.a !== b.a) return Infinity;
+  return Math.hypot(a.r - b.r, a.g - b.g, a.b - b.b);
+}
+
+export function formatHex({ r, g, b, a }) {
+  const hex = [r, g, b, ...(a < 1 ? [Math.round(a * 255)] : [])]
+    .map(n => n.toString(16).padStart(2, '0'))
+    .join('');
+  return `#${hex}`;
+}
@@ -0,0 +1,78 @@
+// Component instances are stored as a single placeholder element carrying
+// `instance: { componentId, overrides }`. Renderers expand each one into a
+// virtual copy of the master subtree at render time, so edits to the master
+// show up in every instance without touching the instances themselves.
+//
+// Virtual nodes get IDs of the form `${instanceId}/${masterElementId}` and an
+// `instanceId` pointing at the outermost real instance element, which is what
+// the viewer should select when any part of the instance is clicked.
+
+export function expandInstances(elements, components) {
+  const instances = Object.values(elements).filter(el => el.instance);
+  if (instances.length === 0) return elements;
+
+  const expanded = { ...elements };
+  for (const instance of instances) {
+    expandInstance(instance, elements, components || {}, expanded, instance.id, new Set());
+  }
+  return expanded;
+}
+
+// Expand a single instance into a fresh map holding only its virtual nodes
+export function materializeInstance(instance, elements, components) {
+  const out = {};
+  expandInstance(instance, elements, components || {}, out, instance.id, new Set());
+  return out;
+}
+
+function expandInstance(instance, elements, components, out, ownerId, active) {
+  const { componentId, overrides = {} } = instance.instance;
+  const component = components[componentId];
+  const master = component ? elements[component.rootId] : null;
+
+  // Missing master, or a component nested inside itself: render an empty placeholder
+  if (!master || active.has(componentId)) {
+    out[instance.id] = { ...instance, children: [], instanceId: ownerId };
+    return;
+  }
+
+  active.add(componentId);
+
+  const copy = (src, id, parentId) => {
+    const override = overrides[src.id] || {};
+    const { instance: _, ...rest } = src;
+    const node = {
+      ...rest,
+      id,
+      parentId,
+      pageId: instance.pageId,
+      attributes: { ...src.attributes, ...override.attributes },
+      textContent: override.textContent !== undefined ? override.textContent : src.textContent,
+      children: [],
+      instanceId: ownerId,
+      masterId: src.id,
+    };
+    out[id] = node;
+
+    for (const childId of src.children) {
+      const child = elements[childId];
+      if (!child) continue;
+      const virtualId = `${instance.id}/${childId}`;
+      node.children.push(virtualId);
+      if (child.instance) {
+        const nested = { ...child, id: virtualId, parentId: id, pageId: instance.pageId };
+        expandInstance(nested, elements, components, out, ownerId, active);
+      } else {
+        copy(child, virtualId, id);
+      }
+    }
+    return node;
+  };
+
+  const root = copy(master, instance.id, instance.parentId);
+  root.classes = [...master.classes, ...instance.classes.filter(c => !master.classes.includes(c))];
+  root.attributes = { ...root.attributes, ...instance.attributes };
+  if (master.style || instance.style) root.style = { ...master.style, ...instance.style };
+
+  active.delete(componentId);
+}
@@ -0,0 +1,288 @@
+import { expandInstances } from './components.js';
+import { buildCascade, cascadeElement } from './cascade.js';
+import { tokensForMode, resolveDesignTokens, tokenVarName, buildTokenVarMap, substituteTokenVars } from './tokens.js';
+import { parseColor, COLOR_LITERAL, formatHex } from './colors.js';
+
+// WCAG 2.x colour contrast for rendered text. Each text-bearing element's
+// foreground and background are the cascade's winners in its default state
+// (no :hover, no @media). Values go through the renderer's token substitution
+// (literals equal to a token become its var()) and are then resolved for the
+// chosen theme mode. Backgrounds are found by walking up the ancestors,
+// compositing semi-transparent ones, down to the html and body backgrounds
+// and the white page; an element with `opacity` is composited, content and
+// all, over what's behind it.
+
+export const WCAG_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 },
+};
+
+const PAGE_BACKGROUND = { r: 255, g: 255, b: 255, a: 1 };
+const DEFAULT_TEXT_COLOR = { r: 0, g: 0, b: 0, a: 1 };
+const DEFAULT_FONT_SIZE = 16;
+
+// Elements whose text is never rendered as text
+const NON_TEXT_TAGS = new Set(['style', 'script', 'link', 'meta', 'base', 'svg', 'img', 'br', 'hr']);
+
+// Headings render bold and larger (em of the parent size) by default
+const HEADING_SCALE = { h1: 2, h2: 1.5, h3: 1.17, h4: 1, h5: 0.83, h6: 0.67 };
+
+// The page root renders inside <body>, so html and body rules paint the
+// background behind it and pass down colour and font
+const DOCUMENT_CHAIN = [
+  { id: ':html', tag: 'html', classes: [], attributes: {}, parentId: null, children: [':body'] },
+  { id: ':body', tag: 'body', classes: [], attributes: {}, parentId: ':html', children: [] },
+];
+const DOCUMENT_ELEMENTS = Object.fromEntries(DOCUMENT_CHAIN.map(el => [el.id, el]));
+
+// --- WCAG math ---
+
+function channelLuminance(c) {
+  const s = c / 255;
+  return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+}
+
+export function relativeLuminance({ r, g, b }) {
+  return 0.2126 * channelLuminance(r) + 0.7152 * channelLuminance(g) + 0.0722 * channelLuminance(b);
+}
+
+// Composite a (possibly translucent) color over an opaque one
+export function blendColors(top, bottom) {
+  const a = top.a;
+  return {
+    r: Math.round(top.r * a + bottom.r * (1 - a)),
+    g: Math.round(top.g * a + bottom.g * (1 - a)),
+    b: Math.round(top.b * a + bottom.b * (1 - a)),
+    a: 1,
+  };
+}
+
+export function contrastRatio(foreground, background) {
+  const fg = foreground.a < 1 ? blendColors(foreground, background) : foreground;
+  const l1 = relativeLuminance(fg);
+  const l2 = relativeLuminance(background);
+  const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  return Math.round(ratio * 100) / 100;
+}
+
+// Large text: at least 24px, or 18.66px (14pt) when bold
+export function isLargeText(fontSizePx, fontWeight) {
+  return fontSizePx >= 24 || (fontSizePx >= 18.66 && fontWeight >= 700);
+}
+
+// --- Style resolution ---
+
+// A property's value as the page renders it in the mode: the renderer's
+// substitution first (token references and literals equal to a base token
+// become var() calls), then each var() → the token's value in the mode
+function tokenResolver(state, theme) {
+  const { varMap } = buildTokenVarMap(state.designTokens, state.themeModes);
+  const resolved = resolveDesignTokens(tokensForMode(state.designTokens, state.themeModes, theme));
+  const byVar = new Map();
+  for (const [category, tokens] of Object.entries(resolved)) {
+    for (const [key, value] of Object.entries(tokens)) byVar.set(tokenVarName(category, key), value);
+  }
+  return (value, property) => substituteTokenVars(value, varMap, property)
+    .replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*))?\)/g, (ref, name, fallback) => byVar.get(name) ?? fallback?.trim() ?? ref);
+}
+
+const IMAGE = /gradient\(|url\(/;
+
+// The color layer of a background shorthand: a color outside any image function
+function shorthandColor(value) {
+  const layers = value.replace(/[\w-]+\((?:[^()]|\([^()]*\))*\)/g, fn => (/^(rgba?|hsla?)\(/.test(fn) ? fn : ' '));
+  return layers.match(COLOR_LITERAL)?.[0] ?? layers.split(/\s+/).find(word => parseColor(word)) ?? 'transparent';
+}
+
+// Declarations with their values resolved for the mode. The background
+// shorthand becomes the two longhands it sets, so the cascade ranks it against
+// them; !important stays on for the cascade to read.
+function resolveDeclarations(properties, resolve) {
+  const out = {};
+  for (const [property, raw] of Object.entries(properties || {})) {
+    const [, text, important] = String(raw).match(/^(.*?)(\s*!important)?\s*$/i);
+    const value = resolve(text, property).trim();
+    if (property === 'background') {
+      out['background-color'] = shorthandColor(value) + (important || '');
+      out['background-image'] = (IMAGE.test(value) ? value : 'none') + (important || '');
+    } else {
+      out[property] = value + (important || '');
+    }
+  }
+  return out;
+}
+
+// A page's base-state cascade with resolved declarations. Without a viewport
+// @media rules stay conditional, so only unconditional rules take part.
+function contrastCascade(state, pageId, resolve) {
+  const cascade = buildCascade(state, pageId);
+  return {
+    ...cascade,
+    rules: cascade.rules.map(rule => ({ ...rule, properties: resolveDeclarations(rule.properties, resolve) })),
+  };
+}
+
+// { color, background, backgroundImage, fontSize, fontWeight, opacity } from
+// the element's winning declarations
+function readStyles(element, elements, cascade, resolve) {
+  const styled = { ...element, style: resolveDeclarations(element.style, resolve) };
+  const { properties } = cascadeElement(styled, elements, cascade);
+  const value = (property) => properties[property]?.value;
+  const image = value('background-image');
+  return {
+    color: value('color'),
+    background: value('background-color'),
+    backgroundImage: image && IMAGE.test(image) ? image : null,
+    fontSize: value('font-size'),
+    fontWeight: value('font-weight'),
+    opacity: value('opacity'),
+  };
+}
+
+function fontSizePx(value, parentPx) {
+  const match = value?.match(/^(\d*\.?\d+)(px|rem|em|%|pt)$/);
+  if (!match) return parentPx;
+  const n = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'px': return n;
+    case 'rem': return n * DEFAULT_FONT_SIZE;
+    case 'em': return n * parentPx;
+    case '%': return (n / 100) * parentPx;
+    case 'pt': return n * (4 / 3);
+    default: return parentPx;
+  }
+}
+
+// "0.5" or "50%" → 0.5; anything else is fully opaque
+function opacityNumber(value) {
+  const match = value?.match(/^(\d*\.?\d+)(%)?$/);
+  if (!match) return 1;
+  return Math.min(1, parseFloat(match[1]) / (match[2] ? 100 : 1));
+}
+
+function fontWeightNumber(value, parentWeight) {
+  if (!value) return parentWeight;
+  if (value === 'bold' || value === 'bolder') return 700;
+  if (value === 'normal' || value === 'lighter') return 400;
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? parentWeight : n;
+}
+
+// Resolve colors and font metrics for an element by walking from <html> and
+// <body> down through the page root to it, so inherited values come from real
+// ancestors
+function resolveTextStyle(element, elements, cascade, resolve) {
+  const chain = [];
+  for (let el = element; el; el = el.parentId ? elements[el.parentId] : null) chain.unshift({ el, elements });
+  chain.unshift(...DOCUMENT_CHAIN.map(el => ({ el, elements: DOCUMENT_ELEMENTS })));
+
+  let color = DEFAULT_TEXT_COLOR;
+  let size = DEFAULT_FONT_SIZE;
+  let weight = 400;
+  let background = PAGE_BACKGROUND;
+  let backgroundImage = null;
+  // Translucent ancestors: their opacity and what was painted behind them
+  const groups = [];
+
+  for (const { el, elements: scope } of chain) {
+    const styles = readStyles(el, scope, cascade, resolve);
+    const parsedColor = styles.color && parseColor(styles.color);
+    if (parsedColor) color = parsedColor;
+
+    size = HEADING_SCALE[el.tag] && !styles.fontSize ? HEADING_SCALE[el.tag] * size : fontSizePx(styles.fontSize, size);
+    weight = fontWeightNumber(styles.fontWeight, /^h[1-6]$|^(b|strong|th)$/.test(el.tag) ? 700 : weight);
+
+    const opacity = opacityNumber(styles.opacity);
+    if (opacity < 1) groups.push({ opacity, backdrop: background });
+
+    if (styles.backgroundImage) backgroundImage = styles.backgroundImage;
+    const bg = styles.background && parseColor(styles.background);
+    if (bg && bg.a > 0) {
+      background = bg.a < 1 ? blendColors(bg, background) : bg;
+      if (bg.a === 1 && !styles.backgroundImage) backgroundImage = null;
+    }
+  }
+
+  // The text is drawn over the innermost background, then each translucent
+  // group, innermost first, is composited over its backdrop
+  let foreground = color.a < 1 ? blendColors(color, background) : color;
+  for (const { opacity, backdrop } of groups.reverse()) {
+    foreground = blendColors({ ...foreground, a: opacity }, backdrop);
+    background = blendColors({ ...background, a: opacity }, backdrop);
+  }
+  const opacity = groups.reduce((product, group) => product * group.opacity, 1);
+
+  return { color: foreground, background, backgroundImage, size, weight, opacity };
+}
+
+function hasOwnText(element) {
+  return Boolean(element.textContent && element.textContent.trim()) && !NON_TEXT_TAGS.has(element.tag);
+}
+
+function textPreview(text) {
+  const t = text.trim();
+  return t.length > 40 ? t.slice(0, 37) + '...' : t;
+}
+
+// Contrast of one element's text, or null when it has no text
+export function elementContrast(state, elementId, { theme, level = 'AA' } = {}) {
+  const elements = expandInstances(state.elements, state.components);
+  const element = elements[elementId];
+  if (!element || !hasOwnText(element)) return null;
+  const resolve = tokenResolver(state, theme);
+  return measure(element, elements, contrastCascade(state, element.pageId, resolve), resolve, level);
+}
+
+function measure(element, elements, cascade, resolve, level) {
+  const { color, background, backgroundImage, size, weight, opacity } = resolveTextStyle(element, elements, cascade, resolve);
+  const large = isLargeText(size, weight);
+  const required = WCAG_THRESHOLDS[level][large ? 'large' : 'normal'];
+  const ratio = contrastRatio(color, background);
+  return {
+    id: element.instanceId && element.id !== element.instanceId ? element.instanceId : element.id,
+    ...(element.masterId ? { masterId: element.masterId } : {}),
+    pageId: element.pageId,
+    tag: element.tag,
+    text: textPreview(element.textContent),
+    foreground: formatHex(color),
+    background: formatHex(background),
+    // Colours above are as seen through the element's and its ancestors' opacity
+    ...(opacity < 1 ? { opacity: Math.round(opacity * 1000) / 1000 } : {}),
+    ratio,
+    large,
+    required,
+    passes: ratio >= required,
+    // Text over an image or gradient can't be checked from the styles alone
+    ...(backgroundImage ? { indeterminate: `Background image: ${backgroundImage}` } : {}),
+  };
+}
+
+// Check every text-bearing element on the given pages (default: all)
+export function checkContrast(state, { pageId, theme, level = 'AA' } = {}) {
+  const elements = expandInstances(state.elements, state.components);
+  const resolve = tokenResolver(state, theme);
+  const pageIds = pageId ? [pageId] : Object.keys(state.pages);
+
+  const failures = [];
+  const indeterminate = [];
+  let checked = 0;
+  for (const pid of pageIds) {
+    const page = state.pages[pid];
+    const cascade = contrastCascade(state, pid, resolve);
+    const visit = (id) => {
+      const element = elements[id];
+      if (!element) return;
+      if (hasOwnText(element)) {
+        checked++;
+        const result = measure(element, elements, cascade, resolve, level);
+        if (result.indeterminate) indeterminate.push(result);
+        else if (!result.passes) failures.push(result);
+      }
+      for (const childId of element.children) visit(childId);
+    };
+    visit(page.rootId);
+  }
+
+  failures.sort((a, b) => a.ratio - b.ratio);
+  return { level, checked, passed: checked - failures.length - indeterminate.length, failures, indeterminate };
+}
@@ -0,0 +1,342 @@
+// Bundled CSS property data for lint_styles: every standard property name, and
+// for the common ones a simplified value grammar -- the component types and
+// keywords a value may be built from, and how many space-separated components
+// it takes. Properties with grammars too rich for that (grid templates, font
+// shorthands, transforms…) are known by name only and their values aren't
+// checked.
+
+// Keywords every property accepts
+export const GLOBAL_KEYWORDS = new Set(['inherit', 'initial', 'unset', 'revert', 'revert-layer']);
+
+const SIZE_KEYWORDS = ['auto', 'min-content', 'max-content', 'fit-content', 'stretch'];
+const LINE_STYLES = ['none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove', 'ridge', 'inset', 'outset'];
+const LINE_WIDTHS = ['thin', 'medium', 'thick'];
+const BOX_EDGES = ['border-box', 'padding-box', 'content-box'];
+const CONTENT_POSITIONS = ['normal', 'start', 'end', 'center', 'flex-start', 'flex-end', 'left', 'right',
+  'space-between', 'space-around', 'space-evenly', 'stretch', 'safe', 'unsafe'];
+const ITEM_POSITIONS = ['normal', 'stretch', 'center', 'start', 'end', 'flex-start', 'flex-end', 'self-start',
+  'self-end', 'baseline', 'first', 'last', 'safe', 'unsafe', 'left', 'right', 'anchor-center'];
+const POSITION_WORDS = ['left', 'right', 'center', 'top', 'bottom'];
+const BLEND_MODES = ['normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+  'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'];
+
+// { types, keywords, max, list, slash }: `types` from VALUE_TYPES in
+// style-lint.js, `max` components per value (or per item of a comma-separated
+// `list`), `slash` when a "/" may separate components
+function grammar(types, keywords = [], { max = 1, list = false, slash = false } = {}) {
+  return { types, keywords: new Set(keywords), max, list, slash };
+}
+
+const lengthLike = (keywords = [], options) => grammar(['length', 'percentage'], keywords, options);
+const colorOnly = (keywords = [], options) => grammar(['color'], keywords, options);
+const keywordsOnly = (keywords, options) => grammar([], keywords, options);
+
+export const PROPERTY_GRAMMARS = {
+  // Box model
+  width: lengthLike(SIZE_KEYWORDS),
+  height: lengthLike(SIZE_KEYWORDS),
+  'min-width': lengthLike(SIZE_KEYWORDS),
+  'min-height': lengthLike(SIZE_KEYWORDS),
+  'max-width': lengthLike(['none', ...SIZE_KEYWORDS]),
+  'max-height': lengthLike(['none', ...SIZE_KEYWORDS]),
+  'inline-size': lengthLike(SIZE_KEYWORDS),
+  'block-size': lengthLike(SIZE_KEYWORDS),
+  'min-inline-size': lengthLike(SIZE_KEYWORDS),
+  'min-block-size': lengthLike(SIZE_KEYWORDS),
+  'max-inline-size': lengthLike(['none', ...SIZE_KEYWORDS]),
+  'max-block-size': lengthLike(['none', ...SIZE_KEYWORDS]),
+  margin: lengthLike(['auto'], { max: 4 }),
+  'margin-top': lengthLike(['auto']),
+  'margin-right': lengthLike(['auto']),
+  'margin-bottom': lengthLike(['auto']),
+  'margin-left': lengthLike(['auto']),
+  'margin-block': lengthLike(['auto'], { max: 2 }),
+  'margin-inline': lengthLike(['auto'], { max: 2 }),
+  'margin-block-start': lengthLike(['auto']),
+  'margin-block-end': lengthLike(['auto']),
+  'margin-inline-start': lengthLike(['auto']),
+  'margin-inline-end': lengthLike(['auto']),
+  padding: lengthLike([], { max: 4 }),
+  'padding-top': lengthLike(),
+  'padding-right': lengthLike(),
+  'padding-bottom': lengthLike(),
+  'padding-left': lengthLike(),
+  'padding-block': lengthLike([], { max: 2 }),
+  'padding-inline': lengthLike([], { max: 2 }),
+  'padding-block-start': lengthLike(),
+  'padding-block-end': lengthLike(),
+  'padding-inline-start': lengthLike(),
+  'padding-inline-end': lengthLike(),
+  'box-sizing': keywordsOnly(['content-box', 'border-box']),
+
+  // Borders and outlines
+  border: grammar(['length', 'color'], [...LINE_STYLES, ...LINE_WIDTHS], { max: 3 }),
+  'border-top': grammar(['length', 'color'], [...LINE_STYLES, ...LINE_WIDTHS], { max: 3 }),
+  'border-right': grammar(['length', 'color'], [...LINE_STYLES, ...LINE_WIDTHS], { max: 3 }),
+  'border-bottom': grammar(['length', 'color'], [...LINE_STYLES, ...LINE_WIDTHS], { max: 3 }),
+  'border-left': grammar(['length', 'color'], [...LINE_STYLES, ...LINE_WIDTHS], { max: 3 }),
+  'border-block': grammar(['length', 'color'], [...LINE_STYLES, ...LINE_WIDTHS], { max: 3 }),
+  'border-inline': grammar(['length', 'color'], [...LINE_STYLES, ...LINE_WIDTHS], { max: 3 }),
+  'border-width': grammar(['length'], LINE_WIDTHS, { max: 4 }),
+  'border-top-width': grammar(['length'], LINE_WIDTHS),
+  'border-right-width': grammar(['length'], LINE_WIDTHS),
+  'border-bottom-width': grammar(['length'], LINE_WIDTHS),
+  'border-left-width': grammar(['length'], LINE_WIDTHS),
+  'border-style': keywordsOnly(LINE_STYLES, { max: 4 }),
+  'border-top-style': keywordsOnly(LINE_STYLES),
+  'border-right-style': keywordsOnly(LINE_STYLES),
+  'border-bottom-style': keywordsOnly(LINE_STYLES),
+  'border-left-style': keywordsOnly(LINE_STYLES),
+  'border-color': colorOnly([], { max: 4 }),
+  'border-top-color': colorOnly(),
+  'border-right-color': colorOnly(),
+  'border-bottom-color': colorOnly(),
+  'border-left-color': colorOnly(),
+  'border-radius': lengthLike([], { max: 8, slash: true }),
+  'border-top-left-radius': lengthLike([], { max: 2 }),
+  'border-top-right-radius': lengthLike([], { max: 2 }),
+  'border-bottom-right-radius': lengthLike([], { max: 2 }),
+  'border-bottom-left-radius': lengthLike([], { max: 2 }),
+  'border-collapse': keywordsOnly(['collapse', 'separate']),
+  'border-spacing': grammar(['length'], [], { max: 2 }),
+  outline: grammar(['length', 'color'], [...LINE_STYLES, ...LINE_WIDTHS, 'auto'], { max: 3 }),
+  'outline-width': grammar(['length'], LINE_WIDTHS),
+  'outline-style': keywordsOnly([...LINE_STYLES, 'auto']),
+  'outline-color': colorOnly(),
+  'outline-offset': grammar(['length']),
+
+  // Layout
+  display: keywordsOnly(['block', 'inline', 'inline-block', 'flex', 'inline-flex', 'grid', 'inline-grid',
+    'flow', 'flow-root', 'none', 'contents', 'table', 'inline-table', 'table-row', 'table-cell', 'table-column',
+    'table-caption', 'table-header-group', 'table-footer-group', 'table-row-group', 'table-column-group',
+    'list-item', 'run-in', 'ruby'], { max: 3 }),
+  position: keywordsOnly(['static', 'relative', 'absolute', 'fixed', 'sticky']),
+  top: lengthLike(['auto']),
+  right: lengthLike(['auto']),
+  bottom: lengthLike(['auto']),
+  left: lengthLike(['auto']),
+  inset: lengthLike(['auto'], { max: 4 }),
+  'inset-block': lengthLike(['auto'], { max: 2 }),
+  'inset-inline': lengthLike(['auto'], { max: 2 }),
+  'z-index': grammar(['integer'], ['auto']),
+  float: keywordsOnly(['left', 'right', 'none', 'inline-start', 'inline-end']),
+  clear: keywordsOnly(['left', 'right', 'both', 'none', 'inline-start', 'inline-end']),
+  overflow: keywordsOnly(['visible', 'hidden', 'clip', 'scroll', 'auto'], { max: 2 }),
+  'overflow-x': keywordsOnly(['visible', 'hidden', 'clip', 'scroll', 'auto']),
+  'overflow-y': keywordsOnly(['visible', 'hidden', 'clip', 'scroll', 'auto']),
+  visibility: keywordsOnly(['visible', 'hidden', 'collapse']),
+  opacity: grammar(['number', 'percentage']),
+  'aspect-ratio': grammar(['number'], ['auto'], { max: 3, slash: true }),
+  'object-fit': keywordsOnly(['fill', 'contain', 'cover', 'none', 'scale-down']),
+  'object-position': lengthLike(POSITION_WORDS, { max: 4 }),
+  isolation: keywordsOnly(['auto', 'isolate']),
+  'vertical-align': lengthLike(['baseline', 'sub', 'super', 'text-top', 'text-bottom', 'middle', 'top', 'bottom']),
+
+  // Flexbox and grid
+  'flex-direction': keywordsOnly(['row', 'row-reverse', 'column', 'column-reverse']),
+  'flex-wrap': keywordsOnly(['nowrap', 'wrap', 'wrap-reverse']),
+  'flex-flow': keywordsOnly(['row', 'row-reverse', 'column', 'column-reverse', 'nowrap', 'wrap', 'wrap-reverse'], { max: 2 }),
+  flex: grammar(['number', 'length', 'percentage'], ['auto', 'none', 'content', ...SIZE_KEYWORDS], { max: 3 }),
+  'flex-grow': grammar(['number']),
+  'flex-shrink': grammar(['number']),
+  'flex-basis': lengthLike(['content', ...SIZE_KEYWORDS]),
+  order: grammar(['integer']),
+  gap: lengthLike(['normal'], { max: 2 }),
+  'row-gap': lengthLike(['normal']),
+  'column-gap': lengthLike(['normal']),
+  'justify-content': keywordsOnly(CONTENT_POSITIONS, { max: 2 }),
+  'align-content': keywordsOnly([...CONTENT_POSITIONS, 'baseline', 'first', 'last'], { max: 2 }),
+  'place-content': keywordsOnly([...CONTENT_POSITIONS, 'baseline', 'first', 'last'], { max: 2 }),
+  'align-items': keywordsOnly(ITEM_POSITIONS, { max: 2 }),
+  'justify-items': keywordsOnly([...ITEM_POSITIONS, 'legacy'], { max: 2 }),
+  'place-items': keywordsOnly([...ITEM_POSITIONS, 'legacy'], { max: 2 }),
+  'align-self': keywordsOnly(['auto', ...ITEM_POSITIONS], { max: 2 }),
+  'justify-self': keywordsOnly(['auto', ...ITEM_POSITIONS], { max: 2 }),
+  'place-self': keywordsOnly(['auto', ...ITEM_POSITIONS], { max: 2 }),
+  'grid-auto-flow': keywordsOnly(['row', 'column', 'dense'], { max: 2 }),
+
+  // Typography
+  color: colorOnly(),
+  'font-size': lengthLike(['xx-small', 'x-small', 'small', 'medium', 'large', 'x-large', 'xx-large', 'xxx-large', 'smaller', 'larger', 'math']),
+  'font-weight': grammar(['number'], ['normal', 'bold', 'bolder', 'lighter']),
+  'font-style': grammar(['angle'], ['normal', 'italic', 'oblique'], { max: 2 }),
+  'line-height': grammar(['number', 'length', 'percentage'], ['normal']),
+  'letter-spacing': grammar(['length'], ['normal']),
+  'word-spacing': lengthLike(['normal']),
+  'text-align': keywordsOnly(['left', 'right', 'center', 'justify', 'start', 'end', 'match-parent', 'justify-all']),
+  'text-transform': keywordsOnly(['none', 'capitalize', 'uppercase', 'lowercase', 'full-width', 'full-size-kana']),
+  'text-decoration-line': keywordsOnly(['none', 'underline', 'overline', 'line-through', 'blink'], { max: 3 }),
+  'text-decoration-style': keywordsOnly(['solid', 'double', 'dotted', 'dashed', 'wavy']),
+  'text-decoration-color': colorOnly(),
+  'text-decoration-thickness': lengthLike(['auto', 'from-font']),
+  'text-underline-offset': lengthLike(['auto']),
+  'text-indent': lengthLike(['hanging', 'each-line'], { max: 3 }),
+  'text-overflow': grammar(['string'], ['clip', 'ellipsis'], { max: 2 }),
+  'text-wrap': keywordsOnly(['wrap', 'nowrap', 'balance', 'pretty', 'stable', 'auto'], { max: 2 }),
+  'white-space': keywordsOnly(['normal', 'nowrap', 'pre', 'pre-wrap', 'pre-line', 'break-spaces',
+    'collapse', 'preserve', 'preserve-breaks', 'preserve-spaces', 'wrap'], { max: 2 }),
+  'word-break': keywordsOnly(['normal', 'break-all', 'keep-all', 'break-word', 'auto-phrase']),
+  'overflow-wrap': keywordsOnly(['normal', 'break-word', 'anywhere']),
+  hyphens: keywordsOnly(['none', 'manual', 'auto']),
+  'list-style-position': keywordsOnly(['inside', 'outside']),
+  'tab-size': grammar(['number', 'length']),
+
+  // Backgrounds and effects
+  'background-color': colorOnly(),
+  'background-image': grammar(['image'], ['none'], { list: true }),
+  'background-repeat': keywordsOnly(['repeat', 'repeat-x', 'repeat-y', 'no-repeat', 'space', 'round'], { max: 2, list: true }),
+  'background-size': lengthLike(['auto', 'cover', 'contain'], { max: 2, list: true }),
+  'background-position': lengthLike(POSITION_WORDS, { max: 4, list: true }),
+  'background-attachment': keywordsOnly(['scroll', 'fixed', 'local'], { list: true }),
+  'background-clip': keywordsOnly([...BOX_EDGES, 'text', 'border-area'], { list: true }),
+  'background-origin': keywordsOnly(BOX_EDGES, { list: true }),
+  'background-blend-mode': keywordsOnly(BLEND_MODES, { list: true }),
+  'mix-blend-mode': keywordsOnly([...BLEND_MODES, 'plus-darker', 'plus-lighter']),
+  'accent-color': colorOnly(['auto']),
+  'caret-color': colorOnly(['auto']),
+  fill: grammar(['color', 'url'], ['none', 'context-fill', 'context-stroke']),
+  stroke: grammar(['color', 'url'], ['none', 'context-fill', 'context-stroke']),
+  'stroke-width': lengthLike(),
+  'transform-origin': lengthLike(POSITION_WORDS, { max: 3 }),
+  'backface-visibility': keywordsOnly(['visible', 'hidden']),
+
+  // Transitions and animations
+  'transition-duration': grammar(['time'], [], { list: true }),
+  'transition-delay': grammar(['time'], [], { list: true }),
+  'animation-duration': grammar(['time'], ['auto'], { list: true }),
+  'animation-delay': grammar(['time'], [], { list: true }),
+  'animation-iteration-count': grammar(['number'], ['infinite'], { list: true }),
+  'animation-direction': keywordsOnly(['normal', 'reverse', 'alternate', 'alternate-reverse'], { list: true }),
+  'animation-fill-mode': keywordsOnly(['none', 'forwards', 'backwards', 'both'], { list: true }),
+  'animation-play-state': keywordsOnly(['running', 'paused'], { list: true }),
+  'animation-name': grammar(['ident', 'string'], ['none'], { list: true }),
+
+  // Interaction
+  'pointer-events': keywordsOnly(['auto', 'none', 'visiblepainted', 'visiblefill', 'visiblestroke', 'visible',
+    'painted', 'fill', 'stroke', 'all', 'bounding-box']),
+  'user-select': keywordsOnly(['auto', 'text', 'none', 'contain', 'all']),
+  resize: keywordsOnly(['none', 'both', 'horizontal', 'vertical', 'block', 'inline']),
+  'scroll-behavior': keywordsOnly(['auto', 'smooth']),
+  'table-layout': keywordsOnly(['auto', 'fixed']),
+};
+
+// Standard properties whose values aren't checked
+const NAME_ONLY = `
+  align-tracks alignment-baseline all anchor-name anchor-scope animation animation-composition
+  animation-range animation-range-end animation-range-start animation-timeline animation-timing-function
+  appearance backdrop-filter background background-position-x background-position-y baseline-shift
+  baseline-source block-step border-block-color border-block-end border-block-end-color
+  border-block-end-style border-block-end-width border-block-start border-block-start-color
+  border-block-start-style border-block-start-width border-block-style border-block-width
+  border-end-end-radius border-end-start-radius border-image border-image-outset border-image-repeat
+  border-image-slice border-image-source border-image-width border-inline-color border-inline-end
+  border-inline-end-color border-inline-end-style border-inline-end-width border-inline-start
+  border-inline-start-color border-inline-start-style border-inline-start-width border-inline-style
+  border-inline-width border-start-end-radius border-start-start-radius box-decoration-break
+  box-shadow break-after break-before break-inside caption-side clip clip-path clip-rule
+  color-interpolation color-interpolation-filters color-scheme column-count column-fill column-rule
+  column-rule-color column-rule-style column-rule-width column-span column-width columns contain
+  contain-intrinsic-block-size contain-intrinsic-height contain-intrinsic-inline-size
+  contain-intrinsic-size contain-intrinsic-width container container-name container-type content
+  content-visibility counter-increment counter-reset counter-set cursor cx cy d direction
+  dominant-baseline empty-cells field-sizing fill-opacity fill-rule filter flood-color flood-opacity
+  font font-family font-feature-settings font-kerning font-language-override font-optical-sizing
+  font-palette font-size-adjust font-stretch font-synthesis font-synthesis-position
+  font-synthesis-small-caps font-synthesis-style font-synthesis-weight font-variant
+  font-variant-alternates font-variant-caps font-variant-east-asian font-variant-emoji
+  font-variant-ligatures font-variant-numeric font-variant-position font-variation-settings
+  font-width forced-color-adjust grid grid-area grid-auto-columns grid-auto-rows grid-column
+  grid-column-end grid-column-start grid-row grid-row-end grid-row-start grid-template
+  grid-template-areas grid-template-columns grid-template-rows hanging-punctuation
+  hyphenate-character hyphenate-limit-chars image-orientation image-rendering image-resolution
+  initial-letter inset-block-end inset-block-start inset-inline-end inset-inline-start
+  interpolate-size justify-tracks lighting-color line-break line-clamp
+  list-style list-style-image list-style-type marker marker-end marker-mid marker-start mask
+  mask-border mask-border-mode mask-border-outset mask-border-repeat mask-border-slice
+  mask-border-source mask-border-width mask-clip mask-composite mask-image mask-mode mask-origin
+  mask-position mask-repeat mask-size mask-type masonry-auto-flow math-depth math-shift math-style
+  offset offset-anchor offset-distance offset-path offset-position offset-rotate orphans
+  overflow-anchor overflow-block overflow-clip-margin overflow-inline overscroll-behavior
+  overscroll-behavior-block overscroll-behavior-inline overscroll-behavior-x overscroll-behavior-y
+  page paint-order perspective perspective-origin position-anchor position-area position-try
+  position-try-fallbacks position-try-order position-visibility print-color-adjust quotes r
+  reading-flow rotate ruby-align ruby-position rx ry scale scroll-margin scroll-margin-block
+  scroll-margin-block-end scroll-margin-block-start scroll-margin-bottom scroll-margin-inline
+  scroll-margin-inline-end scroll-margin-inline-start scroll-margin-left scroll-margin-right
+  scroll-margin-top scroll-padding scroll-padding-block scroll-padding-block-end
+  scroll-padding-block-start scroll-padding-bottom scroll-padding-inline scroll-padding-inline-end
+  scroll-padding-inline-start scroll-padding-left scroll-padding-right scroll-padding-top
+  scroll-snap-align scroll-snap-stop scroll-snap-type scroll-timeline scroll-timeline-axis
+  scroll-timeline-name scrollbar-color scrollbar-gutter scrollbar-width shape-image-threshold
+  shape-margin shape-outside shape-rendering speak-as stop-color stop-opacity stroke-dasharray
+  stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity
+  text-align-last text-anchor text-box text-box-edge text-box-trim text-combine-upright
+  text-decoration text-decoration-skip text-decoration-skip-ink text-emphasis text-emphasis-color
+  text-emphasis-position text-emphasis-style text-justify text-orientation text-rendering
+  text-shadow text-size-adjust text-spacing-trim text-underline-position text-wrap-mode
+  text-wrap-style timeline-scope touch-action transform transform-box transform-style transition
+  transition-behavior transition-property transition-timing-function translate unicode-bidi
+  vector-effect view-timeline view-timeline-axis view-timeline-inset view-timeline-name
+  view-transition-class view-transition-name white-space-collapse widows will-change
+  word-wrap writing-mode x y zoom
+`.trim().split(/\s+/);
+
+export const KNOWN_PROPERTIES = new Set([...Object.keys(PROPERTY_GRAMMARS), ...NAME_ONLY]);
+
+// Longhands each shorthand sets, for spotting declarations a later shorthand overrides
+export const SHORTHANDS = {
+  margin: ['margin-top', 'margin-right', 'margin-bottom', 'margin-left'],
+  padding: ['padding-top', 'padding-right', 'padding-bottom', 'padding-left'],
+  inset: ['top', 'right', 'bottom', 'left'],
+  border: ['border-width', 'border-style', 'border-color', 'border-top', 'border-right', 'border-bottom', 'border-left',
+    'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+    'border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style',
+    'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color'],
+  'border-width': ['border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width'],
+  'border-style': ['border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style'],
+  'border-color': ['border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color'],
+  'border-radius': ['border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius'],
+  background: ['background-color', 'background-image', 'background-repeat', 'background-size',
+    'background-position', 'background-attachment', 'background-clip', 'background-origin'],
+  font: ['font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'font-variant', 'font-stretch'],
+  flex: ['flex-grow', 'flex-shrink', 'flex-basis'],
+  'flex-flow': ['flex-direction', 'flex-wrap'],
+  gap: ['row-gap', 'column-gap'],
+  overflow: ['overflow-x', 'overflow-y'],
+  outline: ['outline-width', 'outline-style', 'outline-color'],
+  'list-style': ['list-style-type', 'list-style-position', 'list-style-image'],
+  'text-decoration': ['text-decoration-line', 'text-decoration-style', 'text-decoration-color', 'text-decoration-thickness'],
+  transition: ['transition-property', 'transition-duration', 'transition-timing-function', 'transition-delay'],
+  animation: ['animation-name', 'animation-duration', 'animation-timing-function', 'animation-delay',
+    'animation-iteration-count', 'animation-direction', 'animation-fill-mode', 'animation-play-state'],
+  'place-items': ['align-items', 'justify-items'],
+  'place-content': ['align-content', 'justify-content'],
+  'place-self': ['align-self', 'justify-self'],
+  'grid-area': ['grid-row-start', 'grid-column-start', 'grid-row-end', 'grid-column-end'],
+  'grid-row': ['grid-row-start', 'grid-row-end'],
+  'grid-column': ['grid-column-start', 'grid-column-end'],
+};
+
+// The CSS named colors, beyond the basic ones parseColor knows
+export const NAMED_COLORS = new Set(`
+  aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blue blueviolet
+  brown burlywood cadetblue chartreuse chocolate coral cornflowerblue cornsilk crimson cyan
+  darkblue darkcyan darkgoldenrod darkgray darkgreen darkgrey darkkhaki darkmagenta
+  darkolivegreen darkorange darkorchid darkred darksalmon darkseagreen darkslateblue
+  darkslategray darkslategrey darkturquoise darkviolet deeppink deepskyblue dimgray dimgrey
+  dodgerblue firebrick floralwhite forestgreen fuchsia gainsboro ghostwhite gold goldenrod gray
+  green greenyellow grey honeydew hotpink indianred indigo ivory khaki lavender lavenderblush
+  lawngreen lemonchiffon lightblue lightcoral lightcyan lightgoldenrodyellow lightgray lightgreen
+  lightgrey lightpink lightsalmon lightseagreen lightskyblue lightslategray lightslategrey
+  lightsteelblue lightyellow lime limegreen linen magenta maroon mediumaquamarine mediumblue
+  mediumorchid mediumpurple mediumseagreen mediumslateblue mediumspringgreen mediumturquoise
+  mediumvioletred midnightblue mintcream mistyrose moccasin navajowhite navy oldlace olive
+  olivedrab orange orangered orchid palegoldenrod palegreen paleturquoise palevioletred
+  papayawhip peachpuff peru pink plum powderblue purple rebeccapurple red rosybrown royalblue
+  saddlebrown salmon sandybrown seagreen seashell sienna silver skyblue slateblue slategray
+  slategrey snow springgreen steelblue tan teal thistle tomato turquoise violet wheat white
+  whitesmoke yellow yellowgreen transparent currentcolor
+  accentcolor accentcolortext activetext buttonborder buttonface buttontext canvas canvastext
+  field fieldtext graytext highlight highlighttext linktext mark marktext selecteditem
+  selecteditemtext visitedtext
+`.trim().split(/\s+/));
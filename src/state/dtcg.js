@@ -0,0 +1,422 @@
+// Conversion between GhostCanvas design tokens and the W3C Design Tokens
+// Community Group (DTCG) JSON format, as read and written by Style Dictionary
+// and Tokens Studio.
+//
+// GhostCanvas tokens are flat: category → key → CSS value. On import the
+// top-level group names the category ("color" and "colors" both become
+// colors) and the rest of the token's path, kebab-cased, becomes its key:
+// color.blue.600 → colors.blue-600. Tokens outside any group, or in a group
+// that isn't a known category (motion.fast with $type duration), are placed by
+// their $type; only untyped tokens in unknown groups become custom categories.
+// On export every category becomes a top-level group, so files round-trip.
+
+import { TOKEN_CATEGORIES, isValidTokenCategory, orderedTokenCategories, parseTokenAlias } from './tokens.js';
+import { splitTopLevel } from './selectors.js';
+
+// Common group names for the built-in categories (after kebab-casing)
+const GROUP_CATEGORIES = {
+  color: 'colors', colour: 'colors', colours: 'colors',
+  font: 'fonts', 'font-family': 'fonts', 'font-families': 'fonts',
+  space: 'spacing', spaces: 'spacing', spacings: 'spacing', size: 'spacing', sizes: 'spacing', sizing: 'spacing',
+  radius: 'radii', radiuses: 'radii', 'border-radius': 'radii', 'border-radii': 'radii', 'border-radiuses': 'radii',
+  shadow: 'shadows', 'box-shadow': 'shadows', 'box-shadows': 'shadows', elevation: 'shadows',
+  'font-size': 'font-sizes', 'font-weight': 'font-weights', 'line-height': 'line-heights',
+  'letter-spacing': 'letter-spacings', breakpoint: 'breakpoints', screens: 'breakpoints',
+  'z-indices': 'z-index', 'z-indexes': 'z-index', duration: 'durations', easing: 'easings',
+  'timing-function': 'easings', 'timing-functions': 'easings', opacities: 'opacity',
+};
+
+// $type → category for ungrouped tokens, including Tokens Studio's types
+const TYPE_CATEGORIES = {
+  color: 'colors',
+  fontFamily: 'fonts', fontFamilies: 'fonts',
+  dimension: 'spacing', spacing: 'spacing', sizing: 'spacing',
+  borderRadius: 'radii',
+  shadow: 'shadows', boxShadow: 'shadows',
+  fontSizes: 'font-sizes',
+  fontWeight: 'font-weights', fontWeights: 'font-weights',
+  lineHeights: 'line-heights',
+  letterSpacing: 'letter-spacings',
+  duration: 'durations',
+  cubicBezier: 'easings',
+  opacity: 'opacity',
+};
+
+// Tokens Studio types that are plain DTCG types under another name
+const TYPE_SYNONYMS = {
+  fontFamilies: 'fontFamily', fontWeights: 'fontWeight', boxShadow: 'shadow',
+  spacing: 'dimension', sizing: 'dimension', borderRadius: 'dimension', fontSizes: 'dimension',
+  letterSpacing: 'dimension', borderWidth: 'dimension', lineHeights: 'number', opacity: 'number',
+};
+
+const FONT_WEIGHT_NAMES = {
+  thin: 100, hairline: 100, 'extra-light': 200, 'ultra-light': 200, light: 300,
+  normal: 400, regular: 400, book: 400, medium: 500, 'semi-bold': 600, 'demi-bold': 600,
+  bold: 700, 'extra-bold': 800, 'ultra-bold': 800, black: 900, heavy: 900,
+  'extra-black': 950, 'ultra-black': 950,
+};
+
+const EASING_KEYWORDS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1],
+};
+
+const DTCG_ALIAS = /^\{([^{}]+)\}$/;
+
+function kebab(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[\s_./]+/g, '-')
+    .replace(/[^a-zA-Z0-9-]/g, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase();
+}
+
+// The built-in category a group name stands for, or null
+function categoryForGroup(group) {
+  const name = kebab(group);
+  if (Object.hasOwn(TOKEN_CATEGORIES, name)) return name;
+  return GROUP_CATEGORIES[name] || null;
+}
+
+// Custom category named after a group that isn't a built-in one
+function customCategory(group) {
+  const name = kebab(group);
+  return isValidTokenCategory(name) ? name : null;
+}
+
+// --- Import ---
+
+// Parse a DTCG document into { tokens: { category: { key: value } }, report }.
+// report.unsupported lists tokens whose $type (or value shape) has no CSS
+// equivalent; report.unresolved lists aliases to tokens that weren't imported.
+export function importDtcg(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('A DTCG token file must be a JSON object of groups and tokens');
+  }
+
+  // Collect every token with its inherited $type
+  const found = new Map(); // "a.b.c" → { path, type, value }
+  const walk = (node, path, inheritedType) => {
+    const type = node.$type ?? inheritedType;
+    if (Object.hasOwn(node, '$value')) {
+      found.set(path.join('.'), { path, type, value: node.$value });
+      return;
+    }
+    for (const [name, child] of Object.entries(node)) {
+      if (name.startsWith('$') || !child || typeof child !== 'object' || Array.isArray(child)) continue;
+      walk(child, [...path, name], type);
+    }
+  };
+  walk(document, [], undefined);
+
+  const report = { unsupported: [], unresolved: [] };
+
+  // Aliases inherit their target's $type
+  const typeOf = (pathStr, seen = new Set()) => {
+    const token = found.get(pathStr);
+    if (!token || seen.has(pathStr)) return undefined;
+    if (token.type) return token.type;
+    const alias = typeof token.value === 'string' && token.value.match(DTCG_ALIAS);
+    return alias ? typeOf(alias[1], new Set([...seen, pathStr])) : undefined;
+  };
+
+  // Place each token in a category
+  const placed = new Map(); // pathStr → { category, key }
+  for (const [pathStr, token] of found) {
+    const type = typeOf(pathStr);
+    let category;
+    let keyPath;
+    if (token.path.length === 1) {
+      category = TYPE_CATEGORIES[type];
+      keyPath = token.path;
+    } else {
+      category = categoryForGroup(token.path[0]) || TYPE_CATEGORIES[type] || customCategory(token.path[0]);
+      keyPath = token.path.slice(1);
+    }
+    const key = keyPath.map(kebab).filter(Boolean).join('-');
+
+    if (!category || !key) {
+      report.unsupported.push({ path: pathStr, type: type ?? null, reason: 'No group to map it to a token category' });
+      continue;
+    }
+    placed.set(pathStr, { category, key });
+  }
+
+  // Concrete CSS value of a token, following aliases (for use inside composites)
+  const resolving = new Set();
+  const concreteValue = (pathStr) => {
+    const token = found.get(pathStr);
+    if (!token || resolving.has(pathStr)) return null;
+    resolving.add(pathStr);
+    try {
+      return toCss(token.value, typeOf(pathStr));
+    } finally {
+      resolving.delete(pathStr);
+    }
+  };
+
+  const toCss = (value, type) => {
+    const alias = typeof value === 'string' && value.match(DTCG_ALIAS);
+    if (alias) return concreteValue(alias[1]);
+    return convertValue(value, TYPE_SYNONYMS[type] || type, (part) => {
+      const partAlias = typeof part === 'string' && part.match(DTCG_ALIAS);
+      return partAlias ? concreteValue(partAlias[1]) : part;
+    });
+  };
+
+  const tokens = {};
+  for (const [pathStr, { category, key }] of placed) {
+    const token = found.get(pathStr);
+    const type = typeOf(pathStr);
+
+    // Whole-value aliases stay aliases
+    const alias = typeof token.value === 'string' && token.value.match(DTCG_ALIAS);
+    let value;
+    if (alias) {
+      const target = placed.get(alias[1]);
+      if (!target) {
+        report.unresolved.push({ path: pathStr, alias: token.value });
+        continue;
+      }
+      value = `{${target.category}.${target.key}}`;
+    } else {
+      value = toCss(token.value, type);
+      if (value === null) {
+        report.unsupported.push({
+          path: pathStr,
+          type: type ?? null,
+          reason: type && !SUPPORTED_TYPES.has(TYPE_SYNONYMS[type] || type)
+            ? `$type "${type}" has no single CSS value`
+            : 'Value could not be converted to CSS',
+        });
+        continue;
+      }
+    }
+
+    tokens[category] ??= {};
+    tokens[category][key] = value;
+  }
+
+  // Drop aliases whose target was itself left out, until none remain
+  let dropped = true;
+  while (dropped) {
+    dropped = false;
+    for (const [pathStr, { category, key }] of placed) {
+      const target = parseTokenAlias(tokens[category]?.[key]);
+      if (target && tokens[target.category]?.[target.key] === undefined) {
+        delete tokens[category][key];
+        report.unresolved.push({ path: pathStr, alias: found.get(pathStr).value });
+        dropped = true;
+      }
+    }
+  }
+  for (const category of Object.keys(tokens)) {
+    if (Object.keys(tokens[category]).length === 0) delete tokens[category];
+  }
+
+  return { tokens, report };
+}
+
+const SUPPORTED_TYPES = new Set([
+  'color', 'dimension', 'fontFamily', 'fontWeight', 'duration', 'cubicBezier', 'number',
+  'shadow', 'border', 'transition', 'strokeStyle',
+]);
+
+// DTCG $value → CSS string, or null when there's no equivalent. Untyped
+// strings and numbers pass through.
+function convertValue(value, type, part) {
+  if (type && !SUPPORTED_TYPES.has(type)) return null;
+
+  const scalar = (v) => {
+    v = part(v);
+    if (v === null || v === undefined) return null;
+    if (typeof v === 'object' && 'value' in v && 'unit' in v) return `${v.value}${v.unit}`;
+    if (typeof v === 'object' && ('colorSpace' in v || 'hex' in v)) return colorToCss(v);
+    return typeof v === 'string' || typeof v === 'number' ? String(v) : null;
+  };
+
+  switch (type) {
+    case 'color':
+      return typeof value === 'object' ? colorToCss(value) : scalar(value);
+    case 'dimension':
+      return typeof value === 'number' ? (value === 0 ? '0' : `${value}px`) : scalar(value);
+    case 'duration':
+      return typeof value === 'number' ? `${value}ms` : scalar(value);
+    case 'fontFamily':
+      if (Array.isArray(value)) {
+        return value.map(part).map(name => (/\s/.test(name) && !/^['"]/.test(name) ? `"${name}"` : name)).join(', ');
+      }
+      return scalar(value);
+    case 'fontWeight':
+      return typeof value === 'string' && FONT_WEIGHT_NAMES[kebab(value)] ? String(FONT_WEIGHT_NAMES[kebab(value)]) : scalar(value);
+    case 'cubicBezier':
+      return Array.isArray(value) ? `cubic-bezier(${value.map(part).join(', ')})` : scalar(value);
+    case 'shadow': {
+      const layers = Array.isArray(value) ? value : [value];
+      if (layers.some(layer => typeof layer !== 'object')) return typeof value === 'string' ? value : null;
+      const css = layers.map(layer => [
+        layer.inset ? 'inset' : null,
+        scalar(layer.offsetX ?? 0), scalar(layer.offsetY ?? 0), scalar(layer.blur ?? 0),
+        layer.spread !== undefined ? scalar(layer.spread) : null,
+        scalar(layer.color),
+      ].filter(v => v !== null).join(' '));
+      return css.join(', ');
+    }
+    case 'border':
+      if (typeof value !== 'object') return scalar(value);
+      return [scalar(value.width), typeof value.style === 'string' ? value.style : 'solid', scalar(value.color)]
+        .filter(Boolean).join(' ');
+    case 'transition':
+      if (typeof value !== 'object') return scalar(value);
+      return [
+        scalar(value.duration),
+        Array.isArray(value.timingFunction) ? `cubic-bezier(${value.timingFunction.join(', ')})` : scalar(value.timingFunction),
+        value.delay !== undefined ? scalar(value.delay) : null,
+      ].filter(Boolean).join(' ');
+    case 'strokeStyle':
+      return typeof value === 'string' ? value : null;
+    default:
+      return scalar(value);
+  }
+}
+
+function colorToCss(color) {
+  if (color.hex && (color.alpha === undefined || color.alpha === 1)) return color.hex;
+  const alpha = color.alpha !== undefined && color.alpha !== 1 ? ` / ${color.alpha}` : '';
+  if (color.colorSpace === 'srgb' && Array.isArray(color.components)) {
+    const [r, g, b] = color.components.map(c => Math.round(c * 255));
+    return `rgb(${r} ${g} ${b}${alpha})`;
+  }
+  if (color.colorSpace && Array.isArray(color.components)) {
+    const fn = ['hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch'].includes(color.colorSpace) ? color.colorSpace : null;
+    return fn
+      ? `${fn}(${color.components.join(' ')}${alpha})`
+      : `color(${color.colorSpace} ${color.components.join(' ')}${alpha})`;
+  }
+  return color.hex || null;
+}
+
+// --- Export ---
+
+const CATEGORY_TYPES = {
+  colors: 'color',
+  fonts: 'fontFamily',
+  spacing: 'dimension',
+  radii: 'dimension',
+  shadows: 'shadow',
+  'font-sizes': 'dimension',
+  'font-weights': 'fontWeight',
+  'line-heights': 'number',
+  'letter-spacings': 'dimension',
+  breakpoints: 'dimension',
+  'z-index': 'number',
+  durations: 'duration',
+  easings: 'cubicBezier',
+  opacity: 'number',
+};
+
+const DIMENSION = /^-?(\d+\.?\d*|\.\d+)(px|rem|em|%|vh|vw|vmin|vmax|ch|ex|pt)?$/;
+const NUMBER = /^-?(\d+\.?\d*|\.\d+)$/;
+const COLOR = /^(#[0-9a-fA-F]{3,8}|(rgb|rgba|hsl|hsla|hwb|lab|lch|oklab|oklch|color)\(.*\)|transparent|currentColor)$/;
+
+// Build a DTCG document from GhostCanvas tokens: { document, report }.
+// report.untyped lists values exported without a $type because they don't fit
+// the category's type (e.g. spacing "auto" or a clamp()).
+export function exportDtcg(designTokens) {
+  const document = {};
+  const report = { untyped: [] };
+
+  const typed = (category, value) => {
+    const type = CATEGORY_TYPES[category] || guessType(value);
+    return type ? toDtcgValue(value, category === 'line-heights' && !NUMBER.test(value) ? 'dimension' : type) : null;
+  };
+
+  for (const category of orderedTokenCategories(designTokens)) {
+    const group = {};
+    for (const [key, value] of Object.entries(designTokens[category])) {
+      const alias = parseTokenAlias(value);
+      if (alias) {
+        // Same path syntax: groups are categories and keys are flat
+        const target = designTokens[alias.category]?.[alias.key];
+        const targetType = target !== undefined && !parseTokenAlias(target) ? typed(alias.category, target) : null;
+        group[key] = targetType ? { $type: targetType.$type, $value: value } : { $value: value };
+        continue;
+      }
+
+      const token = typed(category, value);
+      if (token) {
+        group[key] = token;
+      } else {
+        group[key] = { $value: value };
+        report.untyped.push({ token: `${category}.${key}`, value });
+      }
+    }
+    if (Object.keys(group).length > 0) document[category] = group;
+  }
+
+  return { document, report };
+}
+
+function guessType(value) {
+  if (COLOR.test(value)) return 'color';
+  if (DIMENSION.test(value) && !NUMBER.test(value)) return 'dimension';
+  return null;
+}
+
+// CSS string → { $type, $value } or null if it doesn't fit `type`
+function toDtcgValue(value, type) {
+  const v = value.trim();
+  switch (type) {
+    case 'color':
+      return COLOR.test(v) ? { $type: type, $value: v } : null;
+    case 'dimension':
+      if (v === '0') return { $type: type, $value: '0px' };
+      return DIMENSION.test(v) && !NUMBER.test(v) ? { $type: type, $value: v } : null;
+    case 'number':
+      return NUMBER.test(v) ? { $type: type, $value: Number(v) } : null;
+    case 'duration':
+      return /^(\d+\.?\d*|\.\d+)m?s$/.test(v) ? { $type: type, $value: v } : null;
+    case 'fontFamily': {
+      const families = v.split(',').map(name => name.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean);
+      return { $type: type, $value: families.length === 1 ? families[0] : families };
+    }
+    case 'fontWeight':
+      if (NUMBER.test(v)) return { $type: type, $value: Number(v) };
+      return v === 'normal' || v === 'bold' ? { $type: type, $value: v === 'bold' ? 700 : 400 } : null;
+    case 'cubicBezier': {
+      if (EASING_KEYWORDS[v]) return { $type: type, $value: EASING_KEYWORDS[v] };
+      const match = v.match(/^cubic-bezier\(([^)]+)\)$/);
+      const points = match?.[1].split(',').map(Number);
+      return points?.length === 4 && points.every(Number.isFinite) ? { $type: type, $value: points } : null;
+    }
+    case 'shadow': {
+      const layers = splitTopLevel(v, ',').map(parseShadow);
+      if (layers.some(layer => !layer)) return null;
+      return { $type: type, $value: layers.length === 1 ? layers[0] : layers };
+    }
+    default:
+      return null;
+  }
+}
+
+// "inset 0 1px 2px 0 rgba(0,0,0,.1)" → DTCG shadow object
+function parseShadow(layer) {
+  const words = layer.match(/[a-z-]+\([^)]*\)|\S+/gi) || [];
+  const inset = words[0] === 'inset';
+  if (inset) words.shift();
+  const lengths = [];
+  while (words.length > 0 && DIMENSION.test(words[0])) lengths.push(words.shift());
+  const color = words.join(' ');
+  if (lengths.length < 2 || lengths.length > 4 || !COLOR.test(color)) return null;
+
+  const px = (length) => (length === '0' ? '0px' : length);
+  const [offsetX, offsetY, blur = '0', spread = '0'] = lengths;
+  const shadow = { color, offsetX: px(offsetX), offsetY: px(offsetY), blur: px(blur), spread: px(spread) };
+  if (inset) shadow.inset = true;
+  return shadow;
+}
@@ -0,0 +1,180 @@
+// HTML content-model checks for the stored element tree: which elements may
+// contain which. A practical subset of the HTML spec -- the mistakes that
+// make the browser repair the markup (a <p> closed early, an <li> floated out
+// of nowhere) or the renderer drop content (children of void elements).
+
+export const HTML_VALIDATION_MODES = ['strict', 'lenient'];
+
+export const HTML_CONTENT_RULES = {
+  'tag-name': 'Tag names must be valid HTML element names',
+  'void-content': 'Void elements (img, input, br…) cannot have children or text',
+  'phrasing-content': 'p, headings, span, button, label and other phrasing elements only contain phrasing (inline) content',
+  'interactive-nesting': 'Links, buttons and form controls cannot be nested inside a link or button',
+  'required-parent': 'Elements like li, td, option and figcaption need their proper parent',
+  'allowed-children': 'Lists, tables, select and dl only contain their own item elements',
+};
+
+// Rendered without a closing tag, so children and text are dropped
+export const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+const PHRASING = new Set([
+  'a', 'abbr', 'area', 'audio', 'b', 'bdi', 'bdo', 'br', 'button', 'canvas', 'cite', 'code',
+  'data', 'datalist', 'del', 'dfn', 'em', 'embed', 'i', 'iframe', 'img', 'input', 'ins', 'kbd',
+  'label', 'link', 'map', 'mark', 'math', 'meta', 'meter', 'noscript', 'object', 'output',
+  'picture', 'progress', 'q', 'ruby', 's', 'samp', 'script', 'select', 'slot', 'small', 'span',
+  'strong', 'sub', 'sup', 'svg', 'template', 'textarea', 'time', 'u', 'var', 'video', 'wbr',
+]);
+
+// Elements whose content may only be phrasing content
+const PHRASING_ONLY = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'span', 'label', 'button', 'em', 'strong',
+  'b', 'i', 'u', 's', 'small', 'code', 'abbr', 'cite', 'q', 'sub', 'sup', 'mark', 'time', 'kbd',
+  'samp', 'var', 'dfn', 'bdi', 'bdo', 'data', 'output',
+]);
+
+// Transparent elements take the content model of their parent
+const TRANSPARENT = new Set(['a', 'ins', 'del', 'map', 'noscript', 'object', 'video', 'audio', 'canvas', 'slot']);
+
+const INTERACTIVE = new Set(['a', 'button', 'input', 'select', 'textarea', 'label', 'details', 'embed', 'iframe']);
+
+// Element → the parents it may appear in
+const REQUIRED_PARENTS = {
+  li: ['ul', 'ol', 'menu'],
+  dt: ['dl', 'div'],
+  dd: ['dl', 'div'],
+  tr: ['table', 'thead', 'tbody', 'tfoot'],
+  td: ['tr'],
+  th: ['tr'],
+  thead: ['table'],
+  tbody: ['table'],
+  tfoot: ['table'],
+  caption: ['table'],
+  colgroup: ['table'],
+  col: ['colgroup'],
+  option: ['select', 'datalist', 'optgroup'],
+  optgroup: ['select'],
+  figcaption: ['figure'],
+  legend: ['fieldset'],
+  summary: ['details'],
+  source: ['picture', 'video', 'audio'],
+  track: ['video', 'audio'],
+};
+
+// Script-supporting elements may appear anywhere the children lists below apply
+const SCRIPT_SUPPORTING = ['script', 'template'];
+
+// Parent → the only children it may have
+const ALLOWED_CHILDREN = {
+  ul: ['li'],
+  ol: ['li'],
+  menu: ['li'],
+  dl: ['dt', 'dd', 'div'],
+  table: ['caption', 'colgroup', 'thead', 'tbody', 'tfoot', 'tr'],
+  thead: ['tr'],
+  tbody: ['tr'],
+  tfoot: ['tr'],
+  tr: ['td', 'th'],
+  colgroup: ['col'],
+  select: ['option', 'optgroup', 'hr'],
+  optgroup: ['option'],
+  picture: ['source', 'img'],
+};
+
+const TAG_NAME = /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/;
+
+// SVG and MathML content has its own rules; nothing inside is checked
+function isForeign(tag) {
+  return tag === 'svg' || tag === 'math';
+}
+
+// Problems with `element` where it sits in `elements` (looked up through
+// parentId): its own tag and text, and its placement under its parent and
+// ancestors. Each problem is { rule, message }.
+export function checkElement(element, elements) {
+  const problems = [];
+  const report = (rule, message) => problems.push({ rule, message });
+  const { tag } = element;
+  const parent = element.parentId ? elements[element.parentId] : null;
+
+  for (let a = parent; a; a = a.parentId ? elements[a.parentId] : null) {
+    if (isForeign(a.tag)) return problems;
+  }
+
+  if (!TAG_NAME.test(tag)) {
+    report('tag-name', `"${tag}" is not a valid tag name (lowercase letters and digits, custom elements with hyphens)`);
+  }
+  if (VOID_ELEMENTS.has(tag) && element.textContent) {
+    report('void-content', `<${tag}> is a void element, so its text would be dropped — put the text in an attribute (alt, value, placeholder) or a sibling element`);
+  }
+  if (!parent) return problems;
+
+  if (VOID_ELEMENTS.has(parent.tag)) {
+    report('void-content', `<${parent.tag}> is a void element and can't contain <${tag}> — make it a sibling instead`);
+    return problems;
+  }
+
+  const required = REQUIRED_PARENTS[tag];
+  if (required && !required.includes(parent.tag)) {
+    report('required-parent', `<${tag}> must be inside ${required.map(t => `<${t}>`).join(' or ')}, not <${parent.tag}>`);
+  }
+  const allowed = ALLOWED_CHILDREN[parent.tag];
+  if (allowed && !allowed.includes(tag) && !SCRIPT_SUPPORTING.includes(tag) && !required) {
+    report('allowed-children', `<${parent.tag}> can only contain ${allowed.map(t => `<${t}>`).join(', ')}, not <${tag}>`);
+  }
+
+  // The nearest ancestor whose content model applies, looking through transparent ones
+  let context = parent;
+  while (context && TRANSPARENT.has(context.tag) && context.parentId) context = elements[context.parentId];
+  if (context && PHRASING_ONLY.has(context.tag) && !PHRASING.has(tag)) {
+    report('phrasing-content', `<${context.tag}> only takes inline content, so block element <${tag}> can't go inside it${context.tag === 'p' ? ' — the browser would close the <p> early' : ''}`);
+  }
+
+  if (INTERACTIVE.has(tag) && !(tag === 'input' && element.attributes?.type === 'hidden')) {
+    for (let a = parent; a; a = a.parentId ? elements[a.parentId] : null) {
+      if (a.tag === 'a' || a.tag === 'button') {
+        report('interactive-nesting', `<${tag}> can't be nested inside <${a.tag}>${a.id ? ` "${a.id}"` : ''} — interactive elements don't nest`);
+        break;
+      }
+    }
+  }
+
+  return problems;
+}
+
+// Problems for every element in the subtrees under `rootIds`
+export function checkSubtrees(rootIds, elements) {
+  const problems = [];
+  const visit = (id) => {
+    const element = elements[id];
+    if (!element) return;
+    for (const problem of checkElement(element, elements)) {
+      problems.push({ ...problem, elementId: element.id, tag: element.tag, parentId: element.parentId });
+    }
+    if (isForeign(element.tag)) return;
+    for (const childId of element.children) visit(childId);
+  };
+  for (const id of rootIds) visit(id);
+  return problems;
+}
+
+// Validate every page, or just `pageId`. Nodes inside component instances are
+// checked through their masters, where they're edited.
+export function validateHtml(state, { pageId } = {}) {
+  const pageIds = pageId ? [pageId] : Object.keys(state.pages);
+  const violations = [];
+  for (const pid of pageIds) {
+    const page = state.pages[pid];
+    const root = state.elements[page.rootId];
+    if (!root) continue;
+    for (const problem of checkSubtrees(root.children, state.elements)) {
+      violations.push({ ...problem, pageId: pid });
+    }
+  }
+
+  const byRule = {};
+  for (const v of violations) byRule[v.rule] = (byRule[v.rule] || 0) + 1;
+  return { valid: violations.length === 0, count: violations.length, byRule, violations };
+}
@@ -4,6 +4,25 @@ import { join, extname } from 'node:path';
 import { EventEmitter } from 'node:events';
 import { nanoid } from 'nanoid';
 import { DesignStateSchema, createDefaultState } from './schema.js';
+import { materializeInstance } from './components.js';
+import { parseSelector, matchesSelector } from './selectors.js';
+import { parseStyleKey, formatStyleKey, isSameRule, styleRules } from './at-rules.js';
+import { migrateState } from './migrations.js';
+import { buildTokenIndex, tokenizeValue } from './tokenize.js';
+import { findTokenUsage } from './token-usage.js';
+import { checkContrast } from './contrast.js';
+import { lintAccessibility, A11Y_RULES } from './a11y-lint.js';
+import { checkSubtrees, validateHtml, HTML_VALIDATION_MODES } from './html-content.js';
+import { lintStyles, checkDeclaration, STYLE_LINT_RULES } from './style-lint.js';
+import { findUnusedStyles } from './prune.js';
+import { computeStyles } from './cascade.js';
+import { importDtcg } from './dtcg.js';
+import {
+  isValidTokenCategory, tokenAppliesTo, parseTokenAlias, resolveToken, resolveDesignTokens, findTokenDependents,
+  isValidThemeMode, tokensForMode, DEFAULT_THEME_MODE,
+} from './tokens.js';
+
+const MAX_UNDO_ENTRIES = 100;
 
 function decodeUnicodeEscapes(str) {
   if (!str || !str.includes('\\u')) return str;
@@ -22,6 +41,27 @@ export class StateManager extends EventEmitter {
     this.legacyPath = join(designsDir, 'design.json');
     this.state = null;
     this.dirty = { project: false, styles: false, pages: new Set(), deletedPages: new Set() };
+
+    // In-memory operation log: each entry holds the ops that revert/re-apply it
+    this.undoStack = [];
+    this.redoStack = [];
+    this._replaying = false;
+
+    // Content-model problems let through in lenient mode, until taken by the caller
+    this.htmlWarnings = [];
+
+    // Set while apply_operations runs: deltas and undo entries are held back until commit
+    this._deltaBuffer = null;
+    this._transaction = null;
+  }
+
+  // Deltas are buffered while a transaction is open and flushed as one batch
+  emit(event, ...args) {
+    if (event === 'delta' && this._deltaBuffer) {
+      this._deltaBuffer.push(structuredClone(args[0]));
+      return true;
+    }
+    return super.emit(event, ...args);
   }
 
   pageFilePath(pageId) {
@@ -35,16 +75,18 @@ export class StateManager extends EventEmitter {
 
     // Legacy migration: design.json -> split files
     if (existsSync(this.legacyPath)) {
-      const raw = await readFile(this.legacyPath, 'utf-8');
-      this.state = DesignStateSchema.parse(JSON.parse(raw));
+      const raw = JSON.parse(await readFile(this.legacyPath, 'utf-8'));
+      migrateState(raw);
+      this.state = DesignStateSchema.parse(raw);
       await this._writeSplitFiles();
       await unlink(this.legacyPath);
       return;
     }
 
-    // Load from split files
+    // Load from split files, persisting the result if it had to be migrated
     if (existsSync(this.projectPath)) {
-      await this._loadSplitFiles();
+      const migrated = await this._loadSplitFiles();
+      if (migrated) await this._writeSplitFiles();
     } else {
       this.state = createDefaultState();
       await this._writeSplitFiles();
@@ -56,13 +98,13 @@ export class StateManager extends EventEmitter {
       await mkdir(this.pagesDir, { recursive: true });
     }
 
-    const { project, pages, elements, styles, designTokens } = this.state;
+    const { project, pages, elements, styles, atRuleStyles, designTokens, components, keyframes, themeModes } = this.state;
 
-    // project.json holds project metadata + designTokens
-    const projectData = { ...project, designTokens };
+    // project.json holds project metadata + designTokens + theme modes + component definitions + keyframes
+    const projectData = { ...project, designTokens, themeModes, components, keyframes };
 
-    // styles.json
-    const stylesData = styles;
+    // styles.json holds the global rules, plain and at-rule-wrapped
+    const stylesData = { styles, atRuleStyles };
 
     // Per-page files: page metadata + its elements
     const pageWrites = [];
@@ -95,8 +137,8 @@ export class StateManager extends EventEmitter {
     const projectData = JSON.parse(projectRaw);
     const stylesData = JSON.parse(stylesRaw);
 
-    // Extract designTokens from project data
-    const { designTokens, ...project } = projectData;
+    // Extract designTokens, theme modes, components and keyframes from project data
+    const { designTokens, themeModes, components, keyframes, ...project } = projectData;
 
     // Load all page files
     const pages = {};
@@ -114,13 +156,24 @@ export class StateManager extends EventEmitter {
       Object.assign(elements, pageElements);
     }
 
-    this.state = DesignStateSchema.parse({
+    // Until v6 styles.json was the plain selector map, wrapped rules included
+    const { styles, atRuleStyles } = (project.schemaVersion ?? 0) >= 6 ? stylesData : { styles: stylesData };
+
+    const raw = {
       project,
       pages,
       elements,
-      styles: stylesData,
+      styles,
+      atRuleStyles,
       designTokens: designTokens || { colors: {}, fonts: {}, spacing: {} },
-    });
+      components: components || {},
+      keyframes,
+      themeModes,
+    };
+    const applied = migrateState(raw);
+    this.state = DesignStateSchema.parse(raw);
+
+    return applied.length > 0;
   }
 
   async save() {
@@ -129,15 +182,15 @@ export class StateManager extends EventEmitter {
     }
 
     const writes = [];
-    const { project, pages, elements, styles, designTokens } = this.state;
+    const { project, pages, elements, styles, atRuleStyles, designTokens, components, keyframes, themeModes } = this.state;
 
     if (this.dirty.project) {
-      const projectData = { ...project, designTokens };
+      const projectData = { ...project, designTokens, themeModes, components, keyframes };
       writes.push(writeFile(this.projectPath, JSON.stringify(projectData, null, 2), 'utf-8'));
     }
 
     if (this.dirty.styles) {
-      writes.push(writeFile(this.stylesPath, JSON.stringify(styles, null, 2), 'utf-8'));
+      writes.push(writeFile(this.stylesPath, JSON.stringify({ styles, atRuleStyles }, null, 2), 'utf-8'));
     }
 
     for (const pageId of this.dirty.pages) {
@@ -167,9 +220,14 @@ export class StateManager extends EventEmitter {
     this._clearDirty();
   }
 
+  // Re-read files after a git checkout; older commits are migrated forward on the way in
   async reload() {
-    await this._loadSplitFiles();
+    const migrated = await this._loadSplitFiles();
+    if (migrated) {
+      await this._writeSplitFiles();
+    }
     this._clearDirty();
+    this.clearUndoHistory();
     this.emit('stateChanged', this.state);
   }
 
@@ -198,9 +256,10 @@ export class StateManager extends EventEmitter {
 
   // --- Element operations ---
 
-  createElement({ tag, parentId, classes, attributes, textContent, insertIndex }) {
+  createElement({ tag, parentId, classes, attributes, textContent, style, insertIndex }) {
     const parent = this.state.elements[parentId];
     if (!parent) throw new Error(`Parent element "${parentId}" not found`);
+    this._assertCanHaveChildren(parent);
 
     const id = this.generateId();
     const element = {
@@ -212,7 +271,16 @@ export class StateManager extends EventEmitter {
       children: [],
       parentId,
       pageId: parent.pageId,
+      ...(style && Object.keys(style).length > 0 ? { style } : {}),
     };
+    this._checkContentModel([id], { ...this.state.elements, [id]: element });
+
+    return this._insertElement(element, insertIndex, `Create ${tag} "${id}"`);
+  }
+
+  _insertElement(element, insertIndex, label) {
+    const { id, parentId } = element;
+    const parent = this.state.elements[parentId];
 
     this.state.elements[id] = element;
 
@@ -228,18 +296,48 @@ export class StateManager extends EventEmitter {
       data: { element: structuredClone(element), parentId, insertIndex },
     });
 
+    const restore = {
+      elements: { [id]: structuredClone(element) },
+      roots: [{ id, parentId, index: parent.children.indexOf(id) }],
+    };
+    this._record({
+      label,
+      undo: [['deleteElement', id]],
+      redo: [['_restoreElements', restore]],
+    });
+
     return element;
   }
 
-  updateElement({ id, tag, classes, attributes, textContent }) {
+  updateElement({ id, tag, classes, attributes, textContent, style }) {
     const element = this.state.elements[id];
     if (!element) throw new Error(`Element "${id}" not found`);
+    if (tag !== undefined || textContent !== undefined) {
+      const next = { ...element, tag: tag ?? element.tag, textContent: textContent === undefined ? element.textContent : textContent };
+      this._checkContentModel([id], { ...this.state.elements, [id]: next });
+    }
+
+    const previous = {};
+    for (const [field, value] of Object.entries({ tag, classes, attributes, textContent, style })) {
+      if (value !== undefined) previous[field] = structuredClone(element[field] ?? (field === 'style' ? {} : undefined));
+    }
 
     const changes = {};
     if (tag !== undefined) { element.tag = tag; changes.tag = tag; }
     if (classes !== undefined) { element.classes = classes; changes.classes = classes; }
     if (attributes !== undefined) { element.attributes = { ...element.attributes, ...attributes }; changes.attributes = element.attributes; }
     if (textContent !== undefined) { const decoded = decodeUnicodeEscapes(textContent); element.textContent = decoded; changes.textContent = decoded; }
+    if (style !== undefined) {
+      // Merged like attributes; a null value removes that property
+      const merged = { ...element.style };
+      for (const [prop, value] of Object.entries(style)) {
+        if (value === null) delete merged[prop];
+        else merged[prop] = value;
+      }
+      element.style = merged;
+      this._dropEmptyStyle(element);
+      changes.style = merged;
+    }
 
     this.dirty.pages.add(element.pageId);
     this.emit('delta', {
@@ -247,16 +345,46 @@ export class StateManager extends EventEmitter {
       data: { id, changes },
     });
 
+    this._record({
+      label: `Update element "${id}"`,
+      undo: [['_replaceElementFields', id, previous]],
+      redo: [['_replaceElementFields', id, structuredClone(changes)]],
+    });
+
     return element;
   }
 
+  _replaceElementFields(id, fields) {
+    const element = this.state.elements[id];
+    if (!element) throw new Error(`Element "${id}" not found`);
+
+    Object.assign(element, structuredClone(fields));
+    this._dropEmptyStyle(element);
+
+    this.dirty.pages.add(element.pageId);
+    this.emit('delta', {
+      type: 'delta:element:updated',
+      data: { id, changes: structuredClone(fields) },
+    });
+  }
+
+  // An emptied style map is removed rather than persisted as {}
+  _dropEmptyStyle(element) {
+    if (element.style && Object.keys(element.style).length === 0) delete element.style;
+  }
+
   deleteElement(id) {
     const element = this.state.elements[id];
     if (!element) throw new Error(`Element "${id}" not found`);
     if (!element.parentId) throw new Error('Cannot delete root element');
+    this._assertNoComponentMasters(Object.keys(this._snapshotSubtree(id)));
 
     const parentId = element.parentId;
     const pageId = element.pageId;
+    const restore = {
+      elements: this._snapshotSubtree(id),
+      roots: [{ id, parentId, index: this.state.elements[parentId]?.children.indexOf(id) ?? null }],
+    };
 
     this._deleteRecursive(id);
 
@@ -270,6 +398,33 @@ export class StateManager extends EventEmitter {
       type: 'delta:element:deleted',
       data: { id, parentId },
     });
+
+    this._record({
+      label: `Delete ${element.tag} "${id}"`,
+      undo: [['_restoreElements', restore]],
+      redo: [['deleteElement', id]],
+    });
+  }
+
+  _snapshotSubtree(id) {
+    const snapshot = {};
+    const walk = (elementId) => {
+      const el = this.state.elements[elementId];
+      if (!el) return;
+      snapshot[elementId] = structuredClone(el);
+      for (const childId of el.children) walk(childId);
+    };
+    walk(id);
+    return snapshot;
+  }
+
+  // Re-insert previously removed subtrees with their original IDs
+  _restoreElements({ elements, roots }) {
+    for (const { parentId } of roots) {
+      if (!this.state.elements[parentId]) throw new Error(`Parent element "${parentId}" not found`);
+    }
+
+    this._insertSubtrees({ elements: structuredClone(elements), roots });
   }
 
   _deleteRecursive(id) {
@@ -290,8 +445,11 @@ export class StateManager extends EventEmitter {
 
     const newParent = this.state.elements[newParentId];
     if (!newParent) throw new Error(`New parent "${newParentId}" not found`);
+    this._assertCanHaveChildren(newParent);
+    this._checkContentModel([id], { ...this.state.elements, [id]: { ...element, parentId: newParentId } });
 
     const oldParentId = element.parentId;
+    const oldIndex = this.state.elements[oldParentId]?.children.indexOf(id) ?? null;
 
     // Remove from old parent
     const oldParent = this.state.elements[oldParentId];
@@ -323,6 +481,12 @@ export class StateManager extends EventEmitter {
       data: { id, oldParentId, newParentId, insertIndex },
     });
 
+    this._record({
+      label: `Move element "${id}"`,
+      undo: [['moveElement', { id, newParentId: oldParentId, insertIndex: oldIndex }]],
+      redo: [['moveElement', { id, newParentId, insertIndex }]],
+    });
+
     return element;
   }
 
@@ -358,17 +522,73 @@ export class StateManager extends EventEmitter {
     return buildTree(page.rootId);
   }
 
+  // Find elements by CSS selector and/or text. Returns compact matches in
+  // document order: page by page, depth-first through each tree.
+  queryElements({ selector, text, pageId, allPages = false, limit = 50 } = {}) {
+    if (!selector && !text) throw new Error('Provide a selector, text, or both');
+
+    let pageIds;
+    if (allPages) {
+      pageIds = Object.keys(this.state.pages);
+    } else {
+      const pid = pageId || this.state.project.activePageId;
+      if (!this.state.pages[pid]) throw new Error(`Page "${pid}" not found`);
+      pageIds = [pid];
+    }
+
+    const { elements } = this.state;
+    const parsed = selector ? parseSelector(selector) : null;
+    const needle = text ? text.toLowerCase() : null;
+
+    const matches = [];
+    let total = 0;
+    const visit = (id, path) => {
+      const el = elements[id];
+      if (!el) return;
+      const segment = el.tag + el.classes.map(c => `.${c}`).join('');
+      const elPath = path ? `${path} > ${segment}` : segment;
+
+      const textOk = !needle || (el.textContent || '').toLowerCase().includes(needle);
+      if (textOk && (!parsed || matchesSelector(el, parsed, elements))) {
+        total++;
+        if (matches.length < limit) {
+          const preview = el.textContent && el.textContent.length > 80
+            ? el.textContent.slice(0, 77) + '...'
+            : el.textContent;
+          matches.push({
+            id: el.id,
+            tag: el.tag,
+            classes: el.classes,
+            ...(preview ? { text: preview } : {}),
+            ...(el.instance ? { componentId: el.instance.componentId } : {}),
+            pageId: el.pageId,
+            path: elPath,
+          });
+        }
+      }
+      for (const childId of el.children) visit(childId, elPath);
+    };
+
+    for (const pid of pageIds) {
+      const page = this.state.pages[pid];
+      if (page) visit(page.rootId, '');
+    }
+
+    return { total, truncated: total > matches.length, matches };
+  }
+
   createElementTree(parentId, elements) {
     const parent = this.state.elements[parentId];
     if (!parent) throw new Error(`Parent element "${parentId}" not found`);
+    this._assertCanHaveChildren(parent);
 
-    let count = 0;
-
+    // Build the whole tree off to the side, then attach it in one step
+    const tree = {};
     const createRecursive = (pid, defs, pageId) => {
       const ids = [];
       for (const def of defs) {
         const id = this.generateId();
-        this.state.elements[id] = {
+        tree[id] = {
           id,
           tag: def.tag,
           classes: def.classes || [],
@@ -377,26 +597,118 @@ export class StateManager extends EventEmitter {
           children: [],
           parentId: pid,
           pageId,
+          ...(def.style && Object.keys(def.style).length > 0 ? { style: def.style } : {}),
         };
-        this.state.elements[pid].children.push(id);
         ids.push(id);
-        count++;
-        if (def.children?.length) createRecursive(id, def.children, pageId);
+        if (def.children?.length) tree[id].children = createRecursive(id, def.children, pageId);
       }
       return ids;
     };
 
     const topIds = createRecursive(parentId, elements, parent.pageId);
-
-    this.dirty.pages.add(parent.pageId);
-    this.emit('delta', {
-      type: 'design:full',
-      data: this.getStateSnapshot(),
+    this._checkContentModel(topIds, { ...this.state.elements, ...tree });
+    const count = Object.keys(tree).length;
+    const start = parent.children.length;
+    const roots = topIds.map((id, i) => ({ id, parentId, index: start + i }));
+    const restore = { elements: structuredClone(tree), roots };
+
+    this._insertSubtrees({ elements: tree, roots });
+
+    this._record({
+      label: `Create ${count} elements`,
+      undo: [...topIds].reverse().map(id => ['deleteElement', id]),
+      redo: [['_restoreElements', restore]],
     });
 
     return { count, topIds };
   }
 
+  // Copy an element subtree `count` times under fresh IDs. Copies go right after
+  // the original unless another parent (possibly on another page) is given.
+  duplicateElement({ id, count = 1, parentId, insertIndex, pageId }) {
+    const source = this.state.elements[id];
+    if (!source) throw new Error(`Element "${id}" not found`);
+    if (!source.parentId) throw new Error('Cannot duplicate a page root element; use clone_page instead');
+    if (!Number.isInteger(count) || count < 1 || count > 100) throw new Error('count must be an integer between 1 and 100');
+
+    let targetId = parentId;
+    if (!targetId) {
+      if (pageId && pageId !== source.pageId) {
+        const page = this.state.pages[pageId];
+        if (!page) throw new Error(`Page "${pageId}" not found`);
+        targetId = page.rootId;
+      } else {
+        targetId = source.parentId;
+      }
+    }
+    const parent = this.state.elements[targetId];
+    if (!parent) throw new Error(`Parent element "${targetId}" not found`);
+    if (pageId && parent.pageId !== pageId) throw new Error(`Parent element "${targetId}" is not on page "${pageId}"`);
+    this._assertCanHaveChildren(parent);
+
+    let index = insertIndex ?? (targetId === source.parentId ? parent.children.indexOf(id) + 1 : parent.children.length);
+    index = Math.max(0, Math.min(index, parent.children.length));
+
+    const subtreeIds = Object.keys(this._snapshotSubtree(id));
+    const tree = { elements: {}, roots: [] };
+    for (let i = 0; i < count; i++) {
+      const { elements, idMap } = this._remapElements(subtreeIds, parent.pageId);
+      const rootId = idMap.get(id);
+      elements[rootId].parentId = targetId;
+      Object.assign(tree.elements, elements);
+      tree.roots.push({ id: rootId, parentId: targetId, index: index + i });
+    }
+    this._checkContentModel(tree.roots.map(r => r.id), { ...this.state.elements, ...tree.elements });
+
+    this._insertSubtrees(structuredClone(tree));
+
+    const ids = tree.roots.map(r => r.id);
+    this._record({
+      label: count === 1 ? `Duplicate ${source.tag} "${id}"` : `Duplicate ${source.tag} "${id}" ×${count}`,
+      undo: [...ids].reverse().map(rootId => ['deleteElement', rootId]),
+      redo: [['_restoreElements', tree]],
+    });
+
+    return { ids, count: Object.keys(tree.elements).length, parentId: targetId, pageId: parent.pageId };
+  }
+
+  // Copy elements under fresh IDs, rewiring parent/child links within the set.
+  // Links pointing outside the set are dropped; callers attach the roots.
+  _remapElements(sourceIds, pageId, makeId = () => this.generateId()) {
+    const idMap = new Map(sourceIds.map(id => [id, makeId(id)]));
+    const elements = {};
+    for (const [oldId, newId] of idMap) {
+      const src = this.state.elements[oldId];
+      elements[newId] = {
+        ...structuredClone(src),
+        id: newId,
+        parentId: idMap.get(src.parentId) ?? null,
+        children: src.children.map(cid => idMap.get(cid)).filter(Boolean),
+        pageId,
+      };
+    }
+    return { elements, idMap };
+  }
+
+  // Attach ready-made subtrees under existing parents, roots in index order
+  _insertSubtrees({ elements, roots }) {
+    Object.assign(this.state.elements, elements);
+    for (const { id, parentId, index } of roots) {
+      const parent = this.state.elements[parentId];
+      if (index !== undefined && index !== null && index >= 0) {
+        parent.children.splice(index, 0, id);
+      } else {
+        parent.children.push(id);
+      }
+      this.dirty.pages.add(parent.pageId);
+    }
+
+    this.emit('delta', {
+      type: 'delta:element:tree-created',
+      data: { elements: structuredClone(elements), roots },
+    });
+  }
+
   // --- Page operations ---
 
   createPage(name) {
@@ -408,6 +720,7 @@ export class StateManager extends EventEmitter {
       name,
       rootId,
       styles: {},
+      atRuleStyles: [],
     };
 
     const rootElement = {
@@ -430,6 +743,12 @@ export class StateManager extends EventEmitter {
       data: { page: structuredClone(page), rootElement: structuredClone(rootElement) },
     });
 
+    this._record({
+      label: `Create page "${name}"`,
+      undo: [['deletePage', pageId]],
+      redo: [['_restorePage', this._snapshotPage(pageId)]],
+    });
+
     return page;
   }
 
@@ -438,33 +757,31 @@ export class StateManager extends EventEmitter {
     if (!sourcePage) throw new Error(`Page "${sourcePageId}" not found`);
 
     const pageId = `page-${this.generateId()}`;
-    const idMap = new Map();
-
-    for (const [id, el] of Object.entries(this.state.elements)) {
-      if (el.pageId === sourcePageId) {
-        idMap.set(id, id === sourcePage.rootId ? `root-${this.generateId()}` : this.generateId());
-      }
-    }
-
-    for (const [oldId, newId] of idMap) {
-      const src = this.state.elements[oldId];
-      this.state.elements[newId] = {
-        ...structuredClone(src),
-        id: newId,
-        parentId: src.parentId ? idMap.get(src.parentId) : null,
-        children: src.children.map(cid => idMap.get(cid)).filter(Boolean),
-        pageId,
-      };
-    }
+    const sourceIds = Object.keys(this.state.elements).filter(id => this.state.elements[id].pageId === sourcePageId);
+    const { elements, idMap } = this._remapElements(sourceIds, pageId,
+      id => id === sourcePage.rootId ? `root-${this.generateId()}` : this.generateId());
+    Object.assign(this.state.elements, elements);
 
     const rootId = idMap.get(sourcePage.rootId);
-    const page = { id: pageId, name: newName, rootId, styles: structuredClone(sourcePage.styles) };
+    const page = {
+      id: pageId,
+      name: newName,
+      rootId,
+      styles: structuredClone(sourcePage.styles),
+      atRuleStyles: structuredClone(sourcePage.atRuleStyles),
+    };
     this.state.pages[pageId] = page;
 
     this.dirty.pages.add(pageId);
     this.emit('delta', {
-      type: 'design:full',
-      data: this.getStateSnapshot(),
+      type: 'delta:page:cloned',
+      data: { page: structuredClone(page), elements: structuredClone(elements) },
+    });
+
+    this._record({
+      label: `Clone page as "${newName}"`,
+      undo: [['deletePage', pageId]],
+      redo: [['_restorePage', this._snapshotPage(pageId)]],
     });
 
     return page;
@@ -477,6 +794,9 @@ export class StateManager extends EventEmitter {
     const pageIds = Object.keys(this.state.pages);
     if (pageIds.length <= 1) throw new Error('Cannot delete the last page');
 
+    const restore = this._snapshotPage(pageId);
+    this._assertNoComponentMasters(Object.keys(restore.elements));
+
     // Delete all elements belonging to this page
     for (const [id, el] of Object.entries(this.state.elements)) {
       if (el.pageId === pageId) {
@@ -499,11 +819,62 @@ export class StateManager extends EventEmitter {
       type: 'delta:page:deleted',
       data: { pageId, newActivePageId },
     });
+
+    this._record({
+      label: `Delete page "${page.name}"`,
+      undo: [['_restorePage', restore]],
+      redo: [['deletePage', pageId]],
+    });
+  }
+
+  _snapshotPage(pageId) {
+    const page = this.state.pages[pageId];
+    const elements = {};
+    for (const [id, el] of Object.entries(this.state.elements)) {
+      if (el.pageId === pageId) {
+        elements[id] = structuredClone(el);
+      }
+    }
+    return {
+      page: structuredClone(page),
+      elements,
+      index: Object.keys(this.state.pages).indexOf(pageId),
+      activePageId: this.state.project.activePageId,
+    };
+  }
+
+  // Re-insert a removed page at its original position in the page order
+  _restorePage({ page, elements, index, activePageId }) {
+    const entries = Object.entries(this.state.pages).filter(([id]) => id !== page.id);
+    entries.splice(index >= 0 ? index : entries.length, 0, [page.id, structuredClone(page)]);
+    this.state.pages = Object.fromEntries(entries);
+
+    for (const [id, el] of Object.entries(elements)) {
+      this.state.elements[id] = structuredClone(el);
+    }
+
+    if (this.state.pages[activePageId] && this.state.project.activePageId !== activePageId) {
+      this.state.project.activePageId = activePageId;
+      this.dirty.project = true;
+    }
+
+    this.dirty.deletedPages.delete(page.id);
+    this.dirty.pages.add(page.id);
+    this.emit('delta', {
+      type: 'delta:page:restored',
+      data: {
+        page: structuredClone(page),
+        elements: structuredClone(elements),
+        index,
+        activePageId: this.state.project.activePageId,
+      },
+    });
   }
 
   renamePage(pageId, name) {
     const page = this.state.pages[pageId];
     if (!page) throw new Error(`Page "${pageId}" not found`);
+    const oldName = page.name;
     page.name = name;
 
     this.dirty.pages.add(pageId);
@@ -512,6 +883,12 @@ export class StateManager extends EventEmitter {
       data: { pageId, name },
     });
 
+    this._record({
+      label: `Rename page to "${name}"`,
+      undo: [['renamePage', pageId, oldName]],
+      redo: [['renamePage', pageId, name]],
+    });
+
     return page;
   }
 
@@ -536,58 +913,241 @@ export class StateManager extends EventEmitter {
 
   // --- Style operations ---
 
-  setStyles(selector, properties) {
-    this.state.styles[selector] = {
-      ...(this.state.styles[selector] || {}),
-      ...properties,
-    };
+  // Global rules live in styles.json; page-scoped rules live on the page record.
+  // Both scopes keep plain rules in `styles` and at-rule-wrapped ones in
+  // `atRuleStyles` (see at-rules.js); the methods below take style keys.
+  _styleScope(pageId) {
+    if (!pageId) return this.state;
+    const page = this.state.pages[pageId];
+    if (!page) throw new Error(`Page "${pageId}" not found`);
+    return page;
+  }
+
+  _markStylesDirty(pageId) {
+    if (pageId) {
+      this.dirty.pages.add(pageId);
+    } else {
+      this.dirty.styles = true;
+    }
+  }
+
+  // Stored properties of a parsed style key, or undefined
+  _getStyleRule(scope, rule) {
+    if (rule.wrappers.length === 0) return scope.styles[rule.selector];
+    return scope.atRuleStyles.find(r => isSameRule(r, rule))?.properties;
+  }
+
+  _putStyleRule(scope, rule, properties) {
+    if (rule.wrappers.length === 0) {
+      scope.styles[rule.selector] = properties;
+      return properties;
+    }
+    const existing = scope.atRuleStyles.find(r => isSameRule(r, rule));
+    if (existing) {
+      existing.properties = properties;
+    } else {
+      scope.atRuleStyles.push({ wrappers: rule.wrappers, selector: rule.selector, properties });
+    }
+    return properties;
+  }
 
-    this.dirty.styles = true;
+  _removeStyleRule(scope, rule) {
+    if (rule.wrappers.length === 0) {
+      if (!scope.styles[rule.selector]) return false;
+      delete scope.styles[rule.selector];
+      return true;
+    }
+    const index = scope.atRuleStyles.findIndex(r => isSameRule(r, rule));
+    if (index === -1) return false;
+    scope.atRuleStyles.splice(index, 1);
+    return true;
+  }
+
+  // Plain rules reach the viewer one by one; any change to a wrapped rule
+  // sends the scope's whole (short) list
+  _emitAtRuleStyles(pageId) {
     this.emit('delta', {
-      type: 'delta:styles:set',
-      data: { selector, properties: this.state.styles[selector] },
+      type: 'delta:styles:at-rules',
+      data: { atRuleStyles: this._styleScope(pageId).atRuleStyles, pageId },
+    });
+  }
+
+  setStyles(selector, properties, pageId = null, { validate = false } = {}) {
+    const scope = this._styleScope(pageId);
+    if (validate) this._assertValidDeclarations([{ selector, properties }]);
+    const rule = parseStyleKey(selector);
+    const previous = this._snapshotStyles([selector], pageId);
+    const stored = this._putStyleRule(scope, rule, {
+      ...(this._getStyleRule(scope, rule) || {}),
+      ...properties,
+    });
+
+    this._markStylesDirty(pageId);
+    if (rule.wrappers.length > 0) {
+      this._emitAtRuleStyles(pageId);
+    } else {
+      this.emit('delta', {
+        type: 'delta:styles:set',
+        data: { selector: rule.selector, properties: stored, pageId },
+      });
+    }
+
+    this._record({
+      label: `Set styles "${selector}"${pageId ? ` on page "${pageId}"` : ''}`,
+      undo: [['_replaceStyles', previous.styles, { order: previous.order, pageId }]],
+      redo: [['_replaceStyles', this._snapshotStyles([selector], pageId).styles, { pageId }]],
     });
 
-    return this.state.styles[selector];
+    return stored;
   }
 
-  batchSetStyles(styles) {
+  batchSetStyles(styles, pageId = null, { validate = false } = {}) {
+    const scope = this._styleScope(pageId);
+    if (validate) this._assertValidDeclarations(styles);
+    const previous = this._snapshotStyles(styles.map(s => s.selector), pageId);
     const result = {};
+    const plain = {};
+    let wrapped = false;
     for (const { selector, properties } of styles) {
-      this.state.styles[selector] = {
-        ...(this.state.styles[selector] || {}),
+      const rule = parseStyleKey(selector);
+      result[selector] = this._putStyleRule(scope, rule, {
+        ...(this._getStyleRule(scope, rule) || {}),
         ...properties,
-      };
-      result[selector] = this.state.styles[selector];
+      });
+      if (rule.wrappers.length > 0) {
+        wrapped = true;
+      } else {
+        plain[rule.selector] = result[selector];
+      }
     }
 
-    this.dirty.styles = true;
-    this.emit('delta', {
-      type: 'delta:styles:batch',
-      data: { styles: result },
+    this._markStylesDirty(pageId);
+    if (Object.keys(plain).length > 0) {
+      this.emit('delta', {
+        type: 'delta:styles:batch',
+        data: { styles: plain, pageId },
+      });
+    }
+    if (wrapped) this._emitAtRuleStyles(pageId);
+
+    this._record({
+      label: `Set ${styles.length} style rules${pageId ? ` on page "${pageId}"` : ''}`,
+      undo: [['_replaceStyles', previous.styles, { order: previous.order, pageId }]],
+      redo: [['_replaceStyles', structuredClone(result), { pageId }]],
     });
 
     return result;
   }
 
-  deleteStyles(selector) {
-    if (!this.state.styles[selector]) throw new Error(`Style "${selector}" not found`);
-    delete this.state.styles[selector];
+  deleteStyles(selector, pageId = null) {
+    const scope = this._styleScope(pageId);
+    const rule = parseStyleKey(selector);
+    if (!this._getStyleRule(scope, rule)) throw new Error(`Style "${selector}" not found`);
+    const previous = this._snapshotStyles([selector], pageId);
+    this._removeStyleRule(scope, rule);
 
-    this.dirty.styles = true;
-    this.emit('delta', {
-      type: 'delta:styles:deleted',
-      data: { selector },
+    this._markStylesDirty(pageId);
+    if (rule.wrappers.length > 0) {
+      this._emitAtRuleStyles(pageId);
+    } else {
+      this.emit('delta', {
+        type: 'delta:styles:deleted',
+        data: { selector: rule.selector, pageId },
+      });
+    }
+
+    this._record({
+      label: `Delete styles "${selector}"`,
+      undo: [['_replaceStyles', previous.styles, { order: previous.order, pageId }]],
+      redo: [['deleteStyles', selector, pageId]],
     });
   }
 
-  listStyles() {
-    return structuredClone(this.state.styles);
+  // Reject unknown properties and malformed values before anything is written.
+  // Standalone at-rules (@font-face…) hold descriptors and aren't checked.
+  _assertValidDeclarations(styles) {
+    const problems = [];
+    for (const { selector, properties } of styles) {
+      if (parseStyleKey(selector).selector.startsWith('@')) continue;
+      for (const [property, value] of Object.entries(properties)) {
+        for (const problem of checkDeclaration(property, value)) {
+          problems.push(`"${selector}": ${problem.message}${problem.suggestion && problem.rule === 'invalid-value' ? ` (try "${problem.suggestion}")` : ''}`);
+        }
+      }
+    }
+    if (problems.length > 0) throw new Error(`Invalid styles, nothing was written: ${problems.join('; ')}`);
+  }
+
+  // Current rules for the given style keys (null = absent) plus the full rule order
+  _snapshotStyles(selectors, pageId = null) {
+    const scope = this._styleScope(pageId);
+    const styles = {};
+    for (const selector of selectors) {
+      const properties = this._getStyleRule(scope, parseStyleKey(selector));
+      styles[selector] = properties ? { ...properties } : null;
+    }
+    return { styles, order: styleRules(scope).map(rule => rule.key) };
+  }
+
+  // Replace rules wholesale (null deletes); `order` restores rule order after re-adding deleted ones
+  _replaceStyles(styles, { order = null, pageId = null } = {}) {
+    const scope = this._styleScope(pageId);
+    const set = {};
+    const deleted = [];
+    let wrapped = false;
+    for (const [selector, properties] of Object.entries(styles)) {
+      const rule = parseStyleKey(selector);
+      if (properties) {
+        const stored = this._putStyleRule(scope, rule, { ...properties });
+        if (rule.wrappers.length > 0) wrapped = true;
+        else set[rule.selector] = stored;
+      } else if (this._removeStyleRule(scope, rule)) {
+        if (rule.wrappers.length > 0) wrapped = true;
+        else deleted.push(rule.selector);
+      }
+    }
+
+    const reorder = order && Object.keys(set).length > 0;
+    if (order) {
+      const position = new Map(order.map((key, i) => [key, i]));
+      const rank = (key) => position.get(key) ?? order.length;
+      if (reorder) {
+        scope.styles = Object.fromEntries(Object.entries(scope.styles).sort(([a], [b]) => rank(a) - rank(b)));
+      }
+      if (wrapped) scope.atRuleStyles.sort((a, b) => rank(formatStyleKey(a)) - rank(formatStyleKey(b)));
+    }
+
+    this._markStylesDirty(pageId);
+    if (Object.keys(set).length > 0) {
+      this.emit('delta', {
+        type: 'delta:styles:batch',
+        data: { styles: set, pageId, ...(reorder ? { order: Object.keys(scope.styles) } : {}) },
+      });
+    }
+    for (const selector of deleted) {
+      this.emit('delta', {
+        type: 'delta:styles:deleted',
+        data: { selector, pageId },
+      });
+    }
+    if (wrapped) this._emitAtRuleStyles(pageId);
+  }
+
+  // Style key → properties, plain rules first
+  listStyles(pageId = null) {
+    return Object.fromEntries(styleRules(this._styleScope(pageId))
+      .map(({ key, properties }) => [key, structuredClone(properties)]));
   }
 
   // --- Design token operations ---
 
   setDesignTokens(category, tokens) {
+    if (!isValidTokenCategory(category)) {
+      throw new Error(`Invalid token category "${category}" (use a kebab-case name such as "radii" or "brand-gradients")`);
+    }
+    this._checkTokenAliases({ [category]: tokens });
+
+    const previous = { ...(this.state.designTokens[category] || {}) };
     if (!this.state.designTokens[category]) {
       this.state.designTokens[category] = {};
     }
@@ -599,62 +1159,450 @@ export class StateManager extends EventEmitter {
       data: { category, tokens: this.state.designTokens[category] },
     });
 
+    this._record({
+      label: `Set ${category} tokens`,
+      undo: [['_replaceTokens', category, previous]],
+      redo: [['_replaceTokens', category, { ...this.state.designTokens[category] }]],
+    });
+
     return this.state.designTokens[category];
   }
 
-  getDesignTokens() {
-    return structuredClone(this.state.designTokens);
-  }
+  // Import a DTCG document (object or JSON string) as one undo step. Used by
+  // both import_design_tokens and the HTTP endpoint
+  importDtcgTokens(source, { replace = false, dryRun = false } = {}) {
+    let document = source;
+    if (typeof source === 'string') {
+      try {
+        document = JSON.parse(source);
+      } catch (err) {
+        throw new Error(`Invalid token JSON: ${err.message}`);
+      }
+    }
 
-  updateTokenWithPropagation(category, key, newValue) {
-    const oldValue = this.state.designTokens[category]?.[key];
-    if (oldValue === undefined) throw new Error(`Token "${category}.${key}" not found`);
-    if (oldValue === newValue) return { updatedStyles: 0 };
+    const { tokens, report } = importDtcg(document);
+    const imported = Object.values(tokens).reduce((sum, category) => sum + Object.keys(category).length, 0);
+    if (!dryRun && imported > 0) {
+      this.importDesignTokens(tokens, { replace });
+    }
 
-    // Word-boundary regex: matches standalone value, not inside larger tokens
-    const escaped = oldValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const regex = new RegExp(`(?<![a-zA-Z0-9#])${escaped}(?![a-zA-Z0-9])`, 'g');
+    return { dryRun, imported, categories: Object.keys(tokens), tokens, report };
+  }
 
-    // Scan all styles and replace old value with new value
-    let updatedStyles = 0;
-    const changedSelectors = {};
-    for (const [selector, props] of Object.entries(this.state.styles)) {
-      let selectorChanged = false;
-      for (const [prop, val] of Object.entries(props)) {
-        regex.lastIndex = 0;
-        if (regex.test(val)) {
-          regex.lastIndex = 0;
-          props[prop] = val.replace(regex, newValue);
-          selectorChanged = true;
-        }
-      }
-      if (selectorChanged) {
-        updatedStyles++;
-        changedSelectors[selector] = { ...props };
-      }
+  // Set several categories at once as one undo step. With replace, each
+  // imported category's existing tokens are dropped first
+  importDesignTokens(tokensByCategory, { replace = false, label = 'Import design tokens' } = {}) {
+    for (const category of Object.keys(tokensByCategory)) {
+      if (!isValidTokenCategory(category)) throw new Error(`Invalid token category "${category}"`);
+    }
+    this._checkTokenAliases(tokensByCategory);
+
+    const previous = {};
+    const next = {};
+    for (const [category, tokens] of Object.entries(tokensByCategory)) {
+      previous[category] = { ...this.state.designTokens[category] };
+      next[category] = replace ? { ...tokens } : { ...previous[category], ...tokens };
+      this._replaceTokens(category, next[category]);
     }
 
-    // Update the token itself
-    this.state.designTokens[category][key] = newValue;
+    this._record({
+      label,
+      undo: Object.entries(previous).map(([category, tokens]) => ['_replaceTokens', category, tokens]),
+      redo: Object.entries(next).map(([category, tokens]) => ['_replaceTokens', category, { ...tokens }]),
+    });
+
+    return structuredClone(next);
+  }
+
+  _replaceTokens(category, tokens) {
+    this.state.designTokens[category] = { ...tokens };
 
     this.dirty.project = true;
     this.emit('delta', {
       type: 'delta:tokens:set',
-      data: { category, tokens: { ...this.state.designTokens[category] } },
+      data: { category, tokens: { ...tokens } },
     });
+  }
 
-    if (updatedStyles > 0) {
-      this.dirty.styles = true;
-      this.emit('delta', {
-        type: 'delta:styles:batch',
-        data: { styles: changedSelectors },
-      });
+  getDesignTokens() {
+    return structuredClone(this.state.designTokens);
+  }
+
+  // Design tokens with every alias replaced by the value it resolves to
+  getResolvedDesignTokens() {
+    return resolveDesignTokens(this.state.designTokens);
+  }
+
+  // Throw if the base token changes (category → tokens) together with
+  // `themeModes` would leave an alias dangling or cyclic in any mode
+  _checkTokenAliases(baseChanges, themeModes = this.state.themeModes) {
+    const candidate = { ...this.state.designTokens };
+    for (const [category, tokens] of Object.entries(baseChanges)) {
+      candidate[category] = { ...candidate[category], ...tokens };
     }
 
-    return { updatedStyles };
+    const paths = (tokensByCategory) => Object.entries(tokensByCategory)
+      .flatMap(([category, tokens]) => Object.keys(tokens).map(key => [category, key]));
+
+    for (const mode of [null, ...Object.keys(themeModes)]) {
+      const modeTokens = mode ? tokensForMode(candidate, themeModes, mode) : candidate;
+      const changed = [...paths(baseChanges), ...(mode ? paths(themeModes[mode].tokens) : [])];
+      for (const [category, key] of changed) {
+        if (!parseTokenAlias(modeTokens[category]?.[key])) continue;
+        try {
+          resolveToken(modeTokens, category, key);
+        } catch (err) {
+          throw mode ? new Error(`In theme mode "${mode}": ${err.message}`) : err;
+        }
+      }
+    }
   }
 
-  // --- Design type operations ---
+  // --- Theme modes ---
+
+  // Merge per-mode token values into `mode` (null removes a value) and set its
+  // color scheme (null clears it). Creates the mode when it doesn't exist
+  setThemeMode(mode, { tokens = {}, colorScheme } = {}) {
+    if (!isValidThemeMode(mode)) {
+      throw new Error(`Invalid theme mode "${mode}" (use a kebab-case name other than "${DEFAULT_THEME_MODE}")`);
+    }
+
+    const previous = this.state.themeModes[mode] ? structuredClone(this.state.themeModes[mode]) : null;
+    const next = previous ? structuredClone(previous) : { tokens: {} };
+
+    for (const [category, values] of Object.entries(tokens)) {
+      for (const [key, value] of Object.entries(values)) {
+        if (this.state.designTokens[category]?.[key] === undefined) {
+          throw new Error(`Token "${category}.${key}" has no base value -- set it with set_design_tokens first`);
+        }
+        if (value === null) {
+          delete next.tokens[category]?.[key];
+          if (next.tokens[category] && Object.keys(next.tokens[category]).length === 0) delete next.tokens[category];
+        } else {
+          next.tokens[category] ??= {};
+          next.tokens[category][key] = value;
+        }
+      }
+    }
+    if (colorScheme === null) delete next.colorScheme;
+    else if (colorScheme !== undefined) next.colorScheme = colorScheme;
+
+    this._checkTokenAliases({}, { ...this.state.themeModes, [mode]: next });
+    this._replaceThemeMode(mode, next);
+
+    this._record({
+      label: `Set theme mode "${mode}"`,
+      undo: [['_replaceThemeMode', mode, previous]],
+      redo: [['_replaceThemeMode', mode, structuredClone(next)]],
+    });
+
+    return structuredClone(next);
+  }
+
+  deleteThemeMode(mode) {
+    const previous = this.state.themeModes[mode];
+    if (!previous) throw new Error(`Theme mode "${mode}" not found`);
+
+    this._replaceThemeMode(mode, null);
+    this._record({
+      label: `Delete theme mode "${mode}"`,
+      undo: [['_replaceThemeMode', mode, structuredClone(previous)]],
+      redo: [['_replaceThemeMode', mode, null]],
+    });
+  }
+
+  // theme = null deletes the mode
+  _replaceThemeMode(mode, theme) {
+    if (theme) {
+      this.state.themeModes[mode] = structuredClone(theme);
+      this.emit('delta', { type: 'delta:theme-mode:set', data: { mode, theme: structuredClone(theme) } });
+    } else {
+      delete this.state.themeModes[mode];
+      this.emit('delta', { type: 'delta:theme-mode:deleted', data: { mode } });
+    }
+    this.dirty.project = true;
+  }
+
+  // Every mode with its overrides and the full token set it resolves to
+  listThemeModes() {
+    return Object.fromEntries(Object.entries(this.state.themeModes).map(([mode, theme]) => [
+      mode,
+      {
+        ...structuredClone(theme),
+        resolved: resolveDesignTokens(tokensForMode(this.state.designTokens, this.state.themeModes, mode)),
+      },
+    ]));
+  }
+
+  updateTokenWithPropagation(category, key, newValue) {
+    const rawValue = this.state.designTokens[category]?.[key];
+    if (rawValue === undefined) throw new Error(`Token "${category}.${key}" not found`);
+    if (rawValue === newValue) return { updatedStyles: 0, aliases: [] };
+    this._checkTokenAliases({ [category]: { [key]: newValue } });
+
+    // Styles hold concrete values, so propagate what the token resolves to --
+    // before and after the change. Aliases of this token follow automatically
+    const oldValue = resolveToken(this.state.designTokens, category, key).value;
+    const aliases = findTokenDependents(this.state.designTokens, category, key);
+    const resolvedNew = resolveToken({
+      ...this.state.designTokens,
+      [category]: { ...this.state.designTokens[category], [key]: newValue },
+    }, category, key).value;
+
+    // Word-boundary regex: matches standalone value, not inside larger tokens
+    const escaped = oldValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`(?<![a-zA-Z0-9#])${escaped}(?![a-zA-Z0-9])`, 'g');
+
+    // Scan all styles (global and page-scoped) and replace old value with new value
+    const previousTokens = { ...this.state.designTokens[category] };
+    const changedStores = [];
+    let updatedStyles = 0;
+    const pageIds = oldValue === resolvedNew ? [] : [null, ...Object.keys(this.state.pages)];
+    for (const pageId of pageIds) {
+      const previous = {};
+      const changed = {};
+      const plain = {};
+      let wrapped = false;
+      for (const { key: selector, wrappers, properties: props } of styleRules(this._styleScope(pageId))) {
+        let selectorChanged = false;
+        for (const [prop, val] of Object.entries(props)) {
+          if (!tokenAppliesTo(category, prop)) continue;
+          regex.lastIndex = 0;
+          if (regex.test(val)) {
+            previous[selector] ??= { ...props };
+            regex.lastIndex = 0;
+            props[prop] = val.replace(regex, () => resolvedNew);
+            selectorChanged = true;
+          }
+        }
+        if (selectorChanged) {
+          updatedStyles++;
+          changed[selector] = { ...props };
+          if (wrappers.length === 0) plain[selector] = changed[selector];
+          else wrapped = true;
+        }
+      }
+      if (Object.keys(changed).length > 0) {
+        changedStores.push({ pageId, previous, changed, plain, wrapped });
+      }
+    }
+
+    // Update the token itself
+    this.state.designTokens[category][key] = newValue;
+
+    this.dirty.project = true;
+    this.emit('delta', {
+      type: 'delta:tokens:set',
+      data: { category, tokens: { ...this.state.designTokens[category] } },
+    });
+
+    for (const { pageId, plain, wrapped } of changedStores) {
+      this._markStylesDirty(pageId);
+      if (Object.keys(plain).length > 0) {
+        this.emit('delta', {
+          type: 'delta:styles:batch',
+          data: { styles: plain, pageId },
+        });
+      }
+      if (wrapped) this._emitAtRuleStyles(pageId);
+    }
+
+    this._record({
+      label: `Update token ${category}.${key}`,
+      undo: [
+        ['_replaceTokens', category, previousTokens],
+        ...changedStores.map(({ pageId, previous }) => ['_replaceStyles', previous, { pageId }]),
+      ],
+      redo: [
+        ['_replaceTokens', category, { ...this.state.designTokens[category] }],
+        ...changedStores.map(({ pageId, changed }) => ['_replaceStyles', structuredClone(changed), { pageId }]),
+      ],
+    });
+
+    return { updatedStyles, aliases };
+  }
+
+  getTokenUsage() {
+    return findTokenUsage(this.state);
+  }
+
+  checkContrast({ pageId, theme = DEFAULT_THEME_MODE, level = 'AA' } = {}) {
+    if (pageId && !this.state.pages[pageId]) throw new Error(`Page "${pageId}" not found`);
+    if (theme !== DEFAULT_THEME_MODE && !this.state.themeModes[theme]) throw new Error(`Theme mode "${theme}" not found`);
+    return { theme, ...checkContrast(this.state, { pageId, theme, level }) };
+  }
+
+  lintAccessibility({ pageId, rules } = {}) {
+    if (pageId && !this.state.pages[pageId]) throw new Error(`Page "${pageId}" not found`);
+    const unknown = (rules || []).filter(rule => !A11Y_RULES[rule]);
+    if (unknown.length > 0) throw new Error(`Unknown accessibility rule(s): ${unknown.join(', ')}`);
+    return lintAccessibility(this.state, { pageId, rules });
+  }
+
+  lintStyles({ pageId, rules } = {}) {
+    if (pageId && !this.state.pages[pageId]) throw new Error(`Page "${pageId}" not found`);
+    const unknown = (rules || []).filter(rule => !STYLE_LINT_RULES[rule]);
+    if (unknown.length > 0) throw new Error(`Unknown style lint rule(s): ${unknown.join(', ')}`);
+    return lintStyles(this.state, { pageId, rules });
+  }
+
+  // Cascaded styles of one element (virtual instance nodes included), against
+  // the project viewport unless another one is given
+  getComputedStyles({ elementId, viewport } = {}) {
+    const current = this.state.project.viewport;
+    const result = computeStyles(this.state, elementId, {
+      viewport: { width: viewport?.width ?? current.width, height: viewport?.height ?? current.height },
+    });
+    if (!result) throw new Error(`Element "${elementId}" not found`);
+    return result;
+  }
+
+  // Delete style rules that name a class, id or tag no element has, and strip
+  // the classes listed in `removeClasses` from elements where no selector
+  // references them. Classes are only removed by name: scripts may read or add
+  // classes that no rule mentions (js-toggle, is-open). Everything goes in one
+  // apply_operations batch: one undo entry, one delta batch.
+  pruneStyles({ dryRun = false, removeClasses = [] } = {}) {
+    const { rules, partial, possiblyDynamic, unusedClasses } = findUnusedStyles(this.state);
+
+    const operations = rules.map(({ selector, pageId }) => ({ op: 'delete_styles', selector, ...(pageId ? { pageId } : {}) }));
+    const classesRemoved = [];
+    for (const { elementId, classes } of unusedClasses) {
+      const remove = classes.filter(cls => removeClasses.includes(cls));
+      if (remove.length === 0) continue;
+      const element = this.state.elements[elementId];
+      operations.push({ op: 'update_element', id: elementId, classes: element.classes.filter(cls => !remove.includes(cls)) });
+      classesRemoved.push({ elementId, classes: remove });
+    }
+    if (!dryRun && operations.length > 0) {
+      this.applyOperations(operations, { label: 'Prune unused styles' });
+    }
+
+    return {
+      dryRun,
+      removedRules: rules,
+      partial,
+      possiblyDynamic,
+      unusedClasses,
+      classesRemoved,
+    };
+  }
+
+  // Rewrite literal style values that equal a token into explicit
+  // {category.key} references (global and page-scoped rules, or one page's).
+  // Values close to a token are reported as near-misses and left alone.
+  tokenizeStyles({ pageId, dryRun = false, tolerance = 0.1 } = {}) {
+    if (pageId && !this.state.pages[pageId]) throw new Error(`Page "${pageId}" not found`);
+    const index = buildTokenIndex(this.state.designTokens);
+
+    const replacements = [];
+    const nearMisses = [];
+    const operations = [];
+    const storePageIds = pageId ? [pageId] : [null, ...Object.keys(this.state.pages)];
+    for (const storePageId of storePageIds) {
+      for (const { key: selector, properties } of styleRules(this._styleScope(storePageId))) {
+        const changed = {};
+        for (const [property, value] of Object.entries(properties)) {
+          const result = tokenizeValue(value, property, index, { tolerance });
+          for (const miss of result.nearMisses) {
+            nearMisses.push({ selector, pageId: storePageId, property, ...miss });
+          }
+          if (result.value === value) continue;
+          replacements.push({ selector, pageId: storePageId, property, before: value, after: result.value });
+          changed[property] = result.value;
+        }
+        if (Object.keys(changed).length > 0) {
+          operations.push({ op: 'set_styles', selector, properties: changed, ...(storePageId ? { pageId: storePageId } : {}) });
+        }
+      }
+    }
+
+    if (!dryRun && operations.length > 0) {
+      this.applyOperations(operations, { label: 'Tokenize styles' });
+    }
+
+    return { dryRun, replacementCount: replacements.length, replacements, nearMisses };
+  }
+
+  // --- Keyframes operations ---
+
+  // Replace the whole @keyframes block `name`
+  setKeyframes(name, frames) {
+    if (!/^-?[_a-zA-Z][-\w]*$/.test(name)) throw new Error(`Invalid keyframes name "${name}"`);
+    const offsets = Object.keys(frames);
+    if (offsets.length === 0) throw new Error('Keyframes need at least one frame');
+    for (const offset of offsets) {
+      if (!/^(from|to|\d+(\.\d+)?%)(\s*,\s*(from|to|\d+(\.\d+)?%))*$/.test(offset.trim())) {
+        throw new Error(`Invalid keyframe offset "${offset}" (use from, to or percentages)`);
+      }
+    }
+
+    const previous = this.state.keyframes[name] ? structuredClone(this.state.keyframes[name]) : null;
+    this._replaceKeyframes(name, frames);
+
+    this._record({
+      label: `Set keyframes "${name}"`,
+      undo: [['_replaceKeyframes', name, previous]],
+      redo: [['_replaceKeyframes', name, structuredClone(frames)]],
+    });
+
+    return this.state.keyframes[name];
+  }
+
+  deleteKeyframes(name) {
+    const previous = this.state.keyframes[name];
+    if (!previous) throw new Error(`Keyframes "${name}" not found`);
+
+    const usedBy = this.findKeyframesUsage(name);
+    this._replaceKeyframes(name, null);
+
+    this._record({
+      label: `Delete keyframes "${name}"`,
+      undo: [['_replaceKeyframes', name, structuredClone(previous)]],
+      redo: [['_replaceKeyframes', name, null]],
+    });
+
+    return { name, usedBy };
+  }
+
+  // frames = null deletes the block
+  _replaceKeyframes(name, frames) {
+    if (frames) {
+      this.state.keyframes[name] = structuredClone(frames);
+      this.emit('delta', { type: 'delta:keyframes:set', data: { name, frames: structuredClone(frames) } });
+    } else {
+      delete this.state.keyframes[name];
+      this.emit('delta', { type: 'delta:keyframes:deleted', data: { name } });
+    }
+    this.dirty.project = true;
+  }
+
+  // Style rules and elements whose animation / animation-name mentions `name`
+  findKeyframesUsage(name) {
+    // Keyframes names are plain identifiers, safe to embed as-is
+    const pattern = new RegExp(`(^|[\\s,])${name}($|[\\s,])`);
+    const uses = (props) => ['animation', 'animation-name'].some(prop => props?.[prop] && pattern.test(props[prop]));
+
+    const usedBy = [];
+    for (const pageId of [null, ...Object.keys(this.state.pages)]) {
+      for (const { key: selector, properties } of styleRules(this._styleScope(pageId))) {
+        if (uses(properties)) usedBy.push(pageId ? { selector, pageId } : { selector });
+      }
+    }
+    for (const el of Object.values(this.state.elements)) {
+      if (uses(el.style)) usedBy.push({ elementId: el.id, pageId: el.pageId });
+    }
+    return usedBy;
+  }
+
+  listKeyframes() {
+    return Object.fromEntries(Object.entries(this.state.keyframes).map(([name, frames]) => [
+      name,
+      { frames: structuredClone(frames), usedBy: this.findKeyframesUsage(name) },
+    ]));
+  }
+
+  // --- Design type operations ---
 
   setDesignType(designType) {
     this.state.project.designType = designType;
@@ -666,6 +1614,48 @@ export class StateManager extends EventEmitter {
     return designType;
   }
 
+  // --- HTML validation ---
+
+  setHtmlValidation(mode) {
+    if (!HTML_VALIDATION_MODES.includes(mode)) {
+      throw new Error(`Unknown HTML validation mode "${mode}" (expected ${HTML_VALIDATION_MODES.join(' or ')})`);
+    }
+    this.state.project.htmlValidation = mode;
+    this.dirty.project = true;
+    this.emit('delta', {
+      type: 'delta:project:htmlValidation',
+      data: { htmlValidation: mode },
+    });
+    return mode;
+  }
+
+  validateHtml({ pageId } = {}) {
+    if (pageId && !this.state.pages[pageId]) throw new Error(`Page "${pageId}" not found`);
+    return { mode: this.state.project.htmlValidation, ...validateHtml(this.state, { pageId }) };
+  }
+
+  // Content-model check for subtrees being added or changed, given `elements`
+  // as they will be after the edit. Only problems the edit introduces count:
+  // strict projects reject the edit, lenient ones collect them as warnings.
+  // Undo and redo restore earlier trees as they were and aren't checked.
+  _checkContentModel(rootIds, elements) {
+    if (this._replaying) return;
+    const key = p => `${p.elementId} ${p.rule} ${p.message}`;
+    const existing = new Set(checkSubtrees(rootIds, this.state.elements).map(key));
+    const problems = checkSubtrees(rootIds, elements).filter(p => !existing.has(key(p)));
+    if (problems.length === 0) return;
+    if (this.state.project.htmlValidation === 'strict') {
+      throw new Error(`Invalid HTML: ${problems.map(p => p.message).join('; ')}`);
+    }
+    this.htmlWarnings.push(...problems);
+  }
+
+  takeHtmlWarnings() {
+    const warnings = this.htmlWarnings;
+    this.htmlWarnings = [];
+    return warnings;
+  }
+
   // --- Viewport operations ---
 
   setViewport({ device, width, height }) {
@@ -698,6 +1688,561 @@ export class StateManager extends EventEmitter {
     return this.state.project.viewport;
   }
 
+  // --- Component operations ---
+
+  _assertCanHaveChildren(parent) {
+    if (parent.instance) {
+      throw new Error(`Cannot add children to component instance "${parent.id}" — edit the component master instead`);
+    }
+  }
+
+  _assertNoComponentMasters(elementIds) {
+    const ids = new Set(elementIds);
+    const masters = Object.values(this.state.components).filter(c => ids.has(c.rootId));
+    if (masters.length > 0) {
+      const names = masters.map(c => `"${c.name}"`).join(', ');
+      throw new Error(`Cannot delete the master of component ${names} — delete the component first`);
+    }
+  }
+
+  _isWithinSubtree(elementId, ancestorId) {
+    let el = this.state.elements[elementId];
+    while (el) {
+      if (el.id === ancestorId) return true;
+      el = el.parentId ? this.state.elements[el.parentId] : null;
+    }
+    return false;
+  }
+
+  _getComponent(componentId) {
+    const component = this.state.components[componentId];
+    if (!component) throw new Error(`Component "${componentId}" not found`);
+    return component;
+  }
+
+  _getInstances(componentId) {
+    return Object.values(this.state.elements).filter(el => el.instance?.componentId === componentId);
+  }
+
+  createComponent({ elementId, name }) {
+    const element = this.state.elements[elementId];
+    if (!element) throw new Error(`Element "${elementId}" not found`);
+    if (!element.parentId) throw new Error('Cannot make a page root element a component');
+    if (element.instance) throw new Error(`Element "${elementId}" is a component instance — detach it first`);
+
+    const existing = Object.values(this.state.components).find(c => c.rootId === elementId);
+    if (existing) throw new Error(`Element "${elementId}" is already the master of component "${existing.name}"`);
+
+    const component = { id: `comp-${this.generateId()}`, name, rootId: elementId };
+    this._replaceComponent(component.id, component);
+
+    this._record({
+      label: `Create component "${name}"`,
+      undo: [['_replaceComponent', component.id, null]],
+      redo: [['_replaceComponent', component.id, structuredClone(component)]],
+    });
+
+    return component;
+  }
+
+  deleteComponent(componentId) {
+    const component = this._getComponent(componentId);
+    const instances = this._getInstances(componentId);
+    if (instances.length > 0) {
+      const ids = instances.map(el => `"${el.id}"`).join(', ');
+      throw new Error(`Component "${component.name}" still has ${instances.length} instance(s) (${ids}) — detach or delete them first`);
+    }
+
+    this._replaceComponent(componentId, null);
+
+    this._record({
+      label: `Delete component "${component.name}"`,
+      undo: [['_replaceComponent', componentId, structuredClone(component)]],
+      redo: [['_replaceComponent', componentId, null]],
+    });
+  }
+
+  _replaceComponent(componentId, component) {
+    if (component) {
+      this.state.components[componentId] = structuredClone(component);
+      this.emit('delta', {
+        type: 'delta:component:created',
+        data: { component: structuredClone(component) },
+      });
+    } else {
+      delete this.state.components[componentId];
+      this.emit('delta', {
+        type: 'delta:component:deleted',
+        data: { componentId },
+      });
+    }
+    this.dirty.project = true;
+  }
+
+  listComponents() {
+    return Object.values(this.state.components).map(c => ({
+      ...structuredClone(c),
+      pageId: this.state.elements[c.rootId]?.pageId || null,
+      instanceIds: this._getInstances(c.id).map(el => el.id),
+    }));
+  }
+
+  createInstance({ componentId, parentId, insertIndex, classes }) {
+    const component = this._getComponent(componentId);
+    const master = this.state.elements[component.rootId];
+    if (!master) throw new Error(`Master element of component "${component.name}" not found`);
+
+    const parent = this.state.elements[parentId];
+    if (!parent) throw new Error(`Parent element "${parentId}" not found`);
+    this._assertCanHaveChildren(parent);
+    if (this._isWithinSubtree(parentId, component.rootId)) {
+      throw new Error(`Cannot place an instance of "${component.name}" inside its own master`);
+    }
+
+    const id = this.generateId();
+    const element = {
+      id,
+      tag: master.tag,
+      classes: classes || [],
+      attributes: {},
+      textContent: null,
+      children: [],
+      parentId,
+      pageId: parent.pageId,
+      instance: { componentId, overrides: {} },
+    };
+    this._checkContentModel([id], { ...this.state.elements, [id]: element });
+
+    return this._insertElement(element, insertIndex, `Create instance of "${component.name}"`);
+  }
+
+  setInstanceOverrides({ id, overrides }) {
+    const element = this.state.elements[id];
+    if (!element) throw new Error(`Element "${id}" not found`);
+    if (!element.instance) throw new Error(`Element "${id}" is not a component instance`);
+
+    const component = this._getComponent(element.instance.componentId);
+    const masterIds = new Set(Object.keys(this._snapshotSubtree(component.rootId)));
+
+    const next = structuredClone(element.instance);
+    for (const [masterId, override] of Object.entries(overrides)) {
+      if (!masterIds.has(masterId)) {
+        throw new Error(`Element "${masterId}" is not part of component "${component.name}"`);
+      }
+      if (override === null) {
+        delete next.overrides[masterId];
+        continue;
+      }
+      const merged = { ...next.overrides[masterId] };
+      if (override.textContent !== undefined) merged.textContent = decodeUnicodeEscapes(override.textContent);
+      if (override.attributes) merged.attributes = { ...merged.attributes, ...override.attributes };
+      next.overrides[masterId] = merged;
+    }
+
+    const previous = { instance: structuredClone(element.instance) };
+    this._replaceElementFields(id, { instance: next });
+
+    this._record({
+      label: `Override instance "${id}"`,
+      undo: [['_replaceElementFields', id, previous]],
+      redo: [['_replaceElementFields', id, { instance: structuredClone(next) }]],
+    });
+
+    return element;
+  }
+
+  // Replace an instance with a plain copy of its expanded master (keeps the instance's ID)
+  detachInstance(id) {
+    const element = this.state.elements[id];
+    if (!element) throw new Error(`Element "${id}" not found`);
+    if (!element.instance) throw new Error(`Element "${id}" is not a component instance`);
+
+    const virtual = materializeInstance(element, this.state.elements, this.state.components);
+    const idMap = new Map(Object.keys(virtual).map(vid => [vid, vid === id ? id : this.generateId()]));
+
+    const detached = {};
+    for (const [vid, node] of Object.entries(virtual)) {
+      const newId = idMap.get(vid);
+      detached[newId] = {
+        id: newId,
+        tag: node.tag,
+        classes: [...node.classes],
+        attributes: { ...node.attributes },
+        textContent: node.textContent,
+        children: node.children.map(cid => idMap.get(cid)).filter(Boolean),
+        parentId: vid === id ? element.parentId : idMap.get(node.parentId),
+        pageId: element.pageId,
+        ...(node.style ? { style: { ...node.style } } : {}),
+      };
+    }
+
+    const previous = { [id]: structuredClone(element) };
+    this._replaceSubtree(id, detached);
+
+    this._record({
+      label: `Detach instance "${id}"`,
+      undo: [['_replaceSubtree', id, previous]],
+      redo: [['_replaceSubtree', id, structuredClone(detached)]],
+    });
+
+    return { id, count: Object.keys(detached).length };
+  }
+
+  // Swap the subtree rooted at `rootId` for `elements` (which must contain `rootId`), in place
+  _replaceSubtree(rootId, elements) {
+    const current = this.state.elements[rootId];
+    if (!current) throw new Error(`Element "${rootId}" not found`);
+
+    for (const childId of [...current.children]) {
+      this._deleteRecursive(childId);
+    }
+    for (const [id, el] of Object.entries(elements)) {
+      this.state.elements[id] = structuredClone(el);
+    }
+
+    this.dirty.pages.add(current.pageId);
+    this.emit('delta', {
+      type: 'delta:element:subtree-replaced',
+      data: { rootId, elements: structuredClone(elements) },
+    });
+  }
+
+  // --- Find and replace ---
+
+  // Search text content, attribute values and/or style values for `find`
+  // (project-wide, or one page's elements and page styles). Unless dryRun is
+  // set, all changes are applied as one transaction: one delta, one undo step.
+  findReplace({ find, replace, regex = false, caseSensitive = false, scope = 'all', pageId, dryRun = false }) {
+    if (!find) throw new Error('find must not be empty');
+    if (pageId && !this.state.pages[pageId]) throw new Error(`Page "${pageId}" not found`);
+
+    let pattern;
+    try {
+      pattern = new RegExp(regex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), caseSensitive ? 'g' : 'gi');
+    } catch (err) {
+      throw new Error(`Invalid find pattern: ${err.message}`);
+    }
+    // Plain-text replacements are literal; regex replacements may use $1, $<name>…
+    const substitute = (value) => regex ? value.replace(pattern, replace) : value.replace(pattern, () => replace);
+    const inScope = (kind) => scope === 'all' || scope === kind;
+
+    const matches = [];
+    const operations = [];
+
+    for (const el of Object.values(this.state.elements)) {
+      if (pageId && el.pageId !== pageId) continue;
+      const update = {};
+
+      if (inScope('text') && el.textContent) {
+        const after = substitute(el.textContent);
+        if (after !== el.textContent) {
+          matches.push({ id: el.id, pageId: el.pageId, field: 'textContent', before: el.textContent, after });
+          update.textContent = after;
+        }
+      }
+
+      if (inScope('attributes')) {
+        for (const [name, value] of Object.entries(el.attributes)) {
+          const after = substitute(value);
+          if (after === value) continue;
+          matches.push({ id: el.id, pageId: el.pageId, field: `attributes.${name}`, before: value, after });
+          update.attributes = { ...update.attributes, [name]: after };
+        }
+      }
+
+      if (inScope('styles')) {
+        for (const [property, value] of Object.entries(el.style || {})) {
+          const after = substitute(value);
+          if (after === value) continue;
+          matches.push({ id: el.id, pageId: el.pageId, field: `style.${property}`, before: value, after });
+          update.style = { ...update.style, [property]: after };
+        }
+      }
+
+      if (Object.keys(update).length > 0) operations.push({ op: 'update_element', id: el.id, ...update });
+    }
+
+    if (inScope('styles')) {
+      const storePageIds = pageId ? [pageId] : [null, ...Object.keys(this.state.pages)];
+      for (const storePageId of storePageIds) {
+        for (const { key: selector, properties } of styleRules(this._styleScope(storePageId))) {
+          const changed = {};
+          for (const [property, value] of Object.entries(properties)) {
+            const after = substitute(value);
+            if (after === value) continue;
+            matches.push({ selector, pageId: storePageId, property, before: value, after });
+            changed[property] = after;
+          }
+          if (Object.keys(changed).length > 0) {
+            operations.push({ op: 'set_styles', selector, properties: changed, ...(storePageId ? { pageId: storePageId } : {}) });
+          }
+        }
+      }
+    }
+
+    if (!dryRun && operations.length > 0) {
+      this.applyOperations(operations, { label: `Replace "${find}" with "${replace}"` });
+    }
+
+    return { dryRun, matchCount: matches.length, matches };
+  }
+
+  // --- Transactions ---
+
+  // Apply an ordered list of operations all-or-nothing. Any failure rolls the
+  // state back to where it was and nothing is broadcast or written. On success
+  // the whole list is a single undo entry and a single `delta:batch`.
+  //
+  // Create ops may set `ref`; later ops can then use "$ref" (or "$ref.rootId"
+  // for pages) in ID fields to point at what was created.
+  applyOperations(operations, { label } = {}) {
+    if (this._transaction) throw new Error('A transaction is already in progress');
+
+    const snapshot = this._snapshot();
+    const refs = {};
+    const results = [];
+    this._transaction = [];
+    this._deltaBuffer = [];
+
+    try {
+      operations.forEach((operation, i) => {
+        try {
+          const resolved = this._resolveOperationRefs(operation, refs);
+          const { result, ref } = this._applyOperation(resolved);
+          if (operation.ref) refs[operation.ref] = ref;
+          results.push({ op: operation.op, ...result });
+        } catch (err) {
+          throw new Error(`Operation ${i + 1} (${operation.op}) failed: ${err.message} — no changes were applied`);
+        }
+      });
+    } catch (err) {
+      this._restore(snapshot);
+      this._transaction = null;
+      this._deltaBuffer = null;
+      throw err;
+    }
+
+    const entries = this._transaction;
+    this._transaction = null;
+    if (entries.length > 0) {
+      this._record({
+        label: label || `Apply ${operations.length} operations`,
+        undo: [...entries].reverse().flatMap(e => e.undo),
+        redo: entries.flatMap(e => e.redo),
+      });
+    }
+
+    const deltas = this._deltaBuffer;
+    this._deltaBuffer = null;
+    this._emitDeltaBatch(deltas);
+
+    return { applied: operations.length, refs, results };
+  }
+
+  _resolveOperationRefs(operation, refs) {
+    const ID_FIELDS = ['id', 'parentId', 'newParentId', 'pageId', 'sourcePageId', 'elementId'];
+    const resolved = { ...operation };
+    for (const field of ID_FIELDS) {
+      const value = resolved[field];
+      if (typeof value !== 'string' || !value.startsWith('$')) continue;
+      const [name, prop = 'id'] = value.slice(1).split('.');
+      const target = refs[name];
+      if (!target) throw new Error(`Unknown reference "${value}"`);
+      if (target[prop] === undefined) throw new Error(`Reference "${value}" has no "${prop}"`);
+      resolved[field] = target[prop];
+    }
+    return resolved;
+  }
+
+  _applyOperation({ op, ref: _, ...params }) {
+    switch (op) {
+      case 'create_element': {
+        const element = this.createElement(params);
+        return { result: { id: element.id }, ref: { id: element.id } };
+      }
+      case 'batch_create_elements': {
+        const { count, topIds } = this.createElementTree(params.parentId, params.elements);
+        return { result: { count, topIds }, ref: { id: topIds[0], topIds } };
+      }
+      case 'duplicate_element': {
+        const { ids } = this.duplicateElement(params);
+        return { result: { ids }, ref: { id: ids[0], ids } };
+      }
+      case 'update_element':
+        this.updateElement(params);
+        return { result: { id: params.id } };
+      case 'delete_element':
+        this.deleteElement(params.id);
+        return { result: { id: params.id } };
+      case 'move_element':
+        this.moveElement(params);
+        return { result: { id: params.id } };
+      case 'set_styles':
+        this.setStyles(params.selector, params.properties, params.pageId);
+        return { result: { selector: params.selector } };
+      case 'batch_set_styles':
+        this.batchSetStyles(params.styles, params.pageId);
+        return { result: { count: params.styles.length } };
+      case 'delete_styles':
+        this.deleteStyles(params.selector, params.pageId);
+        return { result: { selector: params.selector } };
+      case 'set_design_tokens':
+        this.setDesignTokens(params.category, params.tokens);
+        return { result: { category: params.category } };
+      case 'set_theme_mode':
+        this.setThemeMode(params.mode, { tokens: params.tokens, colorScheme: params.colorScheme });
+        return { result: { mode: params.mode } };
+      case 'delete_theme_mode':
+        this.deleteThemeMode(params.mode);
+        return { result: { mode: params.mode } };
+      case 'set_keyframes':
+        this.setKeyframes(params.name, params.frames);
+        return { result: { name: params.name } };
+      case 'delete_keyframes':
+        this.deleteKeyframes(params.name);
+        return { result: { name: params.name } };
+      case 'create_page': {
+        const page = this.createPage(params.name);
+        return { result: { id: page.id, rootId: page.rootId }, ref: { id: page.id, rootId: page.rootId } };
+      }
+      case 'clone_page': {
+        const page = this.clonePage(params.sourcePageId, params.name);
+        return { result: { id: page.id, rootId: page.rootId }, ref: { id: page.id, rootId: page.rootId } };
+      }
+      case 'rename_page':
+        this.renamePage(params.pageId, params.name);
+        return { result: { id: params.pageId } };
+      case 'delete_page':
+        this.deletePage(params.pageId);
+        return { result: { id: params.pageId } };
+      default:
+        throw new Error(`Unknown operation "${op}"`);
+    }
+  }
+
+  // One delta for the whole transaction; a full snapshot supersedes everything else
+  _emitDeltaBatch(deltas) {
+    if (deltas.length === 0) return;
+
+    const batch = deltas.some(d => d.type === 'design:full')
+      ? [{ type: 'design:full', data: this.getStateSnapshot() }]
+      : deltas;
+
+    this.emit('delta', {
+      type: 'delta:batch',
+      data: { deltas: batch },
+    });
+  }
+
+  // --- Undo/redo operations ---
+
+  _record(entry) {
+    if (this._replaying) return;
+    if (this._transaction) {
+      this._transaction.push(entry);
+      return;
+    }
+    this.undoStack.push(entry);
+    if (this.undoStack.length > MAX_UNDO_ENTRIES) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this._emitUndoState();
+  }
+
+  // State and dirty flags, to roll back a change that fails partway
+  _snapshot() {
+    return {
+      state: structuredClone(this.state),
+      dirty: {
+        project: this.dirty.project,
+        styles: this.dirty.styles,
+        pages: new Set(this.dirty.pages),
+        deletedPages: new Set(this.dirty.deletedPages),
+      },
+    };
+  }
+
+  _restore(snapshot) {
+    this.state = snapshot.state;
+    this.dirty = snapshot.dirty;
+  }
+
+  // Replay an entry's ops all-or-nothing: if one throws, the ones before it are
+  // rolled back and none of their deltas go out
+  _applyOps(ops) {
+    const snapshot = this._snapshot();
+    this._replaying = true;
+    this._deltaBuffer = [];
+    try {
+      for (const [method, ...args] of ops) {
+        this[method](...args);
+      }
+    } catch (err) {
+      this._restore(snapshot);
+      this._deltaBuffer = null;
+      throw err;
+    } finally {
+      this._replaying = false;
+    }
+    const deltas = this._deltaBuffer;
+    this._deltaBuffer = null;
+    for (const delta of deltas) this.emit('delta', delta);
+  }
+
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) throw new Error('Nothing to undo');
+
+    try {
+      this._applyOps(entry.undo);
+    } catch (err) {
+      // Nothing was changed, so the entry stays where it was
+      this.undoStack.push(entry);
+      throw new Error(`Cannot undo "${entry.label}": ${err.message}`);
+    }
+
+    this.redoStack.push(entry);
+    this._emitUndoState();
+    return entry.label;
+  }
+
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) throw new Error('Nothing to redo');
+
+    try {
+      this._applyOps(entry.redo);
+    } catch (err) {
+      this.redoStack.push(entry);
+      throw new Error(`Cannot redo "${entry.label}": ${err.message}`);
+    }
+
+    this.undoStack.push(entry);
+    this._emitUndoState();
+    return entry.label;
+  }
+
+  getUndoState() {
+    return {
+      canUndo: this.undoStack.length > 0,
+      canRedo: this.redoStack.length > 0,
+      undoLabel: this.undoStack.at(-1)?.label || null,
+      redoLabel: this.redoStack.at(-1)?.label || null,
+    };
+  }
+
+  clearUndoHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._emitUndoState();
+  }
+
+  // Not a 'delta': undo availability is broadcast to viewers but never written to disk
+  _emitUndoState() {
+    this.emit('undo', this.getUndoState());
+  }
+
   // --- Asset operations ---
 
   get assetsDir() {
@@ -747,6 +2292,7 @@ export class StateManager extends EventEmitter {
       page: structuredClone(page),
       elements: pageElements,
       styles: structuredClone(this.state.styles),
+      atRuleStyles: structuredClone(this.state.atRuleStyles),
     };
   }
 }
@@ -0,0 +1,114 @@
+import { SCHEMA_VERSION } from './schema.js';
+import { parseStyleKey } from './at-rules.js';
+
+// Ordered registry of design-file migrations. Each entry upgrades raw state
+// ({ project, pages, elements, styles, atRuleStyles, designTokens, themeModes,
+// components, keyframes }) from `version - 1` to `version`, mutating it in
+// place. Files written before versioning existed have no project.schemaVersion
+// and count as version 0.
+//
+// To change the on-disk format: bump SCHEMA_VERSION in schema.js and append a
+// migration here. Never edit or reorder a migration that has shipped.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add schemaVersion; explicit page-scoped styles, components and token categories',
+    up(data) {
+      for (const page of Object.values(data.pages || {})) {
+        page.styles ??= {};
+      }
+      data.components ??= {};
+      data.designTokens ??= {};
+      for (const category of ['colors', 'fonts', 'spacing']) {
+        data.designTokens[category] ??= {};
+      }
+    },
+  },
+  {
+    version: 2,
+    description: 'Add the @keyframes animation store to project.json',
+    up(data) {
+      data.keyframes ??= {};
+    },
+  },
+  {
+    version: 3,
+    // The format itself is unchanged; the bump keeps older servers, which
+    // would drop the extra categories on save, from opening these projects
+    description: 'Allow design token categories beyond colors, fonts and spacing',
+    up(data) {
+      data.designTokens ??= {};
+    },
+  },
+  {
+    version: 4,
+    description: 'Add theme modes (per-mode token values) to project.json',
+    up(data) {
+      data.themeModes ??= {};
+    },
+  },
+  {
+    version: 5,
+    // Elements without overrides simply have no `style`; the bump keeps older
+    // servers, which would strip every element's overrides and the validation
+    // mode on save, out
+    description: 'Add per-element inline style overrides and the HTML validation mode',
+    up(data) {
+      data.project.htmlValidation ??= 'lenient';
+    },
+  },
+  {
+    version: 6,
+    description: 'Store at-rule-wrapped style rules as { wrappers, selector, properties } instead of prefixed keys',
+    up(data) {
+      const scopes = [data, ...Object.values(data.pages || {})];
+      for (const scope of scopes) {
+        const styles = {};
+        scope.atRuleStyles ??= [];
+        for (const [key, properties] of Object.entries(scope.styles || {})) {
+          const { wrappers, selector } = parseStyleKey(key);
+          if (wrappers.length > 0) {
+            scope.atRuleStyles.push({ wrappers, selector, properties });
+          } else {
+            styles[key] = properties;
+          }
+        }
+        scope.styles = styles;
+      }
+    },
+  },
+];
+
+MIGRATIONS.forEach((migration, i) => {
+  if (migration.version !== i + 1) {
+    throw new Error(`Migration registry out of order: expected version ${i + 1}, found ${migration.version}`);
+  }
+});
+if ((MIGRATIONS.at(-1)?.version ?? 0) !== SCHEMA_VERSION) {
+  throw new Error(`SCHEMA_VERSION is ${SCHEMA_VERSION} but migrations only reach ${MIGRATIONS.at(-1)?.version ?? 0}`);
+}
+
+// Bring raw state up to SCHEMA_VERSION. Returns the versions that were applied.
+export function migrateState(data) {
+  const fromVersion = data.project?.schemaVersion ?? 0;
+
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw new Error(`Invalid schemaVersion "${fromVersion}" in project.json`);
+  }
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `This project uses design schema v${fromVersion}, but this GhostCanvas server only supports up to v${SCHEMA_VERSION}. ` +
+      'Update GhostCanvas to open it.'
+    );
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+    migration.up(data);
+    data.project.schemaVersion = migration.version;
+    applied.push(migration.version);
+  }
+
+  return applied;
+}
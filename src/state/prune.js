@@ -0,0 +1,113 @@
+import { expandInstances } from './components.js';
+import { parseSelector, splitTopLevel } from './selectors.js';
+import { styleRules } from './at-rules.js';
+
+// Finding style rules that can be deleted, for prune_styles. Unlike
+// lint_styles' structural matching, a rule only counts as unused when it names
+// a class, id or tag that no element has -- so rules that merely don't match
+// the current nesting (.list > li:first-child) are kept. Global rules look at
+// every page, page-scoped rules at their own page. Media-query-wrapped rules
+// are judged by their inner selector. A compound that pairs a class in use with
+// one that isn't (.btn.is-active) is treated as a state a script may add at
+// runtime: reported as possibly dynamic, never deleted.
+
+// Elements outside the stored tree that selectors may name
+const DOCUMENT_TAGS = ['html', 'body'];
+
+function inventory(elements) {
+  const classes = new Set();
+  const ids = new Set();
+  const tags = new Set(DOCUMENT_TAGS);
+  for (const element of elements) {
+    for (const cls of element.classes) classes.add(cls);
+    if (element.attributes?.id) ids.add(element.attributes.id);
+    tags.add(element.tag.toLowerCase());
+  }
+  return { classes, ids, tags };
+}
+
+// Whether a complex selector can match anything: { status: 'live' } when it
+// might, 'dead' with a reason when it can't, 'dynamic' when it only needs a
+// class that scripts could be toggling. Only the compounds' own type, class and
+// id requirements count -- not arguments of :not()/:is()/:where(), attribute
+// selectors or structural pseudos.
+function selectorStatus(parts, { classes, ids, tags }) {
+  let dynamic = null;
+  for (const compound of parts) {
+    if (compound.tag && !tags.has(compound.tag)) return { status: 'dead', reason: `no <${compound.tag}> element` };
+    const id = compound.ids.find(i => !ids.has(i));
+    if (id) return { status: 'dead', reason: `no element has id "${id}"` };
+    const missing = compound.classes.filter(c => !classes.has(c));
+    if (missing.length === 0) continue;
+    const present = compound.classes.filter(c => classes.has(c));
+    if (present.length === 0) return { status: 'dead', reason: `no element has class "${missing[0]}"` };
+    dynamic ??= `no element has class "${missing[0]}" yet, but it is paired with ".${present[0]}" -- it may be added at runtime`;
+  }
+  return dynamic ? { status: 'dynamic', reason: dynamic } : { status: 'live' };
+}
+
+// Classes referenced anywhere in a selector, including inside :not() and
+// friends and in at-rule-wrapped rules
+function referencedClasses(selectors) {
+  const referenced = new Set();
+  for (const selector of selectors) {
+    if (selector.startsWith('@')) continue;
+    for (const [, cls] of selector.matchAll(/\.(-?[_a-zA-Z][\w-]*)/g)) referenced.add(cls);
+  }
+  return referenced;
+}
+
+// { rules, partial, possiblyDynamic, unusedClasses }: whole rules whose every
+// selector is dead, selector lists with only some dead members (left for a
+// manual edit), rules that only match once a script adds a class (kept), and
+// classes on elements that no selector references
+export function findUnusedStyles(state) {
+  const elements = expandInstances(state.elements, state.components);
+  const all = Object.values(elements);
+  const global = inventory(all);
+  const byPage = Object.fromEntries(Object.keys(state.pages).map(pid => [pid, inventory(all.filter(el => el.pageId === pid))]));
+
+  const rules = [];
+  const partial = [];
+  const possiblyDynamic = [];
+  const scopes = [[null, state], ...Object.entries(state.pages)];
+  for (const [pageId, scope] of scopes) {
+    const available = pageId ? byPage[pageId] : global;
+    for (const { key, selector, properties } of styleRules(scope)) {
+      // Standalone at-rules (@font-face, @page…) aren't tied to elements
+      if (selector.startsWith('@')) continue;
+      let complexes;
+      try {
+        complexes = parseSelector(selector);
+      } catch {
+        continue;
+      }
+      const results = complexes.map(parts => selectorStatus(parts, available));
+      const location = { selector: key, ...(pageId ? { pageId } : {}) };
+      const reasons = (status) => [...new Set(results.filter(r => r.status === status).map(r => r.reason))].join('; ');
+      if (results.every(r => r.status === 'dead')) {
+        rules.push({ ...location, reason: reasons('dead'), properties: { ...properties } });
+        continue;
+      }
+      if (results.every(r => r.status !== 'live')) {
+        possiblyDynamic.push({ ...location, reason: reasons('dynamic') });
+      }
+      if (results.some(r => r.status === 'dead')) {
+        const members = splitTopLevel(selector, ',');
+        partial.push({
+          ...location,
+          unused: members.flatMap((member, i) => (results[i].status === 'dead' ? [{ selector: member, reason: results[i].reason }] : [])),
+        });
+      }
+    }
+  }
+
+  const referenced = referencedClasses(scopes.flatMap(([, scope]) => styleRules(scope).map(rule => rule.selector)));
+  const unusedClasses = [];
+  for (const element of Object.values(state.elements)) {
+    const unused = element.classes.filter(cls => !referenced.has(cls));
+    if (unused.length > 0) unusedClasses.push({ elementId: element.id, pageId: element.pageId, classes: unused });
+  }
+
+  return { rules, partial, possiblyDynamic, unusedClasses };
+}
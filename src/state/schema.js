@@ -1,4 +1,17 @@
 import { z } from 'zod';
+import { HTML_VALIDATION_MODES } from './html-content.js';
+
+// On-disk format version stored in project.json — see migrations.js
+export const SCHEMA_VERSION = 6;
+
+// Per-instance overrides keyed by the ID of an element in the component master
+export const InstanceSchema = z.object({
+  componentId: z.string(),
+  overrides: z.record(z.object({
+    textContent: z.string().nullable().optional(),
+    attributes: z.record(z.string()).optional(),
+  })).default({}),
+});
 
 export const ElementSchema = z.object({
   id: z.string(),
@@ -9,6 +22,15 @@ export const ElementSchema = z.object({
   children: z.array(z.string()).default([]),
   parentId: z.string().nullable().default(null),
   pageId: z.string(),
+  instance: InstanceSchema.optional(),
+  // One-off CSS overrides for this element only, rendered as its style attribute
+  style: z.record(z.string()).optional(),
+});
+
+export const ComponentSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  rootId: z.string(),
 });
 
 export const ViewportSchema = z.object({
@@ -20,10 +42,20 @@ export const ViewportSchema = z.object({
 export const DESIGN_TYPES = ['responsive-web', 'mobile-app', 'tablet-app', 'desktop-app'];
 
 export const ProjectSchema = z.object({
+  schemaVersion: z.number().int().default(SCHEMA_VERSION),
   name: z.string().default('Untitled Design'),
   activePageId: z.string(),
   viewport: ViewportSchema,
   designType: z.enum(DESIGN_TYPES).default('responsive-web'),
+  // How element edits that break the HTML content model are handled
+  htmlValidation: z.enum(HTML_VALIDATION_MODES).default('lenient'),
+});
+
+// A rule wrapped in conditional at-rules, outermost first (see at-rules.js)
+export const AtRuleStyleSchema = z.object({
+  wrappers: z.array(z.object({ name: z.string(), prelude: z.string() })).min(1),
+  selector: z.string(),
+  properties: z.record(z.string()),
 });
 
 export const PageSchema = z.object({
@@ -31,29 +63,47 @@ export const PageSchema = z.object({
   name: z.string(),
   rootId: z.string(),
   styles: z.record(z.record(z.string())).default({}),
+  atRuleStyles: z.array(AtRuleStyleSchema).default([]),
 });
 
+// Category → token key → value. Beyond the three defaults, any category from
+// tokens.js (built-in or custom) may be present
 export const DesignTokensSchema = z.object({
   colors: z.record(z.string()).default({}),
   fonts: z.record(z.string()).default({}),
   spacing: z.record(z.string()).default({}),
+}).catchall(z.record(z.string()));
+
+// Per-mode overrides of base token values (see tokens.js)
+export const ThemeModeSchema = z.object({
+  colorScheme: z.enum(['light', 'dark']).optional(),
+  tokens: z.record(z.record(z.string())).default({}),
 });
 
+// @keyframes: frame offset ("from", "50%", "0%, 100%") → properties
+export const KeyframesSchema = z.record(z.record(z.string()));
+
 export const DesignStateSchema = z.object({
   project: ProjectSchema,
   pages: z.record(PageSchema),
   elements: z.record(ElementSchema),
   styles: z.record(z.record(z.string())).default({}),
+  atRuleStyles: z.array(AtRuleStyleSchema).default([]),
   designTokens: DesignTokensSchema.default({}),
+  components: z.record(ComponentSchema).default({}),
+  keyframes: z.record(KeyframesSchema).default({}),
+  themeModes: z.record(ThemeModeSchema).default({}),
 });
 
 export function createDefaultState() {
   return {
     project: {
+      schemaVersion: SCHEMA_VERSION,
       name: 'Untitled Design',
       activePageId: 'page-1',
       viewport: { device: 'desktop', width: 1440, height: 900 },
       designType: 'responsive-web',
+      htmlValidation: 'lenient',
     },
     pages: {
       'page-1': {
@@ -61,6 +111,7 @@ export function createDefaultState() {
         name: 'Home',
         rootId: 'root-1',
         styles: {},
+        atRuleStyles: [],
       },
     },
     elements: {
@@ -81,10 +132,14 @@ export function createDefaultState() {
         position: 'relative',
       },
     },
+    atRuleStyles: [],
     designTokens: {
       colors: {},
       fonts: {},
       spacing: {},
     },
+    components: {},
+    keyframes: {},
+    themeModes: {},
   };
 }
@@ -0,0 +1,350 @@
+// Minimal CSS selector engine over the stored element tree (no DOM needed).
+//
+// Supports: type, universal, .class, #id (matches the id attribute), attribute
+// selectors ([a], [a=v], ~=, |=, ^=, $=, *=, with optional i flag), the
+// descendant/child/adjacent/sibling combinators, selector lists, and the
+// structural pseudo-classes below. User-action pseudo-classes (:hover, :focus…)
+// and pseudo-elements (::before…) are parsed and recorded but can't be
+// evaluated against stored state, so matching ignores them.
+
+const STRUCTURAL_PSEUDOS = new Set([
+  'first-child', 'last-child', 'only-child', 'nth-child', 'nth-last-child',
+  'first-of-type', 'last-of-type', 'only-of-type', 'nth-of-type', 'nth-last-of-type',
+  'empty', 'not', 'is', 'where', 'root',
+]);
+
+const DYNAMIC_PSEUDOS = new Set([
+  'hover', 'focus', 'focus-within', 'focus-visible', 'active', 'visited', 'link',
+  'any-link', 'target', 'checked', 'disabled', 'enabled', 'required', 'optional',
+  'valid', 'invalid', 'placeholder-shown', 'read-only', 'read-write', 'default',
+  'indeterminate', 'in-range', 'out-of-range', 'autofill',
+]);
+
+// Legacy single-colon pseudo-elements
+const LEGACY_PSEUDO_ELEMENTS = new Set(['before', 'after', 'first-line', 'first-letter']);
+
+// --- Parsing ---
+
+// Split on a delimiter at nesting depth 0 (outside (), [] and quotes). Empty
+// parts are dropped unless `keepEmpty` is set.
+export function splitTopLevel(str, delimiter, { keepEmpty = false } = {}) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const ch of str) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === delimiter && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  const trimmed = parts.map(p => p.trim());
+  return keepEmpty ? trimmed : trimmed.filter(Boolean);
+}
+
+// Parse a selector list into complex selectors: arrays of compounds, where each
+// compound after the first records the combinator linking it to the previous one.
+export function parseSelector(selector) {
+  const list = splitTopLevel(selector, ',', { keepEmpty: true });
+  if (list.every(part => !part)) throw new Error(`Empty selector "${selector}"`);
+  if (list.some(part => !part)) throw new Error(`Empty entry in selector list "${selector}"`);
+  return list.map(parseComplex);
+}
+
+function parseComplex(source) {
+  const parts = [];
+  let i = 0;
+  let combinator = null;
+
+  const skipSpace = () => {
+    const start = i;
+    while (i < source.length && /\s/.test(source[i])) i++;
+    return i > start;
+  };
+
+  while (i < source.length) {
+    const hadSpace = skipSpace();
+    if (i >= source.length) break;
+
+    if ('>+~'.includes(source[i])) {
+      if (parts.length === 0 || combinator) throw new Error(`Unexpected "${source[i]}" in selector "${source}"`);
+      combinator = source[i++];
+      continue;
+    }
+    if (hadSpace && parts.length > 0 && !combinator) combinator = ' ';
+
+    const [compound, next] = parseCompound(source, i);
+    if (parts.length > 0) compound.combinator = combinator || ' ';
+    parts.push(compound);
+    combinator = null;
+    i = next;
+  }
+
+  if (parts.length === 0 || combinator) throw new Error(`Invalid selector "${source}"`);
+  return parts;
+}
+
+const IDENT = /^-?(?:[_a-zA-Z -￿]|\\.)(?:[-_a-zA-Z0-9 -￿]|\\.)*/;
+
+function readIdent(source, i, what) {
+  const match = source.slice(i).match(IDENT);
+  if (!match) throw new Error(`Expected ${what} at position ${i} in selector "${source}"`);
+  return [match[0].replace(/\\(.)/g, '$1'), i + match[0].length];
+}
+
+// Read a balanced "( … )" group starting at the opening paren
+function readParens(source, i) {
+  let depth = 0;
+  for (let j = i; j < source.length; j++) {
+    if (source[j] === '(') depth++;
+    else if (source[j] === ')' && --depth === 0) return [source.slice(i + 1, j).trim(), j + 1];
+  }
+  throw new Error(`Unclosed "(" in selector "${source}"`);
+}
+
+function parseCompound(source, start) {
+  const compound = {
+    tag: null,
+    ids: [],
+    classes: [],
+    attributes: [],
+    pseudos: [],
+    pseudoElement: null,
+    combinator: null,
+  };
+  let i = start;
+
+  if (source[i] === '*') {
+    i++;
+  } else if (IDENT.test(source.slice(i))) {
+    [compound.tag, i] = readIdent(source, i, 'tag');
+    compound.tag = compound.tag.toLowerCase();
+  }
+
+  while (i < source.length && !/[\s>+~]/.test(source[i])) {
+    const ch = source[i];
+    if (ch === '.') {
+      let cls;
+      [cls, i] = readIdent(source, i + 1, 'class name');
+      compound.classes.push(cls);
+    } else if (ch === '#') {
+      let id;
+      [id, i] = readIdent(source, i + 1, 'id');
+      compound.ids.push(id);
+    } else if (ch === '[') {
+      const end = source.indexOf(']', i);
+      if (end === -1) throw new Error(`Unclosed "[" in selector "${source}"`);
+      compound.attributes.push(parseAttribute(source.slice(i + 1, end), source));
+      i = end + 1;
+    } else if (ch === ':') {
+      const isElement = source[i + 1] === ':';
+      let name;
+      [name, i] = readIdent(source, i + (isElement ? 2 : 1), 'pseudo-class');
+      name = name.toLowerCase();
+      let arg = null;
+      if (source[i] === '(') [arg, i] = readParens(source, i);
+
+      if (isElement || LEGACY_PSEUDO_ELEMENTS.has(name)) {
+        compound.pseudoElement = name;
+      } else if (STRUCTURAL_PSEUDOS.has(name)) {
+        compound.pseudos.push(parsePseudo(name, arg, source));
+      } else if (DYNAMIC_PSEUDOS.has(name)) {
+        compound.pseudos.push({ name, dynamic: true });
+      } else {
+        throw new Error(`Unsupported pseudo-class ":${name}" in selector "${source}"`);
+      }
+    } else {
+      throw new Error(`Unexpected "${ch}" in selector "${source}"`);
+    }
+  }
+
+  if (i === start) throw new Error(`Invalid selector "${source}"`);
+  return [compound, i];
+}
+
+function parseAttribute(body, source) {
+  const match = body.trim().match(/^([-\w:]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))\s*(i|s)?)?$/i);
+  if (!match) throw new Error(`Invalid attribute selector "[${body}]" in "${source}"`);
+  const [, name, op, dq, sq, bare, flag] = match;
+  return {
+    name: name.toLowerCase(),
+    op: op || null,
+    value: dq ?? sq ?? bare ?? null,
+    insensitive: flag?.toLowerCase() === 'i',
+  };
+}
+
+function parsePseudo(name, arg, source) {
+  if (['not', 'is', 'where'].includes(name)) {
+    if (!arg) throw new Error(`:${name}() needs an argument in "${source}"`);
+    return { name, selectors: parseSelector(arg) };
+  }
+  if (name.startsWith('nth-')) {
+    if (!arg) throw new Error(`:${name}() needs an argument in "${source}"`);
+    return { name, nth: parseNth(arg, source) };
+  }
+  return { name };
+}
+
+// "an+b" / "odd" / "even" / "3" → { a, b }
+function parseNth(arg, source) {
+  const text = arg.replace(/\s+/g, '').toLowerCase();
+  if (text === 'odd') return { a: 2, b: 1 };
+  if (text === 'even') return { a: 2, b: 0 };
+  const match = text.match(/^(?:([+-]?\d*)n)?([+-]?\d+)?$/);
+  if (!match || text === '') throw new Error(`Invalid :nth-*() argument "${arg}" in "${source}"`);
+  const [, aRaw, bRaw] = match;
+  let a = 0;
+  if (aRaw !== undefined) a = aRaw === '' || aRaw === '+' ? 1 : aRaw === '-' ? -1 : parseInt(aRaw, 10);
+  return { a, b: bRaw ? parseInt(bRaw, 10) : 0 };
+}
+
+// --- Matching ---
+
+// Does `element` match the (parsed or raw) selector, within the `elements` map?
+export function matchesSelector(element, selector, elements) {
+  const complexes = typeof selector === 'string' ? parseSelector(selector) : selector;
+  return complexes.some(parts => matchComplex(element, parts, parts.length - 1, elements));
+}
+
+// All elements (from `candidates`, default every element) matching the selector
+export function selectAll(selector, elements, candidates = Object.values(elements)) {
+  const complexes = parseSelector(selector);
+  return candidates.filter(el => complexes.some(parts => matchComplex(el, parts, parts.length - 1, elements)));
+}
+
+function matchComplex(element, parts, index, elements) {
+  const compound = parts[index];
+  if (!matchCompound(element, compound, elements)) return false;
+  if (index === 0) return true;
+
+  const parent = element.parentId ? elements[element.parentId] : null;
+  switch (compound.combinator) {
+    case '>':
+      return !!parent && matchComplex(parent, parts, index - 1, elements);
+    case ' ': {
+      for (let el = parent; el; el = el.parentId ? elements[el.parentId] : null) {
+        if (matchComplex(el, parts, index - 1, elements)) return true;
+      }
+      return false;
+    }
+    case '+': {
+      const siblings = siblingElements(element, elements);
+      const prev = siblings[siblings.indexOf(element) - 1];
+      return !!prev && matchComplex(prev, parts, index - 1, elements);
+    }
+    case '~': {
+      const siblings = siblingElements(element, elements);
+      return siblings.slice(0, siblings.indexOf(element)).some(sib => matchComplex(sib, parts, index - 1, elements));
+    }
+    default:
+      return false;
+  }
+}
+
+function matchCompound(element, compound, elements) {
+  if (compound.tag && element.tag.toLowerCase() !== compound.tag) return false;
+  for (const cls of compound.classes) {
+    if (!element.classes.includes(cls)) return false;
+  }
+  for (const id of compound.ids) {
+    if (element.attributes?.id !== id) return false;
+  }
+  for (const attr of compound.attributes) {
+    if (!matchAttribute(element, attr)) return false;
+  }
+  for (const pseudo of compound.pseudos) {
+    if (!pseudo.dynamic && !matchPseudo(element, pseudo, elements)) return false;
+  }
+  return true;
+}
+
+function attributeValue(element, name) {
+  if (name === 'class') return element.classes.length > 0 ? element.classes.join(' ') : undefined;
+  return element.attributes?.[name];
+}
+
+function matchAttribute(element, { name, op, value, insensitive }) {
+  let actual = attributeValue(element, name);
+  if (actual === undefined) return false;
+  if (!op) return true;
+
+  let expected = value;
+  if (insensitive) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+  switch (op) {
+    case '=': return actual === expected;
+    case '~=': return actual.split(/\s+/).includes(expected);
+    case '|=': return actual === expected || actual.startsWith(expected + '-');
+    case '^=': return expected !== '' && actual.startsWith(expected);
+    case '$=': return expected !== '' && actual.endsWith(expected);
+    case '*=': return expected !== '' && actual.includes(expected);
+    default: return false;
+  }
+}
+
+function siblingElements(element, elements) {
+  const parent = element.parentId ? elements[element.parentId] : null;
+  if (!parent) return [element];
+  return parent.children.map(id => elements[id]).filter(Boolean);
+}
+
+function nthMatches({ a, b }, position) {
+  if (a === 0) return position === b;
+  const n = (position - b) / a;
+  return Number.isInteger(n) && n >= 0;
+}
+
+function matchPseudo(element, pseudo, elements) {
+  switch (pseudo.name) {
+    case 'not':
+      return !matchesSelector(element, pseudo.selectors, elements);
+    case 'is':
+    case 'where':
+      return matchesSelector(element, pseudo.selectors, elements);
+    case 'root':
+      return !element.parentId;
+    case 'empty':
+      return element.children.length === 0 && !element.textContent;
+  }
+
+  const siblings = siblingElements(element, elements);
+  const ofType = pseudo.name.endsWith('of-type')
+    ? siblings.filter(sib => sib.tag === element.tag)
+    : siblings;
+  const position = ofType.indexOf(element) + 1;
+  const fromEnd = ofType.length - position + 1;
+
+  switch (pseudo.name) {
+    case 'first-child':
+    case 'first-of-type':
+      return position === 1;
+    case 'last-child':
+    case 'last-of-type':
+      return fromEnd === 1;
+    case 'only-child':
+    case 'only-of-type':
+      return ofType.length === 1;
+    case 'nth-child':
+    case 'nth-of-type':
+      return nthMatches(pseudo.nth, position);
+    case 'nth-last-child':
+    case 'nth-last-of-type':
+      return nthMatches(pseudo.nth, fromEnd);
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,334 @@
+import { expandInstances } from './components.js';
+import { parseSelector, matchesSelector, splitTopLevel } from './selectors.js';
+import { styleRules } from './at-rules.js';
+import { findTokenReferences } from './tokens.js';
+import { PROPERTY_GRAMMARS, KNOWN_PROPERTIES, GLOBAL_KEYWORDS, SHORTHANDS, NAMED_COLORS } from './css-properties.js';
+
+// Lint for style rules, element style maps and keyframes: property names and
+// value syntax checked against the bundled data in css-properties.js,
+// selectors that match no element, and declarations that are overridden or
+// repeat what already applies.
+
+export const STYLE_LINT_RULES = {
+  'unknown-property': { severity: 'error', description: 'Property names must be known CSS properties' },
+  'invalid-value': { severity: 'error', description: 'Values must fit the property (units on lengths, known keywords, valid colors)' },
+  'unused-selector': { severity: 'warning', description: 'Selectors should match at least one element' },
+  'overridden-declaration': { severity: 'warning', description: 'A longhand declared before its shorthand in the same rule is overridden' },
+  'duplicate-declaration': { severity: 'warning', description: 'Declarations should not repeat a value that already applies' },
+};
+
+const NUMBER = String.raw`[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?`;
+const LENGTH_UNITS = 'px|em|rem|ex|ch|cap|ic|lh|rlh|vw|vh|vi|vb|vmin|vmax|svw|svh|lvw|lvh|dvw|dvh|cqw|cqh|cqi|cqb|cqmin|cqmax|cm|mm|q|in|pt|pc';
+
+const matcher = (source) => {
+  const regex = new RegExp(`^${source}$`, 'i');
+  return (value) => regex.test(value);
+};
+
+const isLength = matcher(`${NUMBER}(?:${LENGTH_UNITS})`);
+
+// Component types used by the grammars in css-properties.js
+const VALUE_TYPES = {
+  length: (v) => isLength(v) || /^[+-]?0*\.?0+$/.test(v),
+  percentage: matcher(`${NUMBER}%`),
+  number: matcher(NUMBER),
+  integer: matcher('[+-]?\\d+'),
+  time: matcher(`${NUMBER}m?s`),
+  angle: matcher(`${NUMBER}(?:deg|rad|grad|turn)`),
+  color: (v) => NAMED_COLORS.has(v.toLowerCase()) || /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(v),
+  url: (v) => /^url\(/i.test(v),
+  image: (v) => /^url\(/i.test(v),
+  string: (v) => /^(["']).*\1$/.test(v),
+  ident: (v) => /^-?[a-z_][\w-]*$/i.test(v),
+};
+
+// Split one value (or comma-separated item) into its space-separated
+// components, keeping functions and quoted strings whole; "/" is its own component
+function components(value) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  const flush = () => {
+    if (current) parts.push(current);
+    current = '';
+  };
+  for (const ch of value) {
+    if (quote) {
+      current += ch;
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === '(') {
+      depth++;
+      current += ch;
+    } else if (ch === ')') {
+      depth--;
+      current += ch;
+    } else if (depth === 0 && /\s/.test(ch)) {
+      flush();
+    } else if (depth === 0 && ch === '/') {
+      flush();
+      parts.push('/');
+    } else {
+      current += ch;
+    }
+  }
+  flush();
+  return parts;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+// The closest candidate within two edits (one for short words), if any
+function closest(word, candidates) {
+  let best = null;
+  let bestDistance = word.length > 4 ? 3 : 2;
+  for (const candidate of candidates) {
+    const distance = editDistance(word, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Why a component doesn't fit the grammar, with a fix when there's an obvious one
+function explainComponent(part, { types, keywords }) {
+  if (types.includes('length') && VALUE_TYPES.number(part)) {
+    return { message: `"${part}" needs a unit`, suggestion: `${part}px` };
+  }
+  const unit = part.match(new RegExp(`^${NUMBER}([a-z]+)$`, 'i'));
+  if (unit && (types.includes('length') || types.includes('time') || types.includes('angle'))) {
+    return { message: `"${unit[1]}" is not a CSS unit` };
+  }
+  if (part.startsWith('#') && types.includes('color')) {
+    return { message: `"${part}" is not a valid hex color` };
+  }
+  const keyword = /^[a-z-]+$/i.test(part) ? closest(part.toLowerCase(), keywords) : null;
+  if (keyword) return { message: `"${part}" is not a valid keyword here`, suggestion: keyword };
+  const expected = [...types, ...(keywords.size > 0 ? [`one of: ${[...keywords].join(', ')}`] : [])];
+  return { message: `"${part}" is not valid here (expected ${expected.join(' or ')})` };
+}
+
+// Problems with one declaration's property name or value syntax, as
+// { rule, message, suggestion? }
+export function checkDeclaration(property, rawValue) {
+  // Custom properties and vendor-prefixed ones aren't checked
+  if (property.startsWith('-')) return [];
+  const name = property.toLowerCase();
+  if (!KNOWN_PROPERTIES.has(name)) {
+    const suggestion = closest(name, KNOWN_PROPERTIES);
+    return [{
+      rule: 'unknown-property',
+      message: `"${property}" is not a known CSS property${suggestion ? ` — did you mean "${suggestion}"?` : ''}`,
+      ...(suggestion ? { suggestion } : {}),
+    }];
+  }
+
+  const grammar = PROPERTY_GRAMMARS[name];
+  const value = String(rawValue).replace(/\s*!important\s*$/i, '').trim();
+  // Token references and var() stand for values only known at render time
+  if (!grammar || value === '' || /var\(|attr\(/i.test(value) || findTokenReferences(value).length > 0) return [];
+  if (GLOBAL_KEYWORDS.has(value.toLowerCase())) return [];
+
+  const items = splitTopLevel(value, ',');
+  if (items.length > 1 && !grammar.list) {
+    return [{ rule: 'invalid-value', message: `${property} takes a single value, not a comma-separated list` }];
+  }
+
+  for (const item of items) {
+    const parts = components(item);
+    if (parts.includes('/') && !grammar.slash) {
+      return [{ rule: 'invalid-value', message: `${property} doesn't take "/"` }];
+    }
+    const values = parts.filter(p => p !== '/');
+    if (values.length > grammar.max) {
+      return [{ rule: 'invalid-value', message: `${property} takes at most ${grammar.max} value${grammar.max === 1 ? '' : 's'}, got ${values.length} in "${item}"` }];
+    }
+    for (const part of values) {
+      // Functions (calc(), rgb(), linear-gradient()…) aren't checked further
+      if (/^[\w-]+\(/.test(part)) continue;
+      if (grammar.keywords.has(part.toLowerCase())) continue;
+      if (grammar.types.some(type => VALUE_TYPES[type](part))) continue;
+      const { message, suggestion } = explainComponent(part, grammar);
+      const fixed = parts.map(p => (p === part ? suggestion : p)).join(' ');
+      return [{
+        rule: 'invalid-value',
+        message: `${property}: ${message}`,
+        ...(suggestion ? { suggestion: `${property}: ${items.map(i => (i === item ? fixed : i)).join(', ')}` } : {}),
+      }];
+    }
+  }
+  return [];
+}
+
+// Declarations in one rule that a shorthand declared after them overrides
+function overriddenInRule(properties) {
+  const names = Object.keys(properties);
+  const overridden = [];
+  names.forEach((name, i) => {
+    for (const later of names.slice(i + 1)) {
+      if (SHORTHANDS[later]?.includes(name)) {
+        overridden.push({ property: name, by: later });
+        break;
+      }
+    }
+  });
+  return overridden;
+}
+
+// Leading html/body compounds always match (the page root stands in for
+// <body>), so they're dropped before matching against the stored tree
+function documentRelative(complexes) {
+  return complexes.map(parts => {
+    let i = 0;
+    while (i < parts.length && (parts[i].tag === 'html' || parts[i].tag === 'body')) i++;
+    return parts.slice(i);
+  });
+}
+
+function matchesAny(complexes, candidates, elements) {
+  const relative = documentRelative(complexes);
+  if (relative.some(parts => parts.length === 0)) return true;
+  return candidates.some(el => relative.some(parts => matchesSelector(el, [parts], elements)));
+}
+
+// Lint every style store, element style map and keyframes block, or just
+// `pageId`'s rules and elements. Returns issues plus counts by rule and severity.
+export function lintStyles(state, { pageId, rules } = {}) {
+  const elements = expandInstances(state.elements, state.components);
+  const issues = [];
+  const report = (rule, location, fields) => {
+    issues.push({ rule, severity: STYLE_LINT_RULES[rule].severity, ...location, ...fields });
+  };
+  const checkProperties = (location, properties) => {
+    for (const [property, value] of Object.entries(properties)) {
+      for (const problem of checkDeclaration(property, value)) report(problem.rule, location, { property, value, ...problem });
+    }
+  };
+
+  const elementsOnPage = (pid) => Object.values(elements).filter(el => el.pageId === pid);
+  const scopes = [[null, state], ...Object.entries(state.pages)];
+
+  // Base-state rules per page, for finding element style values that repeat them
+  const baseRules = new Map();
+  const rulesFor = (pid) => {
+    if (!baseRules.has(pid)) baseRules.set(pid, []);
+    return baseRules.get(pid);
+  };
+
+  for (const [storePageId, scope] of scopes) {
+    // With a pageId, other stores only supply the rules its elements see
+    const linted = !pageId || storePageId === pageId;
+    const candidates = storePageId ? elementsOnPage(storePageId) : Object.values(elements);
+    for (const { key, wrappers, selector, properties } of styleRules(scope)) {
+      const location = { selector: key, ...(storePageId ? { pageId: storePageId } : {}) };
+      // Standalone at-rules (@font-face…) hold descriptors, not properties
+      if (selector.startsWith('@')) continue;
+      if (linted) checkProperties(location, properties);
+
+      for (const { property, by } of linted ? overriddenInRule(properties) : []) {
+        report('overridden-declaration', location, {
+          property, value: properties[property],
+          message: `${property} is overridden by the ${by} shorthand declared after it in the same rule`,
+          suggestion: `Move ${property} after ${by}, or fold it into the ${by} value`,
+        });
+      }
+
+      let complexes;
+      try {
+        complexes = parseSelector(selector);
+      } catch {
+        continue;
+      }
+      if (linted && !matchesAny(complexes, candidates, elements)) {
+        report('unused-selector', location, {
+          message: `"${selector}" matches no element${storePageId ? ' on its page' : ' on any page'}`,
+          suggestion: 'Delete the rule, or check the selector for typos in class names',
+        });
+      }
+      // Rules on html/body only reach elements by inheritance, so they're left out
+      if (wrappers.length === 0) {
+        const base = documentRelative(complexes.filter(parts =>
+          parts.every(compound => !compound.pseudoElement && !compound.pseudos.some(p => p.dynamic))))
+          .filter(parts => parts.length > 0);
+        if (base.length > 0) {
+          const pages = storePageId ? [storePageId] : Object.keys(state.pages);
+          for (const pid of pages) rulesFor(pid).push({ key, complexes: base, properties });
+        }
+      }
+    }
+  }
+
+  // A page rule that repeats the global rule for the same selector
+  const globalRules = new Map(styleRules(state).map(rule => [rule.key, rule.properties]));
+  for (const [pid, page] of Object.entries(state.pages)) {
+    if (pageId && pid !== pageId) continue;
+    for (const { key, properties } of styleRules(page)) {
+      const global = globalRules.get(key);
+      if (!global) continue;
+      for (const [property, value] of Object.entries(properties)) {
+        if (global[property] === value) {
+          report('duplicate-declaration', { selector: key, pageId: pid }, {
+            property, value,
+            message: `${property}: ${value} repeats the global "${key}" rule`,
+            suggestion: 'Remove it from the page-scoped rule',
+          });
+        }
+      }
+    }
+  }
+
+  // Element style values equal to what the rules already give the element
+  // (later rules winning, as in the renderer's order; specificity isn't weighed)
+  for (const element of Object.values(state.elements)) {
+    if (!element.style || (pageId && element.pageId !== pageId)) continue;
+    const location = { elementId: element.id, pageId: element.pageId };
+    checkProperties(location, element.style);
+    const declared = {};
+    for (const { key, complexes, properties } of rulesFor(element.pageId)) {
+      if (!matchesSelector(element, complexes, elements)) continue;
+      for (const [property, value] of Object.entries(properties)) declared[property] = { value, key };
+    }
+    for (const [property, value] of Object.entries(element.style)) {
+      if (declared[property]?.value === value) {
+        report('duplicate-declaration', location, {
+          property, value,
+          message: `${property}: ${value} is already set by "${declared[property].key}"`,
+          suggestion: 'Remove it from the element\'s style map',
+        });
+      }
+    }
+  }
+
+  if (!pageId) {
+    for (const [name, frames] of Object.entries(state.keyframes || {})) {
+      for (const [offset, properties] of Object.entries(frames)) checkProperties({ keyframes: name, offset }, properties);
+    }
+  }
+
+  const filtered = rules?.length ? issues.filter(issue => rules.includes(issue.rule)) : issues;
+  const byRule = {};
+  for (const issue of filtered) byRule[issue.rule] = (byRule[issue.rule] || 0) + 1;
+  return {
+    errors: filtered.filter(i => i.severity === 'error').length,
+    warnings: filtered.filter(i => i.severity === 'warning').length,
+    byRule,
+    issues: filtered,
+  };
+}
@@ -0,0 +1,94 @@
+import {
+  orderedTokenCategories, parseTokenAlias, formatTokenAlias, findTokenDependents,
+  findTokenReferences, buildTokenVarMap, tokenAppliesTo,
+} from './tokens.js';
+import { buildTokenIndex, tokenizeValue } from './tokenize.js';
+import { styleRules } from './at-rules.js';
+
+// Where each design token is used. A style uses a token by referencing it
+// ({colors.primary}) or -- "hard-coded" -- by repeating its value literally,
+// which the renderer only turns into var() when the strings match exactly.
+// Tokens used through an alias count as used; references to tokens that
+// don't exist are orphaned.
+
+// Every style value in the project with where it lives: global and
+// page-scoped rules, element style maps and keyframes
+function* styleValues(state) {
+  const scopes = [[null, state], ...Object.entries(state.pages || {})];
+  for (const [pageId, scope] of scopes) {
+    for (const { key: selector, properties } of styleRules(scope)) {
+      for (const [property, value] of Object.entries(properties)) {
+        yield { location: { selector, pageId }, property, value };
+      }
+    }
+  }
+  for (const element of Object.values(state.elements || {})) {
+    for (const [property, value] of Object.entries(element.style || {})) {
+      yield { location: { elementId: element.id, pageId: element.pageId }, property, value };
+    }
+  }
+  for (const [name, frames] of Object.entries(state.keyframes || {})) {
+    for (const [offset, properties] of Object.entries(frames)) {
+      for (const [property, value] of Object.entries(properties)) {
+        yield { location: { keyframes: name, offset }, property, value };
+      }
+    }
+  }
+}
+
+export function findTokenUsage(state) {
+  const designTokens = state.designTokens || {};
+  const { varMap } = buildTokenVarMap(designTokens);
+  const index = buildTokenIndex(designTokens);
+
+  const usage = {};
+  for (const category of orderedTokenCategories(designTokens)) {
+    for (const [key, value] of Object.entries(designTokens[category] || {})) {
+      usage[`${category}.${key}`] = { token: `${category}.${key}`, category, key, value, references: [], hardcoded: [] };
+    }
+  }
+
+  const orphaned = [];
+  for (const { location, property, value } of styleValues(state)) {
+    for (const { category, key } of findTokenReferences(value)) {
+      const entry = usage[`${category}.${key}`];
+      if (entry) {
+        entry.references.push({ ...location, property });
+      } else {
+        orphaned.push({ ...location, property, reference: formatTokenAlias(category, key) });
+      }
+    }
+
+    // Exact substrings the renderer substitutes, plus equal values in
+    // another format (#FFF for #ffffff) that it misses
+    const literal = new Set(tokenizeValue(value, property, index).used.map(ref => {
+      const { category, key } = parseTokenAlias(ref);
+      return `${category}.${key}`;
+    }));
+    for (const { regex, category, key } of varMap) {
+      if (!tokenAppliesTo(category, property)) continue;
+      regex.lastIndex = 0;
+      if (regex.test(value)) literal.add(`${category}.${key}`);
+    }
+    for (const name of literal) {
+      usage[name].hardcoded.push({ ...location, property, value });
+    }
+  }
+
+  const directlyUsed = (entry) => entry.references.length > 0 || entry.hardcoded.length > 0;
+  const tokens = Object.values(usage).map(entry => {
+    const aliasedBy = findTokenDependents(designTokens, entry.category, entry.key);
+    return {
+      ...entry,
+      aliasedBy,
+      used: directlyUsed(entry) || aliasedBy.some(name => directlyUsed(usage[name])),
+    };
+  });
+
+  return {
+    tokens,
+    unused: tokens.filter(t => !t.used).map(t => t.token),
+    hardcoded: tokens.filter(t => t.hardcoded.length > 0).map(t => t.token),
+    orphaned,
+  };
+}
@@ -0,0 +1,142 @@
+import { orderedTokenCategories, tokenCategoryMeta, tokenAppliesTo, parseTokenAlias, formatTokenAlias } from './tokens.js';
+import { parseColor, colorsEqual, colorDistance, formatHex } from './colors.js';
+
+// Matching literal style values against design tokens, for tokenize_styles.
+// Only primitive tokens are matched (like the renderer's raw-value
+// substitution), so a value never maps to several names. Colors compare by
+// their channels, so #fff, #FFFFFF and rgb(255 255 255) are the same value.
+
+// Colors closer than this (RGB distance) are reported as near-misses
+const COLOR_NEAR_MISS = 12;
+
+const LENGTH = /^(\d*\.?\d+)(px|rem|em|ms|s)$/;
+
+// Parts of a value that are matched on their own. Quoted strings, url(), var()
+// and explicit {category.key} references come first so nothing inside them is
+// touched ("#fff" in `content` is text, not a colour).
+const VALUE_PART = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|url\((?:"[^"]*"|'[^']*'|[^()"'])*\)|var\([^()]*\)|\{[^{}]*\}|#[0-9a-fA-F]{3,8}(?![0-9a-zA-Z])|\b(?:rgba?|hsla?|cubic-bezier)\([^()]*\)|(?<![\w.#-])\d*\.?\d+(?:px|rem|em|ms|s)(?![\w%])/g;
+
+function normalize(value) {
+  return value.trim().toLowerCase().replace(/\s*,\s*/g, ', ').replace(/\(\s+/g, '(').replace(/\s+\)/g, ')').replace(/\s+/g, ' ');
+}
+
+function parseLength(value) {
+  const match = value.trim().match(LENGTH);
+  return match ? { number: parseFloat(match[1]), unit: match[2] } : null;
+}
+
+// rem ↔ px at the default 16px root size; other units only compare with themselves
+function toComparable({ number, unit }) {
+  if (unit === 'rem') return { number: number * 16, unit: 'px' };
+  if (unit === 's') return { number: number * 1000, unit: 'ms' };
+  return { number, unit };
+}
+
+export function buildTokenIndex(designTokens) {
+  const index = [];
+  for (const category of orderedTokenCategories(designTokens)) {
+    for (const [key, value] of Object.entries(designTokens[category] || {})) {
+      if (!value || parseTokenAlias(value)) continue;
+      index.push({
+        category,
+        key,
+        value,
+        normalized: normalize(value),
+        color: parseColor(value),
+        length: parseLength(value),
+        // Bare numbers are only meaningful for categories scoped to properties
+        // (z-index, font-weights, opacity…)
+        bareNumber: /^-?\d*\.?\d+$/.test(value.trim()),
+        scoped: Boolean(tokenCategoryMeta(category).properties),
+      });
+    }
+  }
+  return index;
+}
+
+// Tokens that may stand for a value of `property`, categories scoped to the
+// property (font-sizes for font-size) ahead of the catch-all ones (spacing)
+function candidatesFor(index, property) {
+  return index
+    .filter(t => tokenAppliesTo(t.category, property) && (t.scoped || !t.bareNumber))
+    .sort((a, b) => Number(b.scoped) - Number(a.scoped));
+}
+
+function matchPart(part, candidates, tolerance) {
+  const color = parseColor(part);
+  if (color) {
+    const exact = candidates.find(t => t.color && colorsEqual(t.color, color));
+    if (exact) return { token: exact };
+    let nearest = null;
+    for (const t of candidates) {
+      if (!t.color) continue;
+      const distance = colorDistance(t.color, color);
+      if (distance <= COLOR_NEAR_MISS && (!nearest || distance < nearest.distance)) nearest = { token: t, distance };
+    }
+    return nearest ? { nearMiss: nearest.token, note: `${formatHex(color)} vs ${formatHex(nearest.token.color)}` } : null;
+  }
+
+  const length = parseLength(part);
+  if (length) {
+    const exact = candidates.find(t => t.length && t.length.unit === length.unit && t.length.number === length.number);
+    if (exact) return { token: exact };
+    return nearLength(length, candidates, tolerance);
+  }
+
+  const exact = candidates.find(t => t.normalized === normalize(part));
+  return exact ? { token: exact } : null;
+}
+
+function nearLength(length, candidates, tolerance) {
+  const value = toComparable(length);
+  let nearest = null;
+  for (const t of candidates) {
+    if (!t.length) continue;
+    const target = toComparable(t.length);
+    if (target.unit !== value.unit || target.number === 0) continue;
+    const diff = Math.abs(target.number - value.number) / target.number;
+    if (diff <= tolerance && (!nearest || diff < nearest.diff)) nearest = { token: t, diff };
+  }
+  if (!nearest) return null;
+  const note = nearest.diff === 0 ? 'same size in a different unit' : `${Math.round(nearest.diff * 100)}% off`;
+  return { nearMiss: nearest.token, note };
+}
+
+// Rewrite the literal parts of one style value that equal a token into
+// {category.key} references. Returns the new value, the tokens used and the
+// near-misses (values close to a token but not equal) that were left alone.
+// `tolerance` is how far off, relative to the token, a length may be to count
+// as a near-miss.
+export function tokenizeValue(value, property, index, { tolerance = 0.1 } = {}) {
+  const candidates = candidatesFor(index, property);
+  const used = [];
+  const nearMisses = [];
+  if (candidates.length === 0 || typeof value !== 'string') return { value, used, nearMisses };
+
+  const record = (part, match) => {
+    if (match?.token) {
+      used.push(formatTokenAlias(match.token.category, match.token.key));
+      return formatTokenAlias(match.token.category, match.token.key);
+    }
+    if (match?.nearMiss) {
+      nearMisses.push({
+        value: part,
+        token: formatTokenAlias(match.nearMiss.category, match.nearMiss.key),
+        tokenValue: match.nearMiss.value,
+        note: match.note,
+      });
+    }
+    return part;
+  };
+
+  // The whole value first: shadows, font stacks and keywords only match as a whole
+  const whole = candidates.find(t => t.normalized === normalize(value));
+  if (whole) return { value: record(value, { token: whole }), used, nearMisses };
+  if (parseColor(value)) return { value: record(value, matchPart(value, candidates, tolerance)), used, nearMisses };
+
+  const result = value.replace(VALUE_PART, (part) => {
+    if (/^(url|var)\(|^[{"']/.test(part)) return part;
+    return record(part, matchPart(part, candidates, tolerance));
+  });
+  return { value: result, used, nearMisses };
+}
@@ -0,0 +1,254 @@
+// Design token categories. Built-in categories carry a display label, a short
+// badge for the viewer and, when their values would be ambiguous anywhere else
+// (bare numbers, durations), the CSS properties they apply to. Categories
+// without a property list -- colors, fonts, spacing and any custom category --
+// match values in every property. Any kebab-case name is accepted as a custom
+// category.
+
+const RADIUS_PROPERTIES = [
+  'border-radius', 'border-top-left-radius', 'border-top-right-radius',
+  'border-bottom-right-radius', 'border-bottom-left-radius',
+];
+
+export const TOKEN_CATEGORIES = {
+  colors: { label: 'Colors', badge: 'C' },
+  fonts: { label: 'Fonts', badge: 'F' },
+  spacing: { label: 'Spacing', badge: 'S' },
+  radii: { label: 'Radii', badge: 'R', properties: RADIUS_PROPERTIES },
+  shadows: { label: 'Shadows', badge: 'Sh', properties: ['box-shadow', 'text-shadow', 'filter'] },
+  'font-sizes': { label: 'Font Sizes', badge: 'Fs', properties: ['font-size', 'font'] },
+  'font-weights': { label: 'Font Weights', badge: 'Fw', properties: ['font-weight', 'font'] },
+  'line-heights': { label: 'Line Heights', badge: 'Lh', properties: ['line-height', 'font'] },
+  'letter-spacings': { label: 'Letter Spacings', badge: 'Ls', properties: ['letter-spacing'] },
+  // CSS variables can't be used in @media preludes, so breakpoints are never substituted
+  breakpoints: { label: 'Breakpoints', badge: 'Bp', properties: [] },
+  'z-index': { label: 'Z-Index', badge: 'Z', properties: ['z-index'] },
+  durations: {
+    label: 'Durations',
+    badge: 'D',
+    properties: ['transition', 'transition-duration', 'transition-delay', 'animation', 'animation-duration', 'animation-delay'],
+  },
+  easings: {
+    label: 'Easings',
+    badge: 'E',
+    properties: ['transition', 'transition-timing-function', 'animation', 'animation-timing-function'],
+  },
+  opacity: { label: 'Opacity', badge: 'O', properties: ['opacity'] },
+};
+
+const CATEGORY_NAME = /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/;
+
+export function isValidTokenCategory(category) {
+  return CATEGORY_NAME.test(category);
+}
+
+export function tokenCategoryMeta(category) {
+  if (Object.hasOwn(TOKEN_CATEGORIES, category)) return TOKEN_CATEGORIES[category];
+  const label = category.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  return { label, badge: label.charAt(0), custom: true };
+}
+
+// Categories present in `designTokens`: built-ins in their usual order, then custom ones
+export function orderedTokenCategories(designTokens) {
+  const present = Object.keys(designTokens || {});
+  return [
+    ...Object.keys(TOKEN_CATEGORIES).filter(category => present.includes(category)),
+    ...present.filter(category => !Object.hasOwn(TOKEN_CATEGORIES, category)),
+  ];
+}
+
+// Whether a token from `category` may stand for a value of CSS `property`
+export function tokenAppliesTo(category, property) {
+  const { properties } = tokenCategoryMeta(category);
+  return !properties || properties.includes(property);
+}
+
+export function tokenVarName(category, key) {
+  return `--${category}-${key}`;
+}
+
+// --- Aliases ---
+//
+// A token whose value is "{category.key}" refers to another token (usually a
+// semantic token pointing at a primitive: colors.button-bg → colors.blue-600).
+// Aliases may chain; they render as var() chains and resolve to the final value.
+
+const ALIAS_PATTERN = /^\{([a-z][a-z0-9]*(?:-[a-z0-9]+)*)\.([^{}\s]+)\}$/;
+
+export function parseTokenAlias(value) {
+  const match = typeof value === 'string' && value.trim().match(ALIAS_PATTERN);
+  return match ? { category: match[1], key: match[2] } : null;
+}
+
+export function formatTokenAlias(category, key) {
+  return `{${category}.${key}}`;
+}
+
+// Follow `category.key` to a concrete value. Returns { value, chain } where
+// chain lists every token visited; throws on a missing target or a cycle.
+export function resolveToken(designTokens, category, key) {
+  const chain = [];
+  let current = { category, key };
+
+  while (true) {
+    const path = `${current.category}.${current.key}`;
+    if (chain.includes(path)) {
+      throw new Error(`Token alias cycle: ${[...chain, path].join(' → ')}`);
+    }
+    chain.push(path);
+
+    const value = designTokens?.[current.category]?.[current.key];
+    if (value === undefined) {
+      throw new Error(chain.length > 1
+        ? `Token alias ${chain.slice(0, -1).join(' → ')} points at missing token ${path}`
+        : `Token "${path}" not found`);
+    }
+
+    const alias = parseTokenAlias(value);
+    if (!alias) return { value, chain };
+    current = alias;
+  }
+}
+
+// Same shape as designTokens with every alias replaced by its final value.
+// Broken aliases are left as written.
+export function resolveDesignTokens(designTokens) {
+  const resolved = {};
+  for (const [category, tokens] of Object.entries(designTokens || {})) {
+    resolved[category] = {};
+    for (const key of Object.keys(tokens)) {
+      try {
+        resolved[category][key] = resolveToken(designTokens, category, key).value;
+      } catch {
+        resolved[category][key] = tokens[key];
+      }
+    }
+  }
+  return resolved;
+}
+
+// Tokens that alias `category.key`, directly or through other aliases
+export function findTokenDependents(designTokens, category, key) {
+  const target = `${category}.${key}`;
+  const dependents = [];
+  for (const [depCategory, tokens] of Object.entries(designTokens || {})) {
+    for (const depKey of Object.keys(tokens)) {
+      if (depCategory === category && depKey === key) continue;
+      try {
+        if (resolveToken(designTokens, depCategory, depKey).chain.includes(target)) {
+          dependents.push(`${depCategory}.${depKey}`);
+        }
+      } catch {
+        // Broken aliases don't depend on anything
+      }
+    }
+  }
+  return dependents;
+}
+
+// --- Theme modes ---
+//
+// themeModes: { [mode]: { colorScheme?: 'light' | 'dark', tokens: { category: { key: value } } } }
+// A mode overrides some base token values; everything else falls through to
+// designTokens. "default" names the base set and can't be used for a mode.
+
+export const DEFAULT_THEME_MODE = 'default';
+
+export function isValidThemeMode(mode) {
+  return CATEGORY_NAME.test(mode) && mode !== DEFAULT_THEME_MODE;
+}
+
+// The full token set as seen in `mode`
+export function tokensForMode(designTokens, themeModes, mode) {
+  const overrides = themeModes?.[mode]?.tokens;
+  if (!overrides) return designTokens;
+  const merged = { ...designTokens };
+  for (const [category, tokens] of Object.entries(overrides)) {
+    merged[category] = { ...merged[category], ...tokens };
+  }
+  return merged;
+}
+
+// --- CSS variables ---
+
+function tokenVarValue(value) {
+  const alias = parseTokenAlias(value);
+  return alias ? `var(${tokenVarName(alias.category, alias.key)})` : value;
+}
+
+// Build a map of raw token values → CSS variable names, plus the :root block
+// and one block per theme mode. Modes with a colorScheme also apply when the
+// page has no data-theme attribute and the OS prefers that scheme.
+export function buildTokenVarMap(designTokens, themeModes) {
+  const varMap = []; // [{ raw, varName, category, key, regex }]
+  const rootProps = [];
+
+  if (!designTokens) return { varMap, rootBlock: '' };
+
+  for (const category of orderedTokenCategories(designTokens)) {
+    const tokens = designTokens[category];
+    if (!tokens) continue;
+    for (const [key, value] of Object.entries(tokens)) {
+      if (!value) continue;
+      const varName = tokenVarName(category, key);
+      rootProps.push(`  ${varName}: ${tokenVarValue(value)};`);
+
+      // Raw style values are only matched against primitives, so a value
+      // never maps to several names
+      if (parseTokenAlias(value)) continue;
+      // Not after "-" either, so names inside var(--…) and negated values are left alone
+      const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      varMap.push({
+        raw: value,
+        varName,
+        category,
+        key,
+        regex: new RegExp(`(?<![a-zA-Z0-9#-])${escaped}(?![a-zA-Z0-9])`, 'g'),
+      });
+    }
+  }
+
+  const blocks = [];
+  if (rootProps.length > 0) blocks.push(`:root {\n${rootProps.join('\n')}\n}`);
+
+  const schemesUsed = new Set();
+  for (const [mode, { colorScheme, tokens }] of Object.entries(themeModes || {})) {
+    const props = [];
+    for (const category of orderedTokenCategories(tokens)) {
+      for (const [key, value] of Object.entries(tokens[category])) {
+        if (value) props.push(`  ${tokenVarName(category, key)}: ${tokenVarValue(value)};`);
+      }
+    }
+
+    const schemeProp = colorScheme ? [`  color-scheme: ${colorScheme};`] : [];
+    blocks.push(`[data-theme="${mode}"] {\n${[...schemeProp, ...props].join('\n')}\n}`);
+
+    // The first mode per scheme follows the OS preference
+    if (colorScheme && !schemesUsed.has(colorScheme) && props.length > 0) {
+      schemesUsed.add(colorScheme);
+      const indented = [...schemeProp, ...props].map(line => '  ' + line).join('\n');
+      blocks.push(`@media (prefers-color-scheme: ${colorScheme}) {\n  :root:not([data-theme]) {\n${indented}\n  }\n}`);
+    }
+  }
+
+  return { varMap, rootBlock: blocks.join('\n\n') };
+}
+
+// Style values may name a token explicitly ("{colors.button-bg}") -- the way
+// to bind a style to a semantic token that theme modes override
+const TOKEN_REFERENCE = /\{([a-z][a-z0-9]*(?:-[a-z0-9]+)*)\.([^{}\s]+)\}/g;
+
+// The {category.key} references in a style value
+export function findTokenReferences(value) {
+  return [...value.matchAll(TOKEN_REFERENCE)].map(([, category, key]) => ({ category, key }));
+}
+
+export function substituteTokenVars(value, varMap, property) {
+  let result = value.replace(TOKEN_REFERENCE, (_, category, key) => `var(${tokenVarName(category, key)})`);
+  for (const { regex, varName, category } of varMap) {
+    if (!tokenAppliesTo(category, property)) continue;
+    regex.lastIndex = 0;
+    result = result.replace(regex, `var(${varName})`);
+  }
+  return result;
+}
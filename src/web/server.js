@@ -9,9 +9,26 @@ import { existsSync } from 'node:fs';
 import { mkdir, readdir } from 'node:fs/promises';
 import archiver from 'archiver';
 import { buildDesignSpec } from '../mcp/tools/design-spec.js';
+import { exportDtcg } from '../state/dtcg.js';
+import { TOKEN_FORMATS, renderTokenFile } from '../renderer/tokens.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// src/state modules the viewer imports as-is, served at /shared/<name>.js.
+// Everything else in src/state stays on the server.
+const SHARED_STATE_MODULES = [
+  'components',
+  'at-rules',
+  'tokens',
+  'colors',
+  'token-usage',
+  'tokenize',
+  'selectors',
+  'contrast',
+  'a11y-lint',
+  'cascade',
+];
+
 // Pending screenshot requests: requestId → { resolve, reject, timeoutId }
 const screenshotRequests = new Map();
 
@@ -32,6 +49,7 @@ export function requestScreenshot(app, options = {}) {
       requestId,
       pageId: options.pageId || null,
       device: options.device || null,
+      theme: options.theme || null,
     });
   });
 }
@@ -45,6 +63,11 @@ export function createWebServer(app, port) {
   const viewerDir = join(__dirname, '..', '..', 'viewer');
   expressApp.use(express.static(viewerDir));
 
+  // The viewer renders and inspects with the server's own state modules
+  for (const name of SHARED_STATE_MODULES) {
+    expressApp.get(`/shared/${name}.js`, (req, res) => res.sendFile(join(__dirname, '..', 'state', `${name}.js`)));
+  }
+
   // API endpoint for rendered HTML (used by iframe)
   expressApp.get('/api/render', (req, res) => {
     const { renderPageHtml } = app;
@@ -124,7 +147,32 @@ export function createWebServer(app, port) {
     res.json(assets);
   });
 
-  // Export zip endpoint: standalone HTML + assets
+  // Design tokens as a W3C Design Tokens (DTCG) file
+  expressApp.get('/api/tokens/dtcg', (req, res) => {
+    const state = app.stateManager.getStateSnapshot();
+    const { document } = exportDtcg(state.designTokens);
+    const projectName = state.project.name.replace(/[^a-zA-Z0-9_-]/g, '-').toLowerCase();
+    res.set('Content-Disposition', `attachment; filename="${projectName}-tokens.json"`);
+    res.type('json').send(JSON.stringify(document, null, 2));
+  });
+
+  // Import a DTCG file: ?replace=true drops existing tokens of imported categories, ?dryRun=true only reports
+  expressApp.post('/api/tokens/dtcg', express.json({ limit: '5mb' }), (req, res) => {
+    try {
+      const result = app.stateManager.importDtcgTokens(req.body, {
+        replace: req.query.replace === 'true',
+        dryRun: req.query.dryRun === 'true',
+      });
+      if (!result.dryRun) {
+        app.notifyActivity('[style] import tokens', `Imported ${result.imported} design tokens`);
+      }
+      res.json(result);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Export zip endpoint: standalone HTML + assets; ?tokens=true adds the token files
   expressApp.get('/api/export/zip', async (req, res) => {
     try {
       const state = app.stateManager.getStateSnapshot();
@@ -155,6 +203,13 @@ export function createWebServer(app, port) {
       const spec = buildDesignSpec(state, pageId, designType, assets);
       archive.append(spec, { name: 'AI-INSTRUCTIONS.md' });
 
+      // Add design tokens as CSS, SCSS, TypeScript and Tailwind config
+      if (req.query.tokens === 'true') {
+        for (const [format, filename] of Object.entries(TOKEN_FORMATS)) {
+          archive.append(renderTokenFile(format, state.designTokens, state.themeModes), { name: `tokens/${filename}` });
+        }
+      }
+
       // Add assets
       const assetsDir = app.stateManager.assetsDir;
       if (existsSync(assetsDir)) {
@@ -186,6 +241,8 @@ export function createWebServer(app, port) {
     const state = app.stateManager.getStateSnapshot();
     ws.send(JSON.stringify({ type: 'design:full', data: state }));
 
+    ws.send(JSON.stringify({ type: 'undo:updated', data: app.stateManager.getUndoState() }));
+
     const commits = await app.gitManager.getLog();
     ws.send(JSON.stringify({ type: 'history:updated', data: { commits } }));
 
@@ -227,6 +284,16 @@ async function handleClientMessage(app, msg) {
       app.broadcast('history:updated', { commits });
       break;
     }
+    case 'history:undo': {
+      const label = app.stateManager.undo();
+      app.notifyActivity('[history] undo', `Undid ${label}`);
+      break;
+    }
+    case 'history:redo': {
+      const label = app.stateManager.redo();
+      app.notifyActivity('[history] redo', `Redid ${label}`);
+      break;
+    }
     case 'page:select': {
       // setActivePage emits delta:page:activated which auto-broadcasts + schedules write
       app.stateManager.setActivePage(msg.data.pageId);
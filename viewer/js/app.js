@@ -9,6 +9,9 @@ import { ActivityPanel } from './panels/activity.js';
 import { ProjectsPanel } from './panels/projects.js';
 import { AssetsPanel } from './panels/assets.js';
 import { TokensPanel } from './panels/tokens.js';
+import { ThemesPanel } from './panels/themes.js';
+import { AccessibilityPanel } from './panels/accessibility.js';
+import { DEFAULT_THEME_MODE } from '/shared/tokens.js';
 
 class App {
   constructor() {
@@ -25,6 +28,10 @@ class App {
     this.projects = new ProjectsPanel(this);
     this.assetsPanel = new AssetsPanel(this);
     this.tokensPanel = new TokensPanel(this);
+    this.themes = new ThemesPanel(this);
+    this.a11y = new AccessibilityPanel(this);
+    // Theme mode previewed on the canvas (viewer-local, like the device size)
+    this.activeTheme = DEFAULT_THEME_MODE;
     this.viewportInfo = document.getElementById('viewport-info');
     this.activityIndicator = document.getElementById('activity-indicator');
     this._renderScheduled = false;
@@ -39,6 +46,7 @@ class App {
     this.setupWsHandlers();
     this.setupPreviewButton();
     this.setupExportButton();
+    this.setupUndoButtons();
     this.ws.connect();
   }
 
@@ -52,14 +60,29 @@ class App {
 
   setupExportButton() {
     const btn = document.getElementById('export-zip-btn');
+    const tokens = document.getElementById('export-tokens');
     btn.addEventListener('click', () => {
       const pageId = this.state?.project?.activePageId || '';
       const link = document.createElement('a');
-      link.href = `/api/export/zip?pageId=${encodeURIComponent(pageId)}`;
+      link.href = `/api/export/zip?pageId=${encodeURIComponent(pageId)}${tokens.checked ? '&tokens=true' : ''}`;
       link.click();
     });
   }
 
+  setupUndoButtons() {
+    this.undoBtn = document.getElementById('undo-btn');
+    this.redoBtn = document.getElementById('redo-btn');
+    this.undoBtn.addEventListener('click', () => this.ws.send('history:undo', {}));
+    this.redoBtn.addEventListener('click', () => this.ws.send('history:redo', {}));
+  }
+
+  updateUndoButtons({ canUndo, canRedo, undoLabel, redoLabel }) {
+    this.undoBtn.disabled = !canUndo;
+    this.redoBtn.disabled = !canRedo;
+    this.undoBtn.title = undoLabel ? `Undo: ${undoLabel}` : 'Undo';
+    this.redoBtn.title = redoLabel ? `Redo: ${redoLabel}` : 'Redo';
+  }
+
   setupWsHandlers() {
     // Full state (initial connection + checkout)
     this.ws.on('design:full', (state) => {
@@ -74,6 +97,13 @@ class App {
       this.renderAll();
     });
 
+    // Transactions (apply_operations) arrive as one batch of ordinary deltas
+    this.ws.on('delta:batch', (data) => {
+      for (const delta of data.deltas) {
+        this.ws.dispatch(delta.type, delta.data);
+      }
+    });
+
     // --- Element deltas ---
     this.ws.on('delta:element:created', (data) => {
       if (!this.state) return;
@@ -89,6 +119,33 @@ class App {
       this.scheduleRender();
     });
 
+    // Whole subtrees: elements already carry their internal links, roots are spliced in order
+    this.ws.on('delta:element:tree-created', (data) => {
+      if (!this.state) return;
+      Object.assign(this.state.elements, data.elements);
+      for (const { id, parentId, index } of data.roots) {
+        const parent = this.state.elements[parentId];
+        if (!parent) continue;
+        if (index !== undefined && index !== null && index >= 0) {
+          parent.children.splice(index, 0, id);
+        } else {
+          parent.children.push(id);
+        }
+      }
+      this.scheduleRender();
+    });
+
+    // Detached instances: the root keeps its ID, everything below it is swapped out
+    this.ws.on('delta:element:subtree-replaced', (data) => {
+      if (!this.state) return;
+      const root = this.state.elements[data.rootId];
+      for (const childId of [...(root?.children || [])]) {
+        this._deleteElementRecursive(childId);
+      }
+      Object.assign(this.state.elements, data.elements);
+      this.scheduleRender();
+    });
+
     this.ws.on('delta:element:updated', (data) => {
       if (!this.state) return;
       const el = this.state.elements[data.id];
@@ -147,6 +204,24 @@ class App {
       this.scheduleRender();
     });
 
+    this.ws.on('delta:page:cloned', (data) => {
+      if (!this.state) return;
+      this.state.pages[data.page.id] = data.page;
+      Object.assign(this.state.elements, data.elements);
+      this.scheduleRender();
+    });
+
+    // Undone page deletion: put the page back at its original position in the tab order
+    this.ws.on('delta:page:restored', (data) => {
+      if (!this.state) return;
+      const entries = Object.entries(this.state.pages).filter(([id]) => id !== data.page.id);
+      entries.splice(data.index >= 0 ? data.index : entries.length, 0, [data.page.id, data.page]);
+      this.state.pages = Object.fromEntries(entries);
+      Object.assign(this.state.elements, data.elements);
+      if (data.activePageId) this.state.project.activePageId = data.activePageId;
+      this.scheduleRender();
+    });
+
     this.ws.on('delta:page:deleted', (data) => {
       if (!this.state) return;
       // Remove page elements
@@ -175,22 +250,56 @@ class App {
       this.scheduleRender();
     });
 
-    // --- Style deltas ---
-    this.ws.on('delta:styles:set', (data) => {
+    // --- Component deltas ---
+    this.ws.on('delta:component:created', (data) => {
       if (!this.state) return;
-      this.state.styles[data.selector] = data.properties;
+      if (!this.state.components) this.state.components = {};
+      this.state.components[data.component.id] = data.component;
+      this.scheduleRender();
+    });
+
+    this.ws.on('delta:component:deleted', (data) => {
+      if (!this.state?.components) return;
+      delete this.state.components[data.componentId];
+      this.scheduleRender();
+    });
+
+    // --- Style deltas (pageId set = page-scoped rules) ---
+    this.ws.on('delta:styles:set', (data) => {
+      const styles = this._styleStore(data.pageId);
+      if (!styles) return;
+      styles[data.selector] = data.properties;
       this.scheduleRender();
     });
 
     this.ws.on('delta:styles:batch', (data) => {
-      if (!this.state) return;
-      Object.assign(this.state.styles, data.styles);
+      const styles = this._styleStore(data.pageId);
+      if (!styles) return;
+      Object.assign(styles, data.styles);
+      if (data.order) {
+        // Restored rules must keep their original cascade position
+        const ordered = {};
+        for (const selector of data.order) {
+          if (styles[selector]) ordered[selector] = styles[selector];
+        }
+        this._setStyleStore(data.pageId, Object.assign(ordered, styles));
+      }
       this.scheduleRender();
     });
 
     this.ws.on('delta:styles:deleted', (data) => {
+      const styles = this._styleStore(data.pageId);
+      if (!styles) return;
+      delete styles[data.selector];
+      this.scheduleRender();
+    });
+
+    // At-rule-wrapped rules arrive as the scope's whole list
+    this.ws.on('delta:styles:at-rules', (data) => {
       if (!this.state) return;
-      delete this.state.styles[data.selector];
+      const scope = data.pageId ? this.state.pages[data.pageId] : this.state;
+      if (!scope) return;
+      scope.atRuleStyles = data.atRuleStyles;
       this.scheduleRender();
     });
 
@@ -203,6 +312,38 @@ class App {
       if (this.selectedElementId) {
         this.inspector.render(this.selectedElementId, this.state);
       }
+      // The canvas renders token variables
+      this.scheduleRender();
+    });
+
+    // --- Theme mode deltas ---
+    this.ws.on('delta:theme-mode:set', (data) => {
+      if (!this.state) return;
+      if (!this.state.themeModes) this.state.themeModes = {};
+      this.state.themeModes[data.mode] = data.theme;
+      this.themes.render(this.state);
+      this.scheduleRender();
+    });
+
+    this.ws.on('delta:theme-mode:deleted', (data) => {
+      if (!this.state?.themeModes) return;
+      delete this.state.themeModes[data.mode];
+      this.themes.render(this.state);
+      this.scheduleRender();
+    });
+
+    // --- Keyframes deltas ---
+    this.ws.on('delta:keyframes:set', (data) => {
+      if (!this.state) return;
+      if (!this.state.keyframes) this.state.keyframes = {};
+      this.state.keyframes[data.name] = data.frames;
+      this.scheduleRender();
+    });
+
+    this.ws.on('delta:keyframes:deleted', (data) => {
+      if (!this.state?.keyframes) return;
+      delete this.state.keyframes[data.name];
+      this.scheduleRender();
     });
 
     // --- Viewport deltas ---
@@ -224,6 +365,10 @@ class App {
       this.history.render(data.commits);
     });
 
+    this.ws.on('undo:updated', (data) => {
+      this.updateUndoButtons(data);
+    });
+
     // Activity indicator driven by tool start/stop lifecycle
     this.ws.on('activity:start', () => {
       this._activeToolCount++;
@@ -270,6 +415,11 @@ class App {
     this.pages.render(this.state);
     this.layers.render(this.state);
     this.inspector.render(this.selectedElementId, this.state);
+    // Token usage follows style edits, once they settle
+    this.tokensPanel.scheduleRender();
+    // Keep the outlines on the re-rendered canvas; the lint itself waits too
+    this.a11y.highlight();
+    this.a11y.scheduleRender();
   }
 
   // Full render including viewport info
@@ -283,6 +433,8 @@ class App {
     this.layers.render(this.state);
     this.inspector.render(this.selectedElementId, this.state);
     this.tokensPanel.render(this.state);
+    this.themes.render(this.state);
+    this.a11y.render(this.state);
 
     this.devices.update(viewport);
     this.updateViewportInfo(viewport.device, viewport.width, viewport.height);
@@ -335,7 +487,8 @@ class App {
   }
 
   async handleScreenshotRequest(data) {
-    const { requestId, pageId, device } = data;
+    const { requestId, pageId, device, theme } = data;
+    const originalTheme = this.activeTheme;
 
     try {
       // If a specific page was requested, switch to it first
@@ -364,6 +517,13 @@ class App {
         await new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
       }
 
+      // Render the requested theme mode for the capture only
+      if (theme && theme !== this.activeTheme) {
+        this.activeTheme = theme;
+        this.canvas.render(this.state);
+        await new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
+      }
+
       // Capture the iframe body using html2canvas
       const doc = this.canvas.iframe.contentDocument;
       if (!doc || !doc.body) {
@@ -378,11 +538,15 @@ class App {
         height: parseInt(this.canvas.wrapper.style.height),
       });
 
-      // Restore original size if we changed it
+      // Restore original size and theme if we changed them
       if (resized) {
         this.canvas.wrapper.style.width = originalWidth;
         this.canvas.wrapper.style.height = originalHeight;
       }
+      if (this.activeTheme !== originalTheme) {
+        this.activeTheme = originalTheme;
+        this.canvas.render(this.state);
+      }
 
       // Convert to base64 PNG (strip the data:image/png;base64, prefix)
       const dataUrl = canvas.toDataURL('image/png');
@@ -394,6 +558,10 @@ class App {
         image: base64,
       });
     } catch (err) {
+      if (this.activeTheme !== originalTheme) {
+        this.activeTheme = originalTheme;
+        this.canvas.render(this.state);
+      }
       this.ws.send('screenshot:response', {
         requestId,
         success: false,
@@ -404,6 +572,23 @@ class App {
 
   // --- Helpers for local state mutation ---
 
+  _styleStore(pageId) {
+    if (!this.state) return null;
+    if (!pageId) return this.state.styles;
+    const page = this.state.pages[pageId];
+    if (!page) return null;
+    if (!page.styles) page.styles = {};
+    return page.styles;
+  }
+
+  _setStyleStore(pageId, styles) {
+    if (pageId) {
+      this.state.pages[pageId].styles = styles;
+    } else {
+      this.state.styles = styles;
+    }
+  }
+
   _deleteElementRecursive(id) {
     const el = this.state.elements[id];
     if (!el) return;
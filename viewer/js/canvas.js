@@ -1,3 +1,7 @@
+import { expandInstances } from '/shared/components.js';
+import { groupStyleRules } from '/shared/at-rules.js';
+import { buildTokenVarMap, substituteTokenVars } from '/shared/tokens.js';
+
 export class Canvas {
   constructor(app) {
     this.app = app;
@@ -27,6 +31,8 @@ export class Canvas {
       const el = doc.querySelector(`[data-ofid="${this.selectedId}"]`);
       if (el) el.classList.add('ofig-selected');
     }
+
+    this.app.a11y.highlight();
   }
 
   buildHtml(state) {
@@ -34,19 +40,28 @@ export class Canvas {
     const page = state.pages[pageId];
     if (!page) return '<html><body></body></html>';
 
-    const rootElement = state.elements[page.rootId];
+    const elements = expandInstances(state.elements, state.components);
+    const rootElement = elements[page.rootId];
     if (!rootElement) return '<html><body></body></html>';
 
-    const body = this.renderElement(rootElement, state.elements);
-    const css = this.renderStyles(state.styles);
+    // Token values render as var() like the export, so theme modes can switch them
+    const { varMap, rootBlock } = buildTokenVarMap(state.designTokens, state.themeModes);
+    this.varMap = varMap;
+
+    const body = this.renderElement(rootElement, elements);
+    // Page-scoped rules follow global ones so they take precedence
+    const css = [rootBlock, this.renderStyles(state), this.renderStyles(page), this.renderKeyframes(state.keyframes)]
+      .filter(Boolean)
+      .join('\n');
 
     return `<!DOCTYPE html>
-<html>
+<html data-theme="${this.escapeAttr(this.app.activeTheme)}">
 <head>
 <style>
 * { margin: 0; padding: 0; box-sizing: border-box; }
 [data-ofid] { cursor: default; }
 [data-ofid]:hover { outline: 1px dashed rgba(137, 180, 250, 0.5); outline-offset: 1px; }
+.ofig-a11y-issue { outline: 2px dashed #f9e2af !important; outline-offset: 1px; }
 .ofig-selected { outline: 2px solid #89b4fa !important; outline-offset: 1px; }
 .ofig-drop-target { outline: 2px dashed #89b4fa !important; outline-offset: 2px; background-color: rgba(137, 180, 250, 0.08); }
 ${css}
@@ -63,11 +78,19 @@ ${css}
     if (element.classes.length > 0) {
       attrs.push(`class="${this.escapeAttr(element.classes.join(' '))}"`);
     }
-    attrs.push(`data-ofid="${element.id}"`);
+    // Nodes expanded from a component instance select the instance itself
+    attrs.push(`data-ofid="${element.instanceId || element.id}"`);
 
     for (const [key, value] of Object.entries(element.attributes || {})) {
+      if (key === 'style' && element.style) continue;
       attrs.push(`${this.escapeAttr(key)}="${this.escapeAttr(value)}"`);
     }
+    // Per-element style map, after any literal style attribute so it wins
+    if (element.style) {
+      const parts = element.attributes?.style ? [element.attributes.style.trim().replace(/;$/, '')] : [];
+      for (const [prop, val] of Object.entries(element.style)) parts.push(`${prop}: ${this.tokenValue(prop, val)}`);
+      attrs.push(`style="${this.escapeAttr(parts.join('; '))}"`);
+    }
 
     const attrStr = attrs.length ? ' ' + attrs.join(' ') : '';
     const tag = element.tag;
@@ -90,30 +113,35 @@ ${css}
     return `<${tag}${attrStr}>${inner}</${tag}>`;
   }
 
-  renderStyles(styles) {
-    const rules = [];
-    const mediaGroups = {};
-
-    for (const [selector, properties] of Object.entries(styles || {})) {
+  renderStyles(scope) {
+    const renderRule = ({ selector, properties }) => {
       const props = Object.entries(properties)
-        .map(([prop, val]) => `${prop}: ${val};`)
+        .map(([prop, val]) => `${prop}: ${this.tokenValue(prop, val)};`)
         .join(' ');
+      return `${selector} { ${props} }`;
+    };
+    // At-rule blocks (@media, @supports, @container, …) may nest
+    const renderGroup = (group) => {
+      const inner = [...group.rules.map(renderRule), ...group.groups.map(renderGroup)];
+      return `${group.atRule} {\n${inner.join('\n')}\n}`;
+    };
+
+    const { rules, groups } = groupStyleRules(scope);
+    return [...rules.map(renderRule), ...groups.map(renderGroup)].join('\n');
+  }
 
-      const mediaMatch = selector.match(/^(@media\s*\([^)]+\))\s+(.+)$/);
-      if (mediaMatch) {
-        const [, query, innerSelector] = mediaMatch;
-        if (!mediaGroups[query]) mediaGroups[query] = [];
-        mediaGroups[query].push(`  ${innerSelector} { ${props} }`);
-      } else {
-        rules.push(`${selector} { ${props} }`);
-      }
-    }
-
-    for (const [query, innerRules] of Object.entries(mediaGroups)) {
-      rules.push(`${query} {\n${innerRules.join('\n')}\n}`);
-    }
+  renderKeyframes(keyframes) {
+    return Object.entries(keyframes || {}).map(([name, frames]) => {
+      const inner = Object.entries(frames).map(([offset, properties]) => {
+        const props = Object.entries(properties).map(([prop, val]) => `${prop}: ${this.tokenValue(prop, val)};`).join(' ');
+        return `  ${offset} { ${props} }`;
+      });
+      return `@keyframes ${name} {\n${inner.join('\n')}\n}`;
+    }).join('\n');
+  }
 
-    return rules.join('\n');
+  tokenValue(prop, val) {
+    return substituteTokenVars(val, this.varMap || [], prop);
   }
 
   escapeHtml(str) {
@@ -0,0 +1,84 @@
+import { lintAccessibility } from '/shared/a11y-lint.js';
+
+// Delta updates wait for edits to settle before the page is linted again
+const LINT_DEBOUNCE_MS = 300;
+
+// Toolbar badge with the accessibility lint results for the active page.
+// While its list is open the offending elements are outlined in the canvas;
+// clicking an entry selects the element.
+export class AccessibilityPanel {
+  constructor(app) {
+    this.app = app;
+    this.button = document.getElementById('a11y-btn');
+    this.list = document.getElementById('a11y-list');
+    this.violations = [];
+    this._renderTimer = null;
+
+    this.button.addEventListener('click', () => {
+      this.list.hidden = !this.list.hidden;
+      if (!this.list.hidden) this.renderList();
+      this.highlight();
+    });
+  }
+
+  scheduleRender() {
+    clearTimeout(this._renderTimer);
+    this._renderTimer = setTimeout(() => this.render(this.app.state), LINT_DEBOUNCE_MS);
+  }
+
+  render(state) {
+    clearTimeout(this._renderTimer);
+    if (!state) return;
+    const pageId = state.project.activePageId;
+    this.violations = state.pages[pageId] ? lintAccessibility(state, { pageId }).violations : [];
+
+    const errors = this.violations.filter(v => v.severity === 'error').length;
+    this.button.textContent = this.violations.length > 0 ? `A11y ${this.violations.length}` : 'A11y ✓';
+    this.button.title = this.violations.length > 0
+      ? `${errors} error(s), ${this.violations.length - errors} warning(s) on this page`
+      : 'No accessibility issues on this page';
+    this.button.classList.toggle('a11y-btn-errors', errors > 0);
+    this.button.classList.toggle('a11y-btn-warnings', errors === 0 && this.violations.length > 0);
+
+    if (!this.list.hidden) this.renderList();
+    this.highlight();
+  }
+
+  renderList() {
+    this.list.innerHTML = '';
+    if (this.violations.length === 0) {
+      this.list.innerHTML = '<div class="a11y-empty">No accessibility issues on this page</div>';
+      return;
+    }
+
+    for (const violation of this.violations) {
+      const item = document.createElement('div');
+      item.className = `a11y-item a11y-item-${violation.severity}`;
+
+      const message = document.createElement('div');
+      message.className = 'a11y-message';
+      message.textContent = violation.message;
+      item.appendChild(message);
+
+      const suggestion = document.createElement('div');
+      suggestion.className = 'a11y-suggestion';
+      suggestion.textContent = `${violation.rule} · ${violation.suggestion}`;
+      item.appendChild(suggestion);
+
+      item.addEventListener('click', () => this.app.canvas.selectElement(violation.elementId));
+      this.list.appendChild(item);
+    }
+  }
+
+  // Outline offending elements in the canvas while the list is open
+  highlight() {
+    const doc = this.app.canvas.iframe.contentDocument;
+    if (!doc) return;
+    for (const el of doc.querySelectorAll('.ofig-a11y-issue')) el.classList.remove('ofig-a11y-issue');
+    if (this.list.hidden) return;
+    for (const { elementId } of this.violations) {
+      const el = doc.querySelector(`[data-ofid="${CSS.escape(elementId)}"]`);
+      if (el) el.classList.add('ofig-a11y-issue');
+    }
+  }
+}
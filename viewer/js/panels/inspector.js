@@ -1,3 +1,7 @@
+import { orderedTokenCategories, tokenAppliesTo, tokenCategoryMeta, parseTokenAlias } from '/shared/tokens.js';
+import { elementContrast, WCAG_THRESHOLDS } from '/shared/contrast.js';
+import { computeStyles } from '/shared/cascade.js';
+
 export class InspectorPanel {
   constructor(app) {
     this.app = app;
@@ -54,6 +58,9 @@ export class InspectorPanel {
       { key: 'ID', value: element.id },
     ]);
 
+    // Component (instance of / master of)
+    this.addComponentSection(element, state);
+
     // Classes
     if (element.classes.length > 0) {
       this.addSection('Classes', [
@@ -74,13 +81,43 @@ export class InspectorPanel {
       ]);
     }
 
-    // Computed styles from classes — with token link indicators
-    const styles = this.getElementStyles(element, state);
+    // WCAG contrast of the element's text in the active theme
+    this.addContrastSection(element, state);
+
+    // Computed styles from the cascade — with token link indicators and the
+    // winning rule on hover
+    const computed = computeStyles(state, element.id, { inherited: false });
+    const styles = this.getElementStyles(computed);
     const styleEntries = Object.entries(styles);
     if (styleEntries.length > 0) {
-      this.addStylesSection(styleEntries, tokenLookup);
+      this.addStylesSection(styleEntries, tokenLookup, computed.properties);
+    }
+
+    // Every rule that matches, global and page-scoped, in cascade order
+    if (computed.matchedRules.length > 0) {
+      this.addSection('Matched Rules', computed.matchedRules.map(rule => ({
+        key: this._ruleLabel(rule, state),
+        value: `specificity ${rule.specificity}`,
+      })));
+    }
+
+    // Rules that only apply on :hover, to pseudo-elements or at another viewport
+    if (computed.conditionalRules.length > 0) {
+      this.addSection('Conditional Rules', computed.conditionalRules.map(rule => ({
+        key: this._ruleLabel(rule, state),
+        value: Object.entries(rule.properties).map(([prop, val]) => `${prop}: ${val}`).join('; '),
+      })));
     }
 
+    // Per-element overrides (folded into Styles above; only !important rules beat them)
+    const inlineEntries = Object.entries(element.style || {});
+    if (inlineEntries.length > 0) {
+      this.addPropsSection('Inline Overrides', inlineEntries);
+    }
+
+    // @keyframes referenced by this element's animation styles
+    this.addAnimationSection(element, styles, state);
+
     // Design tokens matched to this element's styles
     const tokenMatches = this.getMatchingTokens(styles, state.designTokens);
     if (tokenMatches.length > 0) {
@@ -111,19 +148,120 @@ export class InspectorPanel {
     }
   }
 
-  getElementStyles(element, state) {
-    const merged = {};
-    for (const cls of element.classes) {
-      const selector = '.' + cls;
-      if (state.styles[selector]) {
-        Object.assign(merged, state.styles[selector]);
+  addComponentSection(element, state) {
+    const components = state.components || {};
+    if (element.instance) {
+      const component = components[element.instance.componentId];
+      const items = [
+        { key: 'Instance of', value: component ? component.name : `${element.instance.componentId} (missing)` },
+      ];
+      for (const [masterId, override] of Object.entries(element.instance.overrides || {})) {
+        const parts = [];
+        if (override.textContent !== undefined) parts.push(`text "${override.textContent ?? ''}"`);
+        for (const [attr, value] of Object.entries(override.attributes || {})) {
+          parts.push(`${attr}="${value}"`);
+        }
+        items.push({ key: masterId, value: parts.join(', ') });
       }
+      this.addSection('Component', items);
+      return;
     }
-    // Also check tag-level styles
-    if (state.styles[element.tag]) {
-      Object.assign(merged, state.styles[element.tag]);
+
+    const component = Object.values(components).find(c => c.rootId === element.id);
+    if (component) {
+      const instanceCount = Object.values(state.elements)
+        .filter(el => el.instance?.componentId === component.id).length;
+      this.addSection('Component', [
+        { key: 'Master of', value: component.name },
+        { key: 'Instances', value: String(instanceCount) },
+      ]);
     }
-    return merged;
+  }
+
+  addAnimationSection(element, styles, state) {
+    const animationValues = [styles.animation, styles['animation-name']].filter(Boolean).join(' ');
+    if (!animationValues) return;
+    const names = Object.keys(state.keyframes || {})
+      .filter(name => new RegExp(`(^|[\\s,])${name}($|[\\s,])`).test(animationValues));
+    if (names.length === 0) return;
+
+    const section = document.createElement('div');
+    section.className = 'inspector-section';
+
+    const label = document.createElement('div');
+    label.className = 'inspector-label';
+    label.textContent = 'Animations';
+    section.appendChild(label);
+
+    for (const name of names) {
+      const row = document.createElement('div');
+      row.className = 'inspector-prop';
+
+      const keyEl = document.createElement('span');
+      keyEl.className = 'inspector-prop-key';
+      keyEl.textContent = `@keyframes ${name}`;
+
+      const replay = document.createElement('button');
+      replay.className = 'inspector-replay-btn';
+      replay.textContent = 'Replay';
+      replay.title = 'Restart this element\'s animations in the canvas';
+      replay.addEventListener('click', () => this.replayAnimations(element.id));
+
+      row.appendChild(keyEl);
+      row.appendChild(replay);
+      section.appendChild(row);
+    }
+
+    this.container.appendChild(section);
+  }
+
+  replayAnimations(elementId) {
+    const doc = this.app.canvas.iframe.contentDocument;
+    const el = doc?.querySelector(`[data-ofid="${elementId}"]`);
+    if (!el) return;
+    for (const animation of el.getAnimations()) {
+      animation.cancel();
+      animation.play();
+    }
+  }
+
+  addContrastSection(element, state) {
+    const result = elementContrast(state, element.id, { theme: this.app.activeTheme });
+    if (!result) return;
+
+    const size = result.large ? 'large' : 'normal';
+    const level = result.ratio >= WCAG_THRESHOLDS.AAA[size] ? 'AAA' : result.passes ? 'AA' : 'fails AA';
+    this.addSection('Contrast', [
+      {
+        key: 'Ratio',
+        value: `${result.ratio}:1 — ${level}${result.large ? ' (large text)' : ''}`,
+        cls: `inspector-prop-value ${result.passes ? 'inspector-contrast-pass' : 'inspector-contrast-fail'}`,
+      },
+      { key: 'Colors', value: `${result.foreground} on ${result.background}` },
+      ...(result.indeterminate ? [{ key: 'Note', value: 'Text is over an image or gradient — check it visually' }] : []),
+    ]);
+  }
+
+  // Winning value per property, from a computeStyles() result
+  getElementStyles(computed) {
+    return Object.fromEntries(
+      Object.entries(computed.properties).map(([property, { value }]) => [property, value])
+    );
+  }
+
+  _ruleLabel(rule, state) {
+    if (!rule.pageId) return rule.selector;
+    return `${rule.selector} (${state.pages[rule.pageId]?.name || rule.pageId})`;
+  }
+
+  // "from .card (0,1,0)", with the declarations it beat
+  _sourceTitle(resolved) {
+    const describe = (source) => (source.inline ? 'inline style' : `${source.selector} (${source.specificity})`);
+    const lines = [`from ${describe(resolved.source)}${resolved.important ? ' !important' : ''}`];
+    for (const loser of resolved.overridden || []) {
+      lines.push(`overrides ${loser.value} from ${describe(loser)}`);
+    }
+    return lines.join('\n');
   }
 
   addSection(title, items) {
@@ -189,19 +327,21 @@ export class InspectorPanel {
   _buildTokenLookup(designTokens) {
     const entries = [];
     if (!designTokens) return entries;
-    for (const category of ['colors', 'fonts', 'spacing']) {
+    for (const category of orderedTokenCategories(designTokens)) {
       const tokens = designTokens[category];
       if (!tokens) continue;
       for (const [key, value] of Object.entries(tokens)) {
-        if (!value) continue;
+        // Aliases share their primitive's value; the primitive is the match
+        if (!value || parseTokenAlias(value)) continue;
         entries.push({ category, key, value });
       }
     }
     return entries;
   }
 
-  _findTokenMatch(cssValue, tokenLookup) {
+  _findTokenMatch(property, cssValue, tokenLookup) {
     for (const entry of tokenLookup) {
+      if (!tokenAppliesTo(entry.category, property)) continue;
       const escaped = entry.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
       const regex = new RegExp(`(?<![a-zA-Z0-9#])${escaped}(?![a-zA-Z0-9])`);
       if (regex.test(cssValue)) {
@@ -211,7 +351,7 @@ export class InspectorPanel {
     return null;
   }
 
-  addStylesSection(entries, tokenLookup) {
+  addStylesSection(entries, tokenLookup, resolved = {}) {
     const section = document.createElement('div');
     section.className = 'inspector-section';
 
@@ -223,6 +363,7 @@ export class InspectorPanel {
     for (const [key, value] of entries) {
       const row = document.createElement('div');
       row.className = 'inspector-prop';
+      if (resolved[key]) row.title = this._sourceTitle(resolved[key]);
 
       const keyEl = document.createElement('span');
       keyEl.className = 'inspector-prop-key';
@@ -231,12 +372,12 @@ export class InspectorPanel {
       const valueWrap = document.createElement('span');
       valueWrap.className = 'inspector-prop-value-wrap';
 
-      const match = this._findTokenMatch(value, tokenLookup);
+      const match = this._findTokenMatch(key, value, tokenLookup);
 
       if (match) {
         const dot = document.createElement('span');
         dot.className = `inspector-token-dot inspector-token-dot-${match.category}`;
-        dot.title = `${match.category}.${match.key}`;
+        dot.title = `${tokenCategoryMeta(match.category).label}: ${match.key}`;
         valueWrap.appendChild(dot);
 
         const tokenLabel = document.createElement('span');
@@ -265,17 +406,18 @@ export class InspectorPanel {
     const matches = [];
     const styleValues = Object.entries(styles);
 
-    for (const category of ['colors', 'fonts', 'spacing']) {
+    for (const category of orderedTokenCategories(designTokens)) {
       const tokens = designTokens[category];
       if (!tokens) continue;
 
       for (const [key, tokenValue] of Object.entries(tokens)) {
-        if (!tokenValue) continue;
+        if (!tokenValue || parseTokenAlias(tokenValue)) continue;
         const escaped = tokenValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         const regex = new RegExp(`(?<![a-zA-Z0-9#])${escaped}(?![a-zA-Z0-9])`, 'g');
 
         const usedInProps = [];
         for (const [prop, val] of styleValues) {
+          if (!tokenAppliesTo(category, prop)) continue;
           regex.lastIndex = 0;
           if (regex.test(val)) {
             usedInProps.push(prop);
@@ -300,8 +442,6 @@ export class InspectorPanel {
     label.textContent = 'Element Tokens';
     section.appendChild(label);
 
-    const badgeLetters = { colors: 'C', fonts: 'F', spacing: 'S' };
-
     for (const match of matches) {
       const row = document.createElement('div');
       row.className = 'inspector-token-row';
@@ -309,8 +449,8 @@ export class InspectorPanel {
       // Category badge
       const badge = document.createElement('span');
       badge.className = `inspector-token-badge inspector-token-badge-${match.category}`;
-      badge.textContent = badgeLetters[match.category];
-      badge.title = match.category;
+      badge.textContent = tokenCategoryMeta(match.category).badge;
+      badge.title = tokenCategoryMeta(match.category).label;
       row.appendChild(badge);
 
       // Token name
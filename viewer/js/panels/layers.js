@@ -31,6 +31,12 @@ export class LayersPanel {
       return;
     }
 
+    // Master root ID → component, for labelling masters in the tree
+    this.mastersByRoot = {};
+    for (const component of Object.values(state.components || {})) {
+      this.mastersByRoot[component.rootId] = component;
+    }
+
     this.container.innerHTML = '';
     this.renderNode(root, state.elements, 0);
   }
@@ -74,6 +80,19 @@ export class LayersPanel {
     item.appendChild(toggle);
     item.appendChild(tag);
 
+    // Component badge: ◆ for instances (rendered from the master), ❖ for masters
+    const instanceOf = element.instance && this.app.state.components?.[element.instance.componentId];
+    const masterOf = this.mastersByRoot[element.id];
+    if (element.instance || masterOf) {
+      const badge = document.createElement('span');
+      badge.className = 'layer-component' + (masterOf ? ' layer-component-master' : '');
+      badge.textContent = masterOf
+        ? `\u2756 ${masterOf.name}`
+        : `\u25C6 ${instanceOf ? instanceOf.name : 'missing component'}`;
+      badge.title = masterOf ? 'Component master' : 'Component instance';
+      item.appendChild(badge);
+    }
+
     // Classes
     if (element.classes.length > 0) {
       const cls = document.createElement('span');
@@ -0,0 +1,41 @@
+import { DEFAULT_THEME_MODE } from '/shared/tokens.js';
+
+// Toolbar switcher for previewing theme modes. The choice is local to this
+// viewer, like the device buttons; it only sets data-theme on the canvas.
+export class ThemesPanel {
+  constructor(app) {
+    this.app = app;
+    this.container = document.getElementById('theme-buttons');
+  }
+
+  render(state) {
+    const modes = Object.keys(state?.themeModes || {});
+
+    // Fall back to the base tokens when the previewed mode is deleted
+    if (this.app.activeTheme !== DEFAULT_THEME_MODE && !modes.includes(this.app.activeTheme)) {
+      this.app.activeTheme = DEFAULT_THEME_MODE;
+    }
+
+    this.container.innerHTML = '';
+    this.container.hidden = modes.length === 0;
+    if (modes.length === 0) return;
+
+    for (const mode of [DEFAULT_THEME_MODE, ...modes]) {
+      const btn = document.createElement('button');
+      btn.className = 'theme-btn' + (mode === this.app.activeTheme ? ' active' : '');
+      btn.textContent = mode === DEFAULT_THEME_MODE ? 'Default' : mode;
+      btn.title = mode === DEFAULT_THEME_MODE ? 'Base token values' : `Preview the "${mode}" theme mode`;
+      btn.addEventListener('click', () => this.setActive(mode));
+      this.container.appendChild(btn);
+    }
+  }
+
+  setActive(mode) {
+    if (mode === this.app.activeTheme) return;
+    this.app.activeTheme = mode;
+    this.render(this.app.state);
+    this.app.canvas.render(this.app.state);
+    // The inspector's contrast ratio depends on the mode
+    this.app.inspector.render(this.app.selectedElementId, this.app.state);
+  }
+}
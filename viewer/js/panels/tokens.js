@@ -1,10 +1,24 @@
+import { orderedTokenCategories, tokenCategoryMeta, parseTokenAlias, resolveToken } from '/shared/tokens.js';
+import { findTokenUsage } from '/shared/token-usage.js';
+
+// Delta updates wait for edits to settle: the usage scan walks every rule and element
+const USAGE_DEBOUNCE_MS = 300;
+
 export class TokensPanel {
   constructor(app) {
     this.app = app;
     this.container = document.getElementById('tokens-panel');
+    this._renderTimer = null;
+  }
+
+  scheduleRender() {
+    clearTimeout(this._renderTimer);
+    this._renderTimer = setTimeout(() => this.render(this.app.state), USAGE_DEBOUNCE_MS);
   }
 
   render(state) {
+    clearTimeout(this._renderTimer);
+
     if (!state || !state.designTokens) {
       this.container.innerHTML = '<div class="tokens-empty">No design tokens defined</div>';
       return;
@@ -26,26 +40,21 @@ export class TokensPanel {
       };
     }
 
-    const { colors, fonts, spacing } = state.designTokens;
-    const hasTokens = (colors && Object.keys(colors).length > 0)
-      || (fonts && Object.keys(fonts).length > 0)
-      || (spacing && Object.keys(spacing).length > 0);
+    const categories = orderedTokenCategories(state.designTokens)
+      .filter(category => Object.keys(state.designTokens[category] || {}).length > 0);
 
-    if (!hasTokens) {
+    if (categories.length === 0) {
       this.container.innerHTML = '<div class="tokens-empty">No design tokens defined</div>';
       return;
     }
 
     this.container.innerHTML = '';
+    this.designTokens = state.designTokens;
+    this.pages = state.pages;
+    this.usage = new Map(findTokenUsage(state).tokens.map(entry => [entry.token, entry]));
 
-    if (colors && Object.keys(colors).length > 0) {
-      this.addCategory('Colors', 'colors', colors);
-    }
-    if (fonts && Object.keys(fonts).length > 0) {
-      this.addCategory('Fonts', 'fonts', fonts);
-    }
-    if (spacing && Object.keys(spacing).length > 0) {
-      this.addCategory('Spacing', 'spacing', spacing);
+    for (const category of categories) {
+      this.addCategory(tokenCategoryMeta(category).label, category, state.designTokens[category]);
     }
 
     // Restore focus after re-render
@@ -96,9 +105,27 @@ export class TokensPanel {
     textInput.dataset.category = category;
     textInput.dataset.key = key;
 
+    // Aliases show what they resolve to; their swatch isn't editable
+    const alias = parseTokenAlias(value);
+    let resolved = null;
+    let aliasError = null;
+    if (alias) {
+      try {
+        resolved = resolveToken(this.designTokens, category, key);
+      } catch (err) {
+        aliasError = err.message;
+      }
+      row.classList.add('tokens-row-alias');
+    }
+
     // Color swatch for color tokens
     let colorInput = null;
-    if (category === 'colors') {
+    if (category === 'colors' && alias) {
+      const swatch = document.createElement('span');
+      swatch.className = 'tokens-color-swatch';
+      if (resolved) swatch.style.background = resolved.value;
+      row.appendChild(swatch);
+    } else if (category === 'colors') {
       colorInput = document.createElement('input');
       colorInput.type = 'color';
       colorInput.className = 'tokens-color-input';
@@ -135,9 +162,68 @@ export class TokensPanel {
     textInput.addEventListener('blur', sendTextUpdate);
 
     row.appendChild(textInput);
+
+    if (alias) {
+      const resolvedEl = document.createElement('span');
+      resolvedEl.className = 'tokens-alias-value';
+      if (resolved) {
+        resolvedEl.textContent = resolved.value;
+        resolvedEl.title = resolved.chain.join(' → ');
+      } else {
+        resolvedEl.classList.add('tokens-alias-broken');
+        resolvedEl.textContent = 'broken';
+        resolvedEl.title = aliasError;
+      }
+      row.appendChild(resolvedEl);
+    }
+
+    row.appendChild(this.createUsageBadge(this.usage.get(`${category}.${key}`)));
+
     return row;
   }
 
+  // Use count, with where each use is in the tooltip. Unused tokens and
+  // values hard-coded instead of referenced are flagged.
+  createUsageBadge(entry) {
+    const badge = document.createElement('span');
+    badge.className = 'tokens-usage';
+    if (!entry) return badge;
+
+    const uses = entry.references.length + entry.hardcoded.length;
+    if (!entry.used) {
+      badge.classList.add('tokens-usage-unused');
+      badge.textContent = 'unused';
+    } else {
+      badge.textContent = String(uses);
+    }
+    if (entry.hardcoded.length > 0) {
+      badge.classList.add('tokens-usage-hardcoded');
+      badge.textContent += ` · ${entry.hardcoded.length} literal`;
+    }
+
+    const lines = [];
+    if (entry.references.length > 0) lines.push('Referenced by:', ...this.describeLocations(entry.references));
+    if (entry.hardcoded.length > 0) lines.push('Hard-coded in (use tokenize_styles):', ...this.describeLocations(entry.hardcoded));
+    if (entry.aliasedBy.length > 0) lines.push(`Aliased by: ${entry.aliasedBy.join(', ')}`);
+    badge.title = lines.length > 0 ? lines.join('\n') : 'Not used by any style';
+    return badge;
+  }
+
+  // One line per use, grouped by page
+  describeLocations(locations) {
+    const byPage = new Map();
+    for (const loc of locations) {
+      let label;
+      if (loc.keyframes) label = `@keyframes ${loc.keyframes} ${loc.offset}`;
+      else if (loc.elementId) label = `element ${loc.elementId}`;
+      else label = loc.selector;
+      const group = loc.keyframes || !loc.pageId ? 'Global' : (this.pages?.[loc.pageId]?.name || loc.pageId);
+      if (!byPage.has(group)) byPage.set(group, []);
+      byPage.get(group).push(`    ${label} (${loc.property})`);
+    }
+    return [...byPage].flatMap(([page, lines]) => [`  ${page}`, ...lines]);
+  }
+
   normalizeColor(value) {
     if (/^#[0-9a-fA-F]{6}$/.test(value)) return value.toLowerCase();
     if (/^#[0-9a-fA-F]{3}$/.test(value)) {
@@ -16,10 +16,7 @@ export class WsClient {
     this.ws.onmessage = (event) => {
       try {
         const msg = JSON.parse(event.data);
-        const callbacks = this.handlers[msg.type];
-        if (callbacks) {
-          callbacks.forEach(cb => cb(msg.data));
-        }
+        this.dispatch(msg.type, msg.data);
       } catch (err) {
         console.error('WS message parse error:', err);
       }
@@ -31,6 +28,13 @@ export class WsClient {
     };
   }
 
+  dispatch(type, data) {
+    const callbacks = this.handlers[type];
+    if (callbacks) {
+      callbacks.forEach(cb => cb(data));
+    }
+  }
+
   on(type, callback) {
     if (!this.handlers[type]) {
       this.handlers[type] = [];